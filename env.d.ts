@@ -9,12 +9,34 @@ declare global {
       NEXT_PUBLIC_APP_NAME?: string;
       NEXT_PUBLIC_APP_DESCRIPTION?: string;
       NEXT_PUBLIC_GA_ID?: string;
+      NEXT_PUBLIC_ENABLE_MOCK_HOST?: string;
       
       // Server-side environment variables
       NODE_ENV: 'development' | 'production' | 'test';
       ENVIRONMENT?: string;
       API_SECRET?: string;
       DATABASE_URL?: string;
+
+      // Farcaster
+      NEYNAR_API_KEY?: string;
+      FARCASTER_HUB_URL?: string;
+      FARCASTER_APP_KEY_FIXTURES?: string;
+      FARCASTER_CUSTODY_FIXTURES?: string;
+      SESSION_SECRET?: string;
+      NEXT_PUBLIC_APP_DOMAIN?: string;
+      FARCASTER_APP_NAME?: string;
+      FARCASTER_APP_BUTTON_TITLE?: string;
+      FARCASTER_APP_DESCRIPTION?: string;
+      FARCASTER_SPLASH_BACKGROUND_COLOR?: string;
+      FARCASTER_WEBHOOK_URL?: string;
+      FARCASTER_ICON_URL?: string;
+      FARCASTER_IMAGE_URL?: string;
+      FARCASTER_SPLASH_IMAGE_URL?: string;
+      FARCASTER_HERO_IMAGE_URL?: string;
+      FARCASTER_OG_IMAGE_URL?: string;
+      FARCASTER_ACCOUNT_ASSOCIATION?: string;
+      FARCASTER_BEARER_TOKEN?: string;
+      SCHEDULED_CASTS_FILE?: string;
       
       // Cloudflare-specific
       CF_ACCOUNT_ID?: string;
@@ -67,6 +89,7 @@ export interface CloudflareEnv {
   // Environment variables
   ENVIRONMENT: string;
   API_SECRET?: string;
+  FARCASTER_BEARER_TOKEN?: string;
   
   // Assets
   ASSETS: Fetcher;
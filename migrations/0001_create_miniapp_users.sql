@@ -0,0 +1,12 @@
+-- Per-FID mini app install state and notification tokens
+CREATE TABLE IF NOT EXISTS miniapp_users (
+  fid INTEGER PRIMARY KEY,
+  added INTEGER NOT NULL DEFAULT 0,
+  notifications_enabled INTEGER NOT NULL DEFAULT 0,
+  notification_url TEXT,
+  notification_token TEXT,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_miniapp_users_notifications
+  ON miniapp_users (notifications_enabled);
@@ -0,0 +1,8 @@
+-- Single-use Sign In with Farcaster nonces
+CREATE TABLE IF NOT EXISTS auth_nonces (
+  nonce TEXT PRIMARY KEY,
+  expires_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_nonces_expires_at
+  ON auth_nonces (expires_at);
@@ -0,0 +1,17 @@
+-- Casts published by the cron trigger; cast_draft and results hold JSON
+CREATE TABLE IF NOT EXISTS scheduled_casts (
+  id TEXT PRIMARY KEY,
+  status TEXT NOT NULL,
+  scheduled_at TEXT NOT NULL,
+  next_attempt_at TEXT NOT NULL,
+  every TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  idempotency_key TEXT NOT NULL,
+  cast_draft TEXT NOT NULL,
+  results TEXT NOT NULL DEFAULT '[]',
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_casts_due
+  ON scheduled_casts (status, next_attempt_at);
@@ -0,0 +1,12 @@
+/**
+ * Types for the worker `opennextjs-cloudflare build` generates, imported by
+ * worker.ts. The file only exists after a build.
+ */
+declare module '*/.open-next/worker.js' {
+  export { DOQueueHandler } from '@opennextjs/cloudflare/durable-objects/queue';
+  export { DOShardedTagCache } from '@opennextjs/cloudflare/durable-objects/sharded-tag-cache';
+  export { BucketCachePurge } from '@opennextjs/cloudflare/durable-objects/bucket-cache-purge';
+
+  const handler: { fetch: ExportedHandlerFetchHandler };
+  export default handler;
+}
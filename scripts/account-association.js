@@ -0,0 +1,111 @@
+const { decode } = require('@farcaster/jfs');
+const { hexlify, verifyMessage } = require('ethers');
+const {
+  FixtureCustodyResolver,
+  HubCustodyResolver,
+  getCustodyResolver,
+} = require('../src/lib/auth/custody-resolver');
+
+/**
+ * Account association verification shared by the manifest scripts
+ *
+ * An account association is a JSON Farcaster Signature (JFS): the custody
+ * address in the header signs "header.payload" with EIP-191, and the payload
+ * names the domain the manifest is served from. The custody check uses the
+ * app's resolvers (src/lib/auth/custody-resolver.js); without NEYNAR_API_KEY
+ * or FARCASTER_CUSTODY_FIXTURES it is skipped with a warning.
+ */
+
+/**
+ * Turns the JFS signature field into a 0x-prefixed hex signature. Our
+ * generator stores base64url of the hex string; other tools store base64url
+ * of the raw 65 bytes.
+ */
+function decodeSignature(signature) {
+  const bytes = Buffer.from(signature, 'base64url');
+  const asText = bytes.toString('utf8');
+  if (/^0x[0-9a-fA-F]{130}$/.test(asText)) {
+    return asText;
+  }
+  if (bytes.length === 65) {
+    return hexlify(bytes);
+  }
+  throw new Error('Signature is neither a hex string nor 65 raw bytes');
+}
+
+/**
+ * Verifies an account association
+ *
+ * @param {{header: string, payload: string, signature: string}} accountAssociation
+ * @param {object} [options]
+ * @param {string} [options.domain] - Domain the manifest is deployed on
+ * @param {import('../src/lib/auth/custody-resolver').CustodyResolver|null} [options.resolver] - FID→custody check, skipped when null
+ * @returns {Promise<{valid: boolean, errors: string[], warnings: string[], fid?: number, key?: string, signer?: string, domain?: string}>}
+ */
+async function verifyAccountAssociation(accountAssociation, { domain, resolver = null } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  let header;
+  let payload;
+  try {
+    ({ header, payload } = decode(accountAssociation));
+  } catch (error) {
+    return { valid: false, errors: [`Could not decode account association: ${error.message}`], warnings };
+  }
+
+  if (header.type !== 'custody') {
+    warnings.push(`Header type is "${header.type}", expected "custody"`);
+  }
+
+  let signer;
+  try {
+    const signature = decodeSignature(accountAssociation.signature);
+    signer = verifyMessage(`${accountAssociation.header}.${accountAssociation.payload}`, signature);
+  } catch (error) {
+    errors.push(`Could not recover signer: ${error.message}`);
+  }
+
+  if (signer && signer.toLowerCase() !== String(header.key).toLowerCase()) {
+    errors.push(`Signature was made by ${signer}, but the header key is ${header.key}`);
+  }
+
+  if (!payload.domain) {
+    errors.push('Payload has no domain');
+  } else if (domain && payload.domain !== domain) {
+    errors.push(`Payload is signed for ${payload.domain}, but the manifest is deployed on ${domain}`);
+  }
+
+  if (resolver && signer) {
+    try {
+      const fid = await resolver.getFidForAddress(signer);
+      if (fid === null) {
+        errors.push(`${signer} is not the custody address of any FID`);
+      } else if (fid !== header.fid) {
+        errors.push(`${signer} is the custody address of FID ${fid}, but the header claims FID ${header.fid}`);
+      }
+    } catch (error) {
+      warnings.push(`Custody check skipped: ${error.message}`);
+    }
+  } else if (!resolver) {
+    warnings.push('Custody check skipped: set NEYNAR_API_KEY or FARCASTER_CUSTODY_FIXTURES to check the FID');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    fid: header.fid,
+    key: header.key,
+    signer,
+    domain: payload.domain,
+  };
+}
+
+module.exports = {
+  HubCustodyResolver,
+  FixtureCustodyResolver,
+  getCustodyResolver,
+  decodeSignature,
+  verifyAccountAssociation,
+};
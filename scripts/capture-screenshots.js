@@ -0,0 +1,526 @@
+#!/usr/bin/env node
+
+import "dotenv/config";
+import { spawn } from "child_process";
+import { join } from "path";
+import { existsSync, mkdirSync, writeFileSync } from "fs";
+import { updateFarcasterConfigImageUrls } from "./generate-icon.js";
+import {
+  ASSET_SIZES,
+  MAX_SCREENSHOTS,
+  clearStaleScreenshots,
+  writePublicFile,
+} from "./generate-asset-set.js";
+
+/**
+ * Screenshot Engine for Farcaster Mini Apps
+ *
+ * Captures routes of the app with Playwright at several viewports and colour
+ * schemes. Chromium runs locally by default; set SCREENSHOT_BACKEND=browserless
+ * (or pass --backend browserless) to drive a Browserless instance instead.
+ *
+ * When no server answers at the target URL, the Next.js dev server (or
+ * `next start` with --server start) is started for the run and stopped after.
+ *
+ * Every capture is saved to screenshots/<route>-<viewport>-<scheme>.png, which
+ * is gitignored and outside public/ so it is not deployed.
+ * Captures at the manifest screenshot size (the `mobile` viewport, 1284x2778)
+ * are also copied to public/images/screenshot-N.png and written to
+ * screenshotUrls in farcaster.json, one per route and at most three.
+ *
+ * Usage:
+ *   node scripts/capture-screenshots.js
+ *   node scripts/capture-screenshots.js --routes /,/profile --viewports mobile,embed --color-schemes light,dark
+ *   node scripts/capture-screenshots.js --url https://your-domain.ngrok.app --no-manifest
+ *
+ * Environment:
+ *   SCREENSHOT_URL           App URL to capture instead of a local server
+ *   SCREENSHOT_BACKEND       local (default) or browserless
+ *   BROWSERLESS_API_URL      Browserless endpoint, e.g. https://production-sfo.browserless.io
+ *   BROWSERLESS_API_TOKEN    Browserless token, when the instance needs one
+ */
+
+/**
+ * Named viewports. `mobile` renders at 3x so the PNG is exactly the
+ * 1284x2778 portrait size the manifest asks for.
+ */
+const VIEWPORTS = {
+  mobile: { width: 428, height: 926, deviceScaleFactor: 3, isMobile: true },
+  // Size of the mini app frame in the Warpcast web client
+  miniapp: { width: 424, height: 695, deviceScaleFactor: 1, isMobile: true },
+  embed: { width: 768, height: 512, deviceScaleFactor: 1, isMobile: false },
+  desktop: { width: 1280, height: 800, deviceScaleFactor: 1, isMobile: false },
+};
+
+const COLOR_SCHEMES = ["light", "dark"];
+const BACKENDS = ["local", "browserless"];
+
+const DEFAULT_PORT = 3000;
+const SERVER_START_TIMEOUT = 120; // seconds, the first dev compile is slow
+const NAVIGATION_TIMEOUT = 60; // seconds
+
+const OUTPUT_DIR = join(process.cwd(), "screenshots");
+
+/**
+ * Turns a route into a filename-safe slug, "/" → "home"
+ * @param {string} route - The route path
+ * @returns {string}
+ */
+function routeSlug(route) {
+  const slug = route
+    .replace(/[?#].*$/, "")
+    .replace(/^\/+|\/+$/g, "")
+    .replace(/[^a-z0-9]+/gi, "-")
+    .toLowerCase();
+  return slug || "home";
+}
+
+/**
+ * Builds the URL to capture. skip=true makes the app skip waiting for a
+ * Farcaster host, which a plain browser does not have.
+ * @param {string} baseUrl - The app origin
+ * @param {string} route - The route path
+ * @returns {string}
+ */
+function buildCaptureUrl(baseUrl, route) {
+  const url = new URL(route, baseUrl);
+  url.searchParams.set("skip", "true");
+  return url.toString();
+}
+
+/**
+ * Checks whether something answers at the URL
+ * @param {string} url - URL to probe
+ * @returns {Promise<boolean>}
+ */
+async function isServerUp(url) {
+  try {
+    const response = await fetch(url, {
+      signal: AbortSignal.timeout(5000),
+      headers: { "ngrok-skip-browser-warning": "true" },
+    });
+    return response.status < 500;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Starts `next dev` or `next start` on the port and waits until it answers
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on
+ * @param {"dev"|"start"} options.mode - Which Next.js server to run
+ * @returns {Promise<{url: string, stop: () => void}>}
+ */
+async function startAppServer({ port, mode }) {
+  const url = `http://localhost:${port}`;
+  const nextBin = join(process.cwd(), "node_modules", ".bin", "next");
+
+  if (mode === "start" && !existsSync(join(process.cwd(), ".next", "BUILD_ID"))) {
+    throw new Error("No production build found. Run `pnpm build` first or use --server dev");
+  }
+
+  console.log(`🚀 Starting next ${mode} on port ${port}...`);
+  // Own process group, so stopping it also stops the workers Next.js forks
+  const server = spawn(nextBin, [mode, "-p", String(port)], {
+    cwd: process.cwd(),
+    stdio: ["ignore", "ignore", "inherit"],
+    detached: true,
+  });
+
+  let exitCode = null;
+  server.on("exit", (code) => {
+    exitCode = code ?? 1;
+  });
+
+  const stop = () => {
+    if (exitCode === null) {
+      try {
+        process.kill(-server.pid, "SIGTERM");
+      } catch {
+        // Already gone
+      }
+    }
+  };
+
+  const deadline = Date.now() + SERVER_START_TIMEOUT * 1000;
+  while (Date.now() < deadline) {
+    if (exitCode !== null) {
+      throw new Error(`next ${mode} exited with code ${exitCode}`);
+    }
+    if (await isServerUp(url)) {
+      console.log(`✅ Server ready at ${url}`);
+      return { url, stop };
+    }
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+
+  stop();
+  throw new Error(`next ${mode} did not answer within ${SERVER_START_TIMEOUT}s`);
+}
+
+/**
+ * Gives the app URL to capture: the one passed in when it answers,
+ * otherwise a server started for the run
+ * @param {Object} options
+ * @param {string} [options.url] - App URL to use
+ * @param {number} [options.port] - Port for a local server
+ * @param {"dev"|"start"} [options.mode] - Which Next.js server to start
+ * @returns {Promise<{url: string, stop: () => void}>}
+ */
+async function resolveAppServer({ url, port = DEFAULT_PORT, mode = "dev" }) {
+  if (url) {
+    const fullUrl = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+    if (!(await isServerUp(fullUrl))) {
+      throw new Error(`Nothing answers at ${fullUrl}`);
+    }
+    return { url: fullUrl, stop: () => {} };
+  }
+
+  const localUrl = `http://localhost:${port}`;
+  if (await isServerUp(localUrl)) {
+    console.log(`♻️  Using the server already running at ${localUrl}`);
+    return { url: localUrl, stop: () => {} };
+  }
+
+  return startAppServer({ port, mode });
+}
+
+/**
+ * Opens a browser on the chosen backend
+ * @param {"local"|"browserless"} backend - Where Chromium runs
+ * @returns {Promise<import("playwright").Browser>}
+ */
+async function launchBrowser(backend) {
+  const { chromium } = await import("playwright");
+
+  if (backend === "browserless") {
+    const apiUrl = process.env.BROWSERLESS_API_URL;
+    if (!apiUrl) {
+      throw new Error("BROWSERLESS_API_URL is not set");
+    }
+    const endpoint = new URL(apiUrl);
+    endpoint.protocol = endpoint.protocol === "http:" ? "ws:" : "wss:";
+    if (process.env.BROWSERLESS_API_TOKEN) {
+      endpoint.searchParams.set("token", process.env.BROWSERLESS_API_TOKEN);
+    }
+    console.log(`🔗 Connecting to Browserless at ${endpoint.host}...`);
+    return chromium.connectOverCDP(endpoint.toString());
+  }
+
+  try {
+    return await chromium.launch();
+  } catch (error) {
+    if (error.message.includes("Executable doesn't exist")) {
+      throw new Error(
+        "Chromium is not installed. Run `pnpm exec playwright install chromium` or use --backend browserless",
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Captures one page. Animations are stopped and the caret hidden so the
+ * same page gives the same pixels on every run.
+ * @param {import("playwright").Browser} browser - Open browser
+ * @param {string} url - Page URL
+ * @param {Object} viewport - One of VIEWPORTS
+ * @param {"light"|"dark"} colorScheme - Emulated prefers-color-scheme
+ * @param {boolean} [fullPage] - Capture the whole scrollable page
+ * @returns {Promise<Buffer>} - PNG image
+ */
+async function capturePage(browser, url, viewport, colorScheme, fullPage = false) {
+  const context = await browser.newContext({
+    viewport: { width: viewport.width, height: viewport.height },
+    deviceScaleFactor: viewport.deviceScaleFactor,
+    isMobile: viewport.isMobile,
+    hasTouch: viewport.isMobile,
+    colorScheme,
+    extraHTTPHeaders: { "ngrok-skip-browser-warning": "true" },
+  });
+
+  try {
+    const page = await context.newPage();
+    await page.goto(url, {
+      waitUntil: "networkidle",
+      timeout: NAVIGATION_TIMEOUT * 1000,
+    });
+    return await page.screenshot({
+      type: "png",
+      fullPage,
+      animations: "disabled",
+      caret: "hide",
+    });
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Takes a single screenshot, opening and closing the browser around it
+ * @param {string} url - Page URL
+ * @param {Object} [options]
+ * @param {{width: number, height: number, deviceScaleFactor?: number, isMobile?: boolean}} [options.viewport] - Viewport size
+ * @param {"light"|"dark"} [options.colorScheme] - Emulated prefers-color-scheme
+ * @param {"local"|"browserless"} [options.backend] - Where Chromium runs
+ * @returns {Promise<Buffer>} - PNG image
+ */
+async function takeScreenshot(url, { viewport = VIEWPORTS.embed, colorScheme = "light", backend = resolveBackend() } = {}) {
+  const browser = await launchBrowser(backend);
+  try {
+    return await capturePage(
+      browser,
+      url,
+      { deviceScaleFactor: 1, isMobile: false, ...viewport },
+      colorScheme,
+    );
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Picks the backend from the argument or SCREENSHOT_BACKEND
+ * @param {string} [backend] - Backend name
+ * @returns {"local"|"browserless"}
+ */
+function resolveBackend(backend = process.env.SCREENSHOT_BACKEND || "local") {
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown screenshot backend "${backend}". Use one of: ${BACKENDS.join(", ")}`);
+  }
+  return backend;
+}
+
+/**
+ * @typedef {Object} Capture
+ * @property {string} route - Route path
+ * @property {string} viewport - Name from VIEWPORTS
+ * @property {"light"|"dark"} colorScheme - Emulated prefers-color-scheme
+ * @property {string} name - File name without extension, <route>-<viewport>-<scheme>
+ * @property {string} browser - Backend and browser version, e.g. "local chromium 140.0.7339.16"
+ * @property {Buffer} buffer - PNG image
+ */
+
+/**
+ * Captures every route at every viewport and colour scheme and returns the
+ * images without saving them
+ * @param {Object} [options]
+ * @param {string} [options.url] - App URL, defaults to SCREENSHOT_URL or a local server
+ * @param {number} [options.port] - Port for a local server
+ * @param {"dev"|"start"} [options.server] - Which Next.js server to start
+ * @param {string[]} [options.routes] - Route paths
+ * @param {string[]} [options.viewports] - Names from VIEWPORTS
+ * @param {string[]} [options.colorSchemes] - light and/or dark
+ * @param {string} [options.backend] - local or browserless
+ * @param {boolean} [options.fullPage] - Capture whole pages instead of the viewport
+ * @returns {Promise<Capture[]>}
+ */
+async function captureRoutes({
+  url = process.env.SCREENSHOT_URL,
+  port,
+  server,
+  routes = ["/"],
+  viewports = ["mobile"],
+  colorSchemes = ["light"],
+  backend,
+  fullPage = false,
+} = {}) {
+  for (const name of viewports) {
+    if (!VIEWPORTS[name]) {
+      throw new Error(`Unknown viewport "${name}". Use one of: ${Object.keys(VIEWPORTS).join(", ")}`);
+    }
+  }
+  for (const scheme of colorSchemes) {
+    if (!COLOR_SCHEMES.includes(scheme)) {
+      throw new Error(`Unknown color scheme "${scheme}". Use one of: ${COLOR_SCHEMES.join(", ")}`);
+    }
+  }
+
+  const browserBackend = resolveBackend(backend);
+  const app = await resolveAppServer({ url, port, mode: server });
+  const captures = [];
+
+  try {
+    const browser = await launchBrowser(browserBackend);
+    const browserName = `${browserBackend} ${browser.browserType().name()} ${browser.version()}`;
+    try {
+      for (const route of routes) {
+        const pageUrl = buildCaptureUrl(app.url, route);
+        for (const viewportName of viewports) {
+          for (const colorScheme of colorSchemes) {
+            const startTime = Date.now();
+            console.log(`\n📸 ${route} at ${viewportName} (${colorScheme})...`);
+
+            const buffer = await capturePage(
+              browser,
+              pageUrl,
+              VIEWPORTS[viewportName],
+              colorScheme,
+              fullPage,
+            );
+
+            const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+            console.log(`✅ Captured in ${duration}s`);
+            captures.push({
+              route,
+              viewport: viewportName,
+              colorScheme,
+              name: `${routeSlug(route)}-${viewportName}-${colorScheme}`,
+              browser: browserName,
+              buffer,
+            });
+          }
+        }
+      }
+    } finally {
+      await browser.close();
+    }
+  } finally {
+    app.stop();
+  }
+
+  return captures;
+}
+
+/**
+ * Captures every route at every viewport and colour scheme into
+ * screenshots/ and updates the manifest screenshots
+ * @param {Object} [options] - Options for captureRoutes, plus:
+ * @param {boolean} [options.updateManifest] - Write screenshotUrls to farcaster.json
+ * @returns {Promise<Object[]>} - One {route, viewport, colorScheme, file} per capture
+ */
+async function captureScreenshots({ updateManifest = true, ...options } = {}) {
+  const captures = await captureRoutes(options);
+
+  if (!existsSync(OUTPUT_DIR)) {
+    mkdirSync(OUTPUT_DIR, { recursive: true });
+  }
+  for (const capture of captures) {
+    writeFileSync(join(OUTPUT_DIR, `${capture.name}.png`), capture.buffer);
+    console.log(`💾 Saved screenshots/${capture.name}.png`);
+  }
+
+  if (updateManifest) {
+    updateManifestScreenshots(captures, options.colorSchemes?.[0] ?? "light");
+  }
+
+  return captures.map(({ route, viewport, colorScheme, name }) => ({
+    route,
+    viewport,
+    colorScheme,
+    file: `${name}.png`,
+  }));
+}
+
+/**
+ * Copies the captures at the manifest size to public/images/screenshot-N.png
+ * and points screenshotUrls at them
+ * @param {Capture[]} captures - Results from captureRoutes
+ * @param {string} colorScheme - Scheme to use for the manifest
+ */
+function updateManifestScreenshots(captures, colorScheme) {
+  const { width, height } = ASSET_SIZES.screenshot;
+  const manifestCaptures = captures
+    .filter((capture) => {
+      const viewport = VIEWPORTS[capture.viewport];
+      return (
+        capture.colorScheme === colorScheme &&
+        viewport.width * viewport.deviceScaleFactor === width &&
+        viewport.height * viewport.deviceScaleFactor === height
+      );
+    })
+    .slice(0, MAX_SCREENSHOTS);
+
+  if (manifestCaptures.length === 0) {
+    console.log(
+      `\nℹ️  No ${width}x${height} captures, so screenshotUrls was left as is (add --viewports mobile)`,
+    );
+    return;
+  }
+
+  console.log("\n📝 Updating screenshotUrls...");
+  const paths = manifestCaptures.map((capture, index) =>
+    writePublicFile(`images/screenshot-${index + 1}.png`, capture.buffer),
+  );
+  clearStaleScreenshots(paths.length);
+  updateFarcasterConfigImageUrls({ screenshotUrls: paths });
+}
+
+/**
+ * Parses the command line options shared by the screenshot scripts
+ * @param {string[]} args - Arguments after the script path
+ * @param {Object} [extra]
+ * @param {Object<string, string>} [extra.flags] - Boolean flags, option name by flag
+ * @param {Object<string, string>} [extra.numbers] - Numeric options, option name by flag
+ * @returns {Object} - Options for captureRoutes
+ */
+function parseCaptureArgs(args, { flags = {}, numbers = {} } = {}) {
+  const lists = { "--routes": "routes", "--viewports": "viewports", "--color-schemes": "colorSchemes" };
+  const values = { "--url": "url", "--backend": "backend", "--server": "server" };
+  const allNumbers = { "--port": "port", ...numbers };
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (flags[args[i]]) {
+      options[flags[args[i]]] = true;
+      continue;
+    }
+
+    const [flag, inlineValue] = args[i].split(/=(.*)/s);
+    if (!lists[flag] && !values[flag] && !allNumbers[flag]) {
+      throw new Error(`Unknown option: ${args[i]}`);
+    }
+    const value = inlineValue ?? args[++i];
+    if (!value) {
+      throw new Error(`${flag} needs a value`);
+    }
+
+    if (lists[flag]) {
+      options[lists[flag]] = value.split(",").map((item) => item.trim()).filter(Boolean);
+    } else if (allNumbers[flag]) {
+      options[allNumbers[flag]] = Number(value);
+      if (!Number.isFinite(options[allNumbers[flag]])) {
+        throw new Error(`${flag} needs a number`);
+      }
+    } else {
+      options[values[flag]] = value;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Main function for the command line
+ */
+async function main() {
+  console.log("📸 Screenshot Engine for Farcaster Mini Apps");
+
+  try {
+    const { keepManifest, ...options } = parseCaptureArgs(process.argv.slice(2), {
+      flags: { "--no-manifest": "keepManifest" },
+    });
+    const captures = await captureScreenshots({ ...options, updateManifest: !keepManifest });
+    console.log(`\n🎉 Captured ${captures.length} screenshot(s)`);
+  } catch (error) {
+    console.error("\n❌ Error capturing screenshots:");
+    console.error("💥", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script when executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export {
+  VIEWPORTS,
+  COLOR_SCHEMES,
+  captureRoutes,
+  captureScreenshots,
+  parseCaptureArgs,
+  resolveAppServer,
+  takeScreenshot,
+};
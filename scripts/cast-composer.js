@@ -0,0 +1,211 @@
+const { readFileSync } = require('fs');
+const { casts: CAST_RULES } = require('../src/config/farcaster-client.json');
+
+/**
+ * Cast composition for the farcaster CLI
+ *
+ * Turns command line input into a cast draft the client API accepts, in the
+ * shape the farcaster.xyz web client sends: text checked against the byte
+ * limit with @username mentions left in it (each one is looked up first, so
+ * a typo fails before anything is posted), up to two embed URLs (a cast is
+ * quoted by embedding its URL), and either a parent cast (reply) or a channel.
+ */
+
+// Limits and patterns shared with src/lib/farcaster/casts.ts
+const CAST_MAX_BYTES = CAST_RULES.maxBytes;
+const LONG_CAST_MAX_BYTES = CAST_RULES.longMaxBytes;
+const MAX_EMBEDS = CAST_RULES.maxEmbeds;
+const MAX_MENTIONS = CAST_RULES.maxMentions;
+
+// Fnames are up to 16 lowercase letters, digits and hyphens; ENS names end in .eth.
+// The lookbehind skips email addresses and the like.
+const MENTION_PATTERN = new RegExp(CAST_RULES.mentionPattern, 'gi');
+const CAST_HASH_PATTERN = new RegExp(CAST_RULES.castHashPattern, 'i');
+// The quote syntax earlier versions accepted, <fid>:<0x hash>
+const CAST_ID_PATTERN = /^\d+:0x[0-9a-f]+$/i;
+const CHANNEL_KEY_PATTERN = new RegExp(CAST_RULES.channelKeyPattern);
+
+/**
+ * @typedef {Object} CastDraft
+ * @property {string} text - Text as written, mentions included
+ * @property {string[]} embeds - URLs, including the URLs of quoted casts
+ * @property {string} [parentHash] - Cast being replied to
+ * @property {string} [channelKey] - Channel to post in
+ */
+
+/**
+ * Invalid cast input (too long, bad hash, too many embeds)
+ */
+class CastValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CastValidationError';
+  }
+}
+
+/**
+ * Looks usernames up with the Farcaster client API
+ */
+class ClientMentionResolver {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async getFidForUsername(username) {
+    const user = await this.client.getUserByUsername(username);
+    return user?.fid ?? null;
+  }
+}
+
+/**
+ * Static username → FID map for offline runs
+ */
+class FixtureMentionResolver {
+  constructor(fixtures = {}) {
+    this.fids = new Map(
+      Object.entries(fixtures).map(([username, fid]) => [username.toLowerCase(), Number(fid)])
+    );
+  }
+
+  async getFidForUsername(username) {
+    return this.fids.get(username.toLowerCase()) ?? null;
+  }
+}
+
+/**
+ * Fixtures from FARCASTER_MENTION_FIXTURES when present, the client API when
+ * there is a client, otherwise null (mentions are not checked)
+ * @param {import('./farcaster-client').FarcasterClient|null} client - Client that can make real requests
+ * @param {NodeJS.ProcessEnv} [env]
+ */
+function getMentionResolver(client, env = process.env) {
+  if (env.FARCASTER_MENTION_FIXTURES) {
+    try {
+      return new FixtureMentionResolver(JSON.parse(env.FARCASTER_MENTION_FIXTURES));
+    } catch {
+      console.error('⚠️  FARCASTER_MENTION_FIXTURES is not valid JSON, ignoring it');
+    }
+  }
+  return client ? new ClientMentionResolver(client) : null;
+}
+
+/**
+ * Reads the cast text from a file, or from stdin when the path is "-".
+ * One trailing newline (what editors and `echo` add) is dropped.
+ * @param {string} path - File path or "-"
+ */
+function readCastText(path) {
+  const text = readFileSync(path === '-' ? 0 : path, 'utf8');
+  return text.replace(/\r?\n$/, '');
+}
+
+/**
+ * Checks an embed URL. Quoting a cast means embedding its URL, e.g.
+ * https://farcaster.xyz/<username>/<hash>
+ * @param {string} value
+ */
+function parseEmbed(value) {
+  if (CAST_ID_PATTERN.test(value)) {
+    throw new CastValidationError(
+      `Quote a cast by embedding its URL (https://farcaster.xyz/<username>/<hash>) instead of ${value}`
+    );
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new CastValidationError(`Embed must be a URL: ${value}`);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new CastValidationError(`Embed URL must use http or https: ${value}`);
+  }
+  return value;
+}
+
+/**
+ * Looks up every @username mention. The text is sent as written and the
+ * API links the mentions, so this only makes sure each one is a real user.
+ * @param {string} text - Text as written
+ * @param {{getFidForUsername(username: string): Promise<number|null>}} resolver
+ * @returns {Promise<Array<{username: string, fid: number}>>} - One entry per mentioned user
+ */
+async function checkMentions(text, resolver) {
+  const matches = [...text.matchAll(MENTION_PATTERN)];
+  if (matches.length > MAX_MENTIONS) {
+    throw new CastValidationError(`A cast can mention at most ${MAX_MENTIONS} users, found ${matches.length}`);
+  }
+
+  const users = [];
+  for (const username of new Set(matches.map((match) => match[1].toLowerCase()))) {
+    const fid = await resolver.getFidForUsername(username);
+    if (!fid) {
+      throw new CastValidationError(`Unknown Farcaster user @${username}`);
+    }
+    users.push({ username, fid });
+  }
+  return users;
+}
+
+/**
+ * Builds and checks a cast draft
+ * @param {Object} input
+ * @param {string} input.text - Text as written
+ * @param {string[]} [input.embeds] - URLs, cast URLs for quotes
+ * @param {string} [input.replyTo] - Parent cast hash
+ * @param {string} [input.channel] - Channel key, e.g. "farcaster"
+ * @param {boolean} [input.long] - Allow the long cast limit
+ * @param {{getFidForUsername(username: string): Promise<number|null>}|null} [input.resolver] -
+ *   Checks the mentions; without one they are sent unchecked
+ * @returns {Promise<CastDraft>}
+ */
+async function composeCast({ text, embeds = [], replyTo, channel, long = false, resolver = null }) {
+  if (!text || !text.trim()) {
+    throw new CastValidationError('Cast text is empty');
+  }
+  if (embeds.length > MAX_EMBEDS) {
+    throw new CastValidationError(`A cast can have at most ${MAX_EMBEDS} embeds, got ${embeds.length}`);
+  }
+  if (replyTo && channel) {
+    throw new CastValidationError('A reply goes to the parent cast\'s channel; use either --reply-to or --channel');
+  }
+  if (replyTo && !CAST_HASH_PATTERN.test(replyTo)) {
+    throw new CastValidationError(`Parent cast hash must be 0x followed by 40 hex characters: ${replyTo}`);
+  }
+  if (channel && !CHANNEL_KEY_PATTERN.test(channel)) {
+    throw new CastValidationError(`Channel must be 1-16 lowercase letters, digits or hyphens: ${channel}`);
+  }
+
+  const parsedEmbeds = embeds.map(parseEmbed);
+  if (resolver) {
+    await checkMentions(text, resolver);
+  }
+
+  const maxBytes = long ? LONG_CAST_MAX_BYTES : CAST_MAX_BYTES;
+  const bytes = Buffer.byteLength(text, 'utf8');
+  if (bytes > maxBytes) {
+    throw new CastValidationError(
+      `Cast text is ${bytes} bytes, the limit is ${maxBytes}${long ? '' : ` (${LONG_CAST_MAX_BYTES} with --long)`}`
+    );
+  }
+
+  return {
+    text,
+    embeds: parsedEmbeds,
+    ...(replyTo && { parentHash: replyTo.toLowerCase() }),
+    ...(channel && { channelKey: channel }),
+  };
+}
+
+module.exports = {
+  CAST_MAX_BYTES,
+  LONG_CAST_MAX_BYTES,
+  MAX_EMBEDS,
+  CastValidationError,
+  ClientMentionResolver,
+  FixtureMentionResolver,
+  checkMentions,
+  composeCast,
+  getMentionResolver,
+  readCastText,
+};
@@ -0,0 +1,131 @@
+const { readFileSync } = require('fs');
+const readline = require('readline');
+
+/**
+ * Custody signers for the account association script
+ *
+ * Every backend returns the same shape, which an ethers Wallet already has:
+ *   { address: string, signMessage(message: string): Promise<string> }
+ * signMessage must produce an EIP-191 (personal_sign) signature as 0x hex.
+ *
+ * Backends:
+ *   private-key  FARCASTER_CUSTODY_PRIVATE_KEY
+ *   mnemonic     FARCASTER_CUSTODY_MNEMONIC (or prompted), FARCASTER_CUSTODY_DERIVATION_PATH
+ *   keystore     FARCASTER_CUSTODY_KEYSTORE path to an encrypted JSON keystore, password prompted
+ *   offline      prints the data to sign and reads the signature back; needs FARCASTER_CUSTODY_ADDRESS
+ */
+
+const SIGNER_TYPES = ['private-key', 'mnemonic', 'keystore', 'offline'];
+
+const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/0";
+
+/**
+ * Ask a question on the terminal. Hidden answers are not echoed.
+ */
+function prompt(question, { hidden = false } = {}) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: true,
+    });
+
+    if (hidden) {
+      // Print the question, then swallow the echoed keystrokes
+      process.stdout.write(question);
+      rl._writeToOutput = () => {};
+    }
+
+    rl.question(hidden ? '' : question, (answer) => {
+      rl.close();
+      if (hidden) {
+        process.stdout.write('\n');
+      }
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Pick a backend from the environment when --signer is not given
+ */
+function detectSignerType(env = process.env) {
+  if (env.FARCASTER_CUSTODY_KEYSTORE) return 'keystore';
+  if (env.FARCASTER_CUSTODY_MNEMONIC) return 'mnemonic';
+  if (env.FARCASTER_CUSTODY_PRIVATE_KEY) return 'private-key';
+  return null;
+}
+
+/**
+ * Prints the message, waits for a signature made elsewhere (a hardware
+ * wallet, another machine) and checks it was made by the custody address
+ */
+function createOfflineSigner(address) {
+  return {
+    address,
+    async signMessage(message) {
+      const { verifyMessage } = await import('ethers');
+
+      console.log('\n✍️  Sign this message with personal_sign (EIP-191) from', address);
+      console.log('\n' + message + '\n');
+      const signature = await prompt('Paste the 0x signature: ');
+
+      const signer = verifyMessage(message, signature);
+      if (signer.toLowerCase() !== address.toLowerCase()) {
+        throw new Error(`Signature was made by ${signer}, expected ${address}`);
+      }
+      return signature;
+    },
+  };
+}
+
+/**
+ * Create a custody signer
+ * @param {string} type - One of SIGNER_TYPES
+ * @param {NodeJS.ProcessEnv} [env]
+ */
+async function createCustodySigner(type, env = process.env) {
+  const { HDNodeWallet, Wallet } = await import('ethers');
+
+  switch (type) {
+    case 'private-key': {
+      if (!env.FARCASTER_CUSTODY_PRIVATE_KEY) {
+        throw new Error('FARCASTER_CUSTODY_PRIVATE_KEY is not set');
+      }
+      return new Wallet(env.FARCASTER_CUSTODY_PRIVATE_KEY);
+    }
+
+    case 'mnemonic': {
+      const phrase = env.FARCASTER_CUSTODY_MNEMONIC || await prompt('🔑 Recovery phrase: ', { hidden: true });
+      const path = env.FARCASTER_CUSTODY_DERIVATION_PATH || DEFAULT_DERIVATION_PATH;
+      return HDNodeWallet.fromPhrase(phrase, undefined, path);
+    }
+
+    case 'keystore': {
+      if (!env.FARCASTER_CUSTODY_KEYSTORE) {
+        throw new Error('FARCASTER_CUSTODY_KEYSTORE is not set');
+      }
+      const json = readFileSync(env.FARCASTER_CUSTODY_KEYSTORE, 'utf8');
+      const password = await prompt('🔑 Keystore password: ', { hidden: true });
+      console.log('🔓 Decrypting keystore...');
+      return Wallet.fromEncryptedJson(json, password);
+    }
+
+    case 'offline': {
+      if (!env.FARCASTER_CUSTODY_ADDRESS) {
+        throw new Error('FARCASTER_CUSTODY_ADDRESS is required for offline signing');
+      }
+      return createOfflineSigner(env.FARCASTER_CUSTODY_ADDRESS);
+    }
+
+    default:
+      throw new Error(`Unknown signer "${type}". Use one of: ${SIGNER_TYPES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  SIGNER_TYPES,
+  DEFAULT_DERIVATION_PATH,
+  createCustodySigner,
+  detectSignerType,
+};
@@ -0,0 +1,456 @@
+const { randomUUID, randomBytes } = require('crypto');
+const { existsSync, readFileSync, writeFileSync } = require('fs');
+const { apiUrl, browserHeaders } = require('../src/config/farcaster-client.json');
+
+/**
+ * Farcaster client API shared by the scripts
+ *
+ * Talks to the API behind farcaster.xyz with the user's bearer token
+ * (FARCASTER_BEARER_TOKEN). Every write gets a fresh idempotency key that is
+ * kept across its retries, so a retried cast is not posted twice and two
+ * casts never collide.
+ *
+ * Requests go through a transport:
+ *   HttpTransport       fetch against client.farcaster.xyz
+ *   FixtureTransport    replays recorded responses, for offline runs (FARCASTER_FIXTURES)
+ *   RecordingTransport  passes through to HTTP and saves the exchanges (FARCASTER_RECORD)
+ *   DryRunTransport     sends nothing and answers with the request it would have sent
+ */
+
+// Shared with src/lib/farcaster/casts.ts through src/config/farcaster-client.json
+const FARCASTER_CLIENT_API_URL = apiUrl;
+
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY = 1000; // ms, doubled on every retry
+const MAX_RETRY_DELAY = 60000; // ms
+
+// Requests are sent like the farcaster.xyz web client's, which is what the
+// API is built for; the app's scheduled casts send the same headers
+const BROWSER_HEADERS = browserHeaders;
+
+/**
+ * @typedef {Object} TransportRequest
+ * @property {string} method - HTTP method
+ * @property {string} path - Path and query string, e.g. "/v2/casts"
+ * @property {Object<string, string>} headers - Request headers
+ * @property {*} [body] - JSON body
+ */
+
+/**
+ * @typedef {Object} TransportResponse
+ * @property {number} status - HTTP status
+ * @property {Object<string, string>} headers - Response headers, lower-case names
+ * @property {*} body - Parsed JSON body, or the text when it is not JSON
+ */
+
+/**
+ * Error for a failed API call. `status` is missing when the request never
+ * got an answer (network error).
+ */
+class FarcasterApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status code
+   * @param {string} [details.method] - HTTP method
+   * @param {string} [details.path] - Request path
+   * @param {*} [details.body] - Response body
+   * @param {number} [details.retryAfter] - Seconds the API asked us to wait
+   * @param {number} [details.attempts] - Attempts made before giving up
+   */
+  constructor(message, { status, method, path, body, retryAfter, attempts } = {}) {
+    super(message);
+    this.name = 'FarcasterApiError';
+    this.status = status;
+    this.method = method;
+    this.path = path;
+    this.body = body;
+    this.retryAfter = retryAfter;
+    this.attempts = attempts;
+  }
+
+  /**
+   * Rate limits, server errors and network errors are worth retrying
+   */
+  get isRetryable() {
+    return this.status === undefined || this.status === 429 || this.status >= 500;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      status: this.status,
+      method: this.method,
+      path: this.path,
+      body: this.body,
+      retryAfter: this.retryAfter,
+      attempts: this.attempts,
+    };
+  }
+}
+
+/**
+ * Sends requests with fetch
+ */
+class HttpTransport {
+  constructor(baseUrl = FARCASTER_CLIENT_API_URL) {
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * @param {TransportRequest} request
+   * @returns {Promise<TransportResponse>}
+   */
+  async send({ method, path, headers, body }) {
+    const response = await fetch(new URL(path, this.baseUrl), {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch {
+      // Not JSON, keep the text
+    }
+
+    return {
+      status: response.status,
+      headers: Object.fromEntries(response.headers),
+      body: parsed,
+    };
+  }
+}
+
+/**
+ * Replays recorded responses. Each fixture is
+ * { request: { method, path }, response: { status, headers, body } };
+ * a request takes the first unused fixture with the same method and path,
+ * so a retry can be recorded as several fixtures in a row.
+ */
+class FixtureTransport {
+  constructor(fixtures = []) {
+    this.fixtures = fixtures.map((fixture) => ({ ...fixture, used: false }));
+    this.requests = [];
+  }
+
+  static fromFile(path) {
+    return new FixtureTransport(JSON.parse(readFileSync(path, 'utf8')));
+  }
+
+  async send(request) {
+    this.requests.push(request);
+
+    const fixture = this.fixtures.find((candidate) =>
+      !candidate.used &&
+      candidate.request.method === request.method &&
+      candidate.request.path === request.path
+    );
+    if (!fixture) {
+      throw new FarcasterApiError(`No recorded response for ${request.method} ${request.path}`, {
+        method: request.method,
+        path: request.path,
+      });
+    }
+
+    fixture.used = true;
+    return { headers: {}, body: null, ...fixture.response };
+  }
+}
+
+/**
+ * Sends through another transport and appends every exchange to a fixture
+ * file FixtureTransport can replay. The bearer token is not saved.
+ */
+class RecordingTransport {
+  constructor(path, inner = new HttpTransport()) {
+    this.path = path;
+    this.inner = inner;
+  }
+
+  async send(request) {
+    const response = await this.inner.send(request);
+
+    const fixtures = existsSync(this.path) ? JSON.parse(readFileSync(this.path, 'utf8')) : [];
+    fixtures.push({
+      request: { method: request.method, path: request.path, body: request.body },
+      response: { status: response.status, headers: response.headers, body: response.body },
+    });
+    writeFileSync(this.path, JSON.stringify(fixtures, null, 2) + '\n');
+
+    return response;
+  }
+}
+
+/**
+ * Answers every request with a description of it instead of sending it.
+ * Headers are left out so the bearer token is never printed.
+ */
+class DryRunTransport {
+  async send({ method, path, body }) {
+    return {
+      status: 200,
+      headers: {},
+      body: { dryRun: true, request: { method, path, body } },
+    };
+  }
+}
+
+/**
+ * Picks the transport from the environment: replay FARCASTER_FIXTURES,
+ * record to FARCASTER_RECORD, or plain HTTP
+ * @param {NodeJS.ProcessEnv} [env]
+ */
+function createTransport(env = process.env) {
+  if (env.FARCASTER_FIXTURES) {
+    return FixtureTransport.fromFile(env.FARCASTER_FIXTURES);
+  }
+  if (env.FARCASTER_RECORD) {
+    return new RecordingTransport(env.FARCASTER_RECORD);
+  }
+  return new HttpTransport();
+}
+
+/**
+ * Reads Retry-After as seconds (either delta-seconds or an HTTP date)
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return seconds;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, (date - Date.now()) / 1000);
+}
+
+/**
+ * Pulls a readable message out of an error body
+ */
+function describeErrorBody(body) {
+  if (!body) return '';
+  if (typeof body === 'string') return body.slice(0, 200);
+  const message = body.errors?.map((error) => error.message).join(', ') || body.error || body.message;
+  return typeof message === 'string' ? message : JSON.stringify(body).slice(0, 200);
+}
+
+/**
+ * @typedef {Object} CreateCastOptions
+ * @property {string} text - Cast text, @username mentions included
+ * @property {string[]} [embeds] - Embed URLs; a quoted cast is embedded by its URL
+ * @property {string} [parentHash] - Hash of the cast being replied to
+ * @property {string} [channelKey] - Channel to post in
+ */
+
+/**
+ * Farcaster client API with retries and idempotency keys
+ */
+class FarcasterClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.token - FARCASTER_BEARER_TOKEN
+   * @param {Object} [options.transport] - HttpTransport, FixtureTransport or RecordingTransport
+   * @param {number} [options.maxRetries] - Retries after the first attempt
+   * @param {number} [options.baseRetryDelay] - First backoff delay in ms
+   * @param {(ms: number) => Promise<void>} [options.sleep] - Waits between attempts
+   * @param {(message: string) => void} [options.log] - Receives retry messages
+   */
+  constructor({
+    token,
+    transport = new HttpTransport(),
+    maxRetries = MAX_RETRIES,
+    baseRetryDelay = BASE_RETRY_DELAY,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    log = (message) => console.log(message),
+  }) {
+    if (!token) {
+      throw new Error('A Farcaster bearer token is required');
+    }
+
+    this.token = token;
+    this.transport = transport;
+    this.maxRetries = maxRetries;
+    this.baseRetryDelay = baseRetryDelay;
+    this.sleep = sleep;
+    this.log = log;
+
+    // One analytics device and session per client instead of a shared id
+    this.deviceId = randomBytes(16).toString('base64url').slice(0, 22);
+    this.sessionId = String(Date.now());
+  }
+
+  /**
+   * Sends a request, retrying rate limits, server and network errors with
+   * exponential backoff (or the Retry-After the API sent, when it is at most
+   * MAX_RETRY_DELAY)
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under the API root
+   * @param {Object} [options]
+   * @param {Object<string, string>} [options.query] - Query parameters
+   * @param {*} [options.body] - JSON body
+   * @returns {Promise<*>} - Parsed response body
+   */
+  async request(method, path, { query, body } = {}) {
+    const search = query ? `?${new URLSearchParams(query)}` : '';
+    const fullPath = `${path}${search}`;
+
+    const headers = {
+      ...BROWSER_HEADERS,
+      'Content-Type': 'application/json; charset=utf-8',
+      Authorization: `Bearer ${this.token}`,
+      'fc-amplitude-device-id': this.deviceId,
+      'fc-amplitude-session-id': this.sessionId,
+    };
+    if (method !== 'GET') {
+      // Same key on every retry of this call, new key for the next call
+      headers['idempotency-key'] = randomUUID();
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      let error;
+      try {
+        const response = await this.transport.send({ method, path: fullPath, headers, body });
+        if (response.status >= 200 && response.status < 300) {
+          return response.body;
+        }
+
+        error = new FarcasterApiError(
+          `${method} ${path} failed: HTTP ${response.status}${response.body ? ` - ${describeErrorBody(response.body)}` : ''}`,
+          {
+            status: response.status,
+            method,
+            path: fullPath,
+            body: response.body,
+            retryAfter: parseRetryAfter(response.headers?.['retry-after']),
+          }
+        );
+      } catch (cause) {
+        // Transports throw FarcasterApiError for failures a retry cannot fix
+        if (cause instanceof FarcasterApiError) {
+          cause.attempts = attempt;
+          throw cause;
+        }
+        error = new FarcasterApiError(`${method} ${path} failed: ${cause.message}`, {
+          method,
+          path: fullPath,
+        });
+      }
+
+      error.attempts = attempt;
+      if (!error.isRetryable || attempt > this.maxRetries) {
+        throw error;
+      }
+
+      // Retrying before the Retry-After is up only hits the limit again, so
+      // one longer than MAX_RETRY_DELAY fails instead of being waited out
+      if (error.retryAfter !== undefined && error.retryAfter * 1000 > MAX_RETRY_DELAY) {
+        error.message += `. The API asked to wait ${Math.ceil(error.retryAfter)}s, ` +
+          `longer than the ${MAX_RETRY_DELAY / 1000}s the client waits; try again later`;
+        throw error;
+      }
+
+      const delay = error.retryAfter !== undefined
+        ? error.retryAfter * 1000
+        : Math.min(MAX_RETRY_DELAY, this.baseRetryDelay * 2 ** (attempt - 1));
+      this.log(`⏳ ${error.message}. Retrying in ${(delay / 1000).toFixed(1)}s (${attempt}/${this.maxRetries})...`);
+      await this.sleep(delay);
+    }
+  }
+
+  /**
+   * Posts a cast (see cast-composer.js for building one)
+   * @param {CreateCastOptions} cast
+   */
+  createCast({ text, embeds = [], parentHash, channelKey }) {
+    const body = { text, embeds };
+    if (parentHash) {
+      body.parent = { hash: parentHash };
+    }
+    if (channelKey) {
+      body.channelKey = channelKey;
+    }
+    return this.request('POST', '/v2/casts', { body });
+  }
+
+  /**
+   * Looks up a user by fname or ENS username
+   * @param {string} username - Username without the @
+   * @returns {Promise<Object|null>} - The user, or null when there is none
+   */
+  async getUserByUsername(username) {
+    try {
+      const data = await this.request('GET', '/v2/user-by-username', { query: { username } });
+      return data?.result?.user ?? null;
+    } catch (error) {
+      if (error instanceof FarcasterApiError && error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Adds a mini app to the user's favorites
+   * @param {string} domain - Mini app domain
+   */
+  favoriteFrame(domain) {
+    return this.request('PUT', '/v1/favorite-frames', { body: { domain } });
+  }
+
+  /**
+   * Removes a mini app from the user's favorites
+   * @param {string} domain - Mini app domain
+   */
+  unfavoriteFrame(domain) {
+    return this.request('DELETE', '/v1/favorite-frames', { body: { domain } });
+  }
+
+  /**
+   * Fetches Farcaster's view of a domain's manifest
+   * @param {string} domain - Mini app domain
+   */
+  debugDomainManifest(domain) {
+    return this.request('GET', '/v1/dev-tools/debug-domain-manifest', { query: { domain } });
+  }
+}
+
+/**
+ * Client configured from the environment (FARCASTER_BEARER_TOKEN and the
+ * transport variables). Replays from fixtures and dry runs do not need a
+ * real token.
+ * @param {NodeJS.ProcessEnv} [env]
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Use DryRunTransport
+ * @param {(message: string) => void} [options.log] - Receives retry messages
+ */
+function createClientFromEnv(env = process.env, { dryRun = false, log } = {}) {
+  const offline = dryRun || Boolean(env.FARCASTER_FIXTURES);
+  const token = env.FARCASTER_BEARER_TOKEN || (offline ? 'offline-token' : undefined);
+  if (!token) {
+    throw new Error('FARCASTER_BEARER_TOKEN is not set in your .env file.');
+  }
+  return new FarcasterClient({
+    token,
+    transport: dryRun ? new DryRunTransport() : createTransport(env),
+    log,
+  });
+}
+
+module.exports = {
+  FARCASTER_CLIENT_API_URL,
+  MAX_RETRY_DELAY,
+  FarcasterApiError,
+  FarcasterClient,
+  DryRunTransport,
+  FixtureTransport,
+  HttpTransport,
+  RecordingTransport,
+  createClientFromEnv,
+  createTransport,
+  parseRetryAfter,
+};
@@ -0,0 +1,839 @@
+#!/usr/bin/env node
+
+// dotenv prints to stdout, which --json keeps for the result. The variable
+// also quiets the modules below that load .env themselves.
+process.env.DOTENV_CONFIG_QUIET = 'true';
+require('dotenv').config();
+const { parseArgs } = require('util');
+const { decode } = require('@farcaster/jfs');
+const { createClientFromEnv, FarcasterApiError } = require('./farcaster-client');
+const { createCustodySigner, detectSignerType, SIGNER_TYPES } = require('./custody-signer');
+const {
+  CastValidationError,
+  MAX_EMBEDS,
+  composeCast,
+  getMentionResolver,
+  readCastText,
+} = require('./cast-composer');
+const { FarcasterAccountAssociationGenerator } = require('./generate-farcaster-account-association');
+const { getDefaultDomain } = require('./validate-manifest');
+
+/**
+ * farcaster: one entry point for the Farcaster scripts
+ *
+ * Usage:
+ *   node scripts/farcaster.js <command> [options]
+ *   pnpm farcaster cast --text "gm" --embed https://example.com
+ *   pnpm farcaster association generate --domain example.com --json
+ *   pnpm farcaster schedule create --at 2026-11-01T15:00:00Z --text-file launch.md
+ *
+ * Every command takes --help, --json (one JSON document on stdout, progress
+ * on stderr) and --dry-run (nothing is sent or written).
+ *
+ * Exit codes:
+ *   0  success
+ *   1  the command failed (API error, invalid manifest or association)
+ *   2  usage error (unknown command or option, missing argument)
+ *   3  missing configuration (token, FID, signer)
+ */
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  CONFIG: 3,
+};
+
+const GLOBAL_OPTIONS = {
+  help: { type: 'boolean', short: 'h', description: 'Show help' },
+  json: { type: 'boolean', description: 'Print the result as JSON' },
+  'dry-run': { type: 'boolean', description: 'Show what would happen without sending or writing anything' },
+};
+
+/**
+ * Bad command line, exits with EXIT_CODES.USAGE
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+    this.exitCode = EXIT_CODES.USAGE;
+  }
+}
+
+/**
+ * Missing environment or settings, exits with EXIT_CODES.CONFIG
+ */
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+    this.exitCode = EXIT_CODES.CONFIG;
+  }
+}
+
+/**
+ * A check that ran but did not pass (invalid manifest, bad signature).
+ * `details` holds the findings for --json.
+ */
+class CheckFailedError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'CheckFailedError';
+    this.exitCode = EXIT_CODES.FAILURE;
+    this.details = details;
+  }
+}
+
+/**
+ * The app's API answered with an error. `details` holds the response body.
+ */
+class AppApiError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'AppApiError';
+    this.exitCode = EXIT_CODES.FAILURE;
+    this.details = details;
+  }
+}
+
+/**
+ * Splits repeated and comma separated values, without duplicates
+ */
+function splitList(values = []) {
+  const items = values.flatMap((value) => value.split(',')).map((item) => item.trim()).filter(Boolean);
+  return [...new Set(items)];
+}
+
+/**
+ * The domain from --domain or NEXT_PUBLIC_APP_DOMAIN
+ */
+function requireDomain(values, env) {
+  const domain = values.domain || env.NEXT_PUBLIC_APP_DOMAIN;
+  if (!domain) {
+    throw new UsageError('--domain is required (or set NEXT_PUBLIC_APP_DOMAIN in .env)');
+  }
+  return domain;
+}
+
+/**
+ * The FID from --fid or FARCASTER_FID
+ */
+function requireFid(values, env) {
+  const fid = Number(values.fid || env.FARCASTER_FID);
+  if (!Number.isInteger(fid) || fid <= 0) {
+    throw new ConfigError('FARCASTER_FID is not set (or pass --fid)');
+  }
+  return fid;
+}
+
+/**
+ * API client for the command, or a ConfigError when there is no token
+ */
+function createClient({ env, dryRun }) {
+  try {
+    // Retry messages are progress, so they go where console.log goes
+    return createClientFromEnv(env, { dryRun, log: (message) => console.log(message) });
+  } catch (error) {
+    throw new ConfigError(error.message);
+  }
+}
+
+/**
+ * Prints an API result the way the old scripts did
+ */
+function printResult(message, result, dryRun) {
+  console.log(dryRun ? '🧪 Dry run, nothing was sent:' : message);
+  console.log(JSON.stringify(result, null, 2));
+}
+
+const CAST_OPTIONS = {
+  text: { type: 'string', description: 'Cast text; @username mentions are checked before posting' },
+  'text-file': { type: 'string', description: 'Read the text from a file, or from stdin with -' },
+  embed: { type: 'string', multiple: true, description: `URL, or a cast URL to quote it (up to ${MAX_EMBEDS})` },
+  'reply-to': { type: 'string', description: 'Hash of the cast to reply to' },
+  channel: { type: 'string', description: 'Channel key to post in, e.g. farcaster' },
+  long: { type: 'boolean', description: 'Allow long casts (1024 bytes instead of 320)' },
+};
+
+/**
+ * Builds a cast from the CAST_OPTIONS values (see cast-composer.js)
+ */
+async function composeFromOptions({ values, env }) {
+  if (values.text !== undefined && values['text-file'] !== undefined) {
+    throw new UsageError('Use either --text or --text-file');
+  }
+  if (values.text === undefined && values['text-file'] === undefined) {
+    throw new UsageError('--text or --text-file is required');
+  }
+
+  let text = values.text;
+  if (values['text-file'] !== undefined) {
+    try {
+      text = readCastText(values['text-file']);
+    } catch (error) {
+      throw new UsageError(`Could not read ${values['text-file']}: ${error.message}`);
+    }
+  }
+
+  // Checked in dry runs too when possible, so a preview catches unknown users
+  const lookupClient = env.FARCASTER_BEARER_TOKEN || env.FARCASTER_FIXTURES
+    ? createClient({ env, dryRun: false })
+    : null;
+  const resolver = getMentionResolver(lookupClient, env);
+  if (!resolver && text.includes('@')) {
+    console.log('⚠️  Mentions are not checked without FARCASTER_BEARER_TOKEN');
+  }
+
+  try {
+    return await composeCast({
+      text,
+      embeds: values.embed ?? [],
+      replyTo: values['reply-to'],
+      channel: values.channel,
+      long: values.long,
+      resolver,
+    });
+  } catch (error) {
+    if (error instanceof CastValidationError) {
+      throw new UsageError(error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Calls the app's API with API_SECRET (the scheduled casts routes). A dry
+ * run returns the request instead of sending it.
+ */
+async function requestAppApi({ values, env, dryRun }, method, path, body) {
+  const appUrl = values['app-url'] || env.NEXT_PUBLIC_APP_URL;
+  if (dryRun) {
+    return { dryRun: true, request: { method, url: `${appUrl || '<NEXT_PUBLIC_APP_URL>'}${path}`, body } };
+  }
+  if (!appUrl || !env.API_SECRET) {
+    throw new ConfigError('NEXT_PUBLIC_APP_URL (or --app-url) and API_SECRET must be set in your .env file');
+  }
+
+  let response;
+  try {
+    response = await fetch(`${appUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${env.API_SECRET}`,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  } catch (error) {
+    throw new AppApiError(`Could not reach ${appUrl}: ${error.cause?.message || error.message}`);
+  }
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = [data.error, ...(data.details ?? [])].filter(Boolean).join('; ');
+    throw new AppApiError(`${method} ${path} failed: HTTP ${response.status}${reason ? ` - ${reason}` : ''}`, data);
+  }
+  return data;
+}
+
+/**
+ * Prints scheduled casts with the start of their text
+ */
+function printScheduledCasts(casts) {
+  for (const scheduled of casts) {
+    const repeat = scheduled.every ? ` every ${scheduled.every}` : '';
+    const attempts = scheduled.attempts > 0 ? `, ${scheduled.attempts} failed attempt(s)` : '';
+    console.log(`   ${scheduled.id}  ${scheduled.status.padEnd(9)}  ${scheduled.nextAttemptAt}${repeat}${attempts}`);
+    console.log(`      ${JSON.stringify(scheduled.cast.text.slice(0, 60))}`);
+  }
+}
+
+const APP_URL_OPTION = {
+  'app-url': { type: 'string', description: 'Deployed app URL (default: NEXT_PUBLIC_APP_URL)' },
+};
+
+const COMMANDS = {
+  cast: {
+    summary: 'Post a cast, a reply or a cast in a channel',
+    usage: 'cast (--text <text> | --text-file <path>) [--embed <url>]... [--reply-to <hash> | --channel <key>] [--long]',
+    options: CAST_OPTIONS,
+    async run({ values, env, dryRun }) {
+      const client = createClient({ env, dryRun });
+      const cast = await composeFromOptions({ values, env });
+
+      console.log(cast.parentHash
+        ? `🚀 Replying to ${cast.parentHash}...`
+        : `🚀 Posting to ${cast.channelKey ? `/${cast.channelKey}` : 'Farcaster'}...`);
+      const result = await client.createCast(cast);
+      printResult('✅ Successfully posted to Farcaster:', result, dryRun);
+      return result;
+    },
+  },
+
+  favorite: {
+    summary: 'Add a mini app to your favorites',
+    usage: 'favorite [--domain <domain>]',
+    options: {
+      domain: { type: 'string', description: 'Mini app domain (default: NEXT_PUBLIC_APP_DOMAIN)' },
+    },
+    async run({ values, env, dryRun }) {
+      const domain = requireDomain(values, env);
+      const client = createClient({ env, dryRun });
+
+      console.log(`🚀 Favoriting frame for domain: ${domain}...`);
+      const result = await client.favoriteFrame(domain);
+      printResult('✅ Successfully favorited frame:', result, dryRun);
+      return result;
+    },
+  },
+
+  unfavorite: {
+    summary: 'Remove a mini app from your favorites',
+    usage: 'unfavorite [--domain <domain>]',
+    options: {
+      domain: { type: 'string', description: 'Mini app domain (default: NEXT_PUBLIC_APP_DOMAIN)' },
+    },
+    async run({ values, env, dryRun }) {
+      const domain = requireDomain(values, env);
+      const client = createClient({ env, dryRun });
+
+      console.log(`🚀 Unfavoriting frame for domain: ${domain}...`);
+      const result = await client.unfavoriteFrame(domain);
+      printResult('✅ Successfully unfavorited frame:', result, dryRun);
+      return result;
+    },
+  },
+
+  'debug-manifest': {
+    summary: "Show Farcaster's view of a domain's manifest",
+    usage: 'debug-manifest [--domain <domain>]',
+    options: {
+      domain: { type: 'string', description: 'Mini app domain (default: NEXT_PUBLIC_APP_DOMAIN)' },
+    },
+    async run({ values, env, dryRun }) {
+      const domain = requireDomain(values, env);
+      const client = createClient({ env, dryRun });
+
+      console.log(`🚀 Debugging domain manifest for: ${domain}...`);
+      const result = await client.debugDomainManifest(domain);
+      printResult('✅ Successfully fetched domain manifest debug info:', result, dryRun);
+      return result;
+    },
+  },
+
+  'association prepare': {
+    summary: 'Print the account association data to sign elsewhere',
+    usage: 'association prepare [--domain <domain>] [--fid <fid>] [--custody-address <address>]',
+    options: {
+      domain: { type: 'string', description: 'Domain to associate (default: NEXT_PUBLIC_APP_DOMAIN)' },
+      fid: { type: 'string', description: 'Your FID (default: FARCASTER_FID)' },
+      'custody-address': { type: 'string', description: 'Custody address (default: FARCASTER_CUSTODY_ADDRESS)' },
+    },
+    async run({ values, env }) {
+      const domain = requireDomain(values, env);
+      const fid = requireFid(values, env);
+      const custodyAddress = values['custody-address'] || env.FARCASTER_CUSTODY_ADDRESS;
+      if (!custodyAddress) {
+        throw new ConfigError('FARCASTER_CUSTODY_ADDRESS is not set (or pass --custody-address)');
+      }
+
+      console.log(`🔧 Preparing account association for domain: ${domain}`);
+      console.log(`📋 Using FID: ${fid}`);
+      console.log(`📋 Using custody address: ${custodyAddress}\n`);
+
+      const generator = new FarcasterAccountAssociationGenerator(domain);
+      const { header, payload, dataToSign, instructions } = generator.generateAccountAssociation(fid, custodyAddress);
+
+      console.log('📄 Generated data:');
+      console.log('Header (base64):', header);
+      console.log('Payload (base64):', payload);
+      console.log('Data to sign:', dataToSign);
+      console.log('\n📝 Next steps:');
+      instructions.forEach((instruction) => console.log(`   ${instruction}`));
+
+      return { domain, fid, custodyAddress, header, payload, dataToSign };
+    },
+  },
+
+  'association generate': {
+    summary: 'Sign account associations and store them',
+    usage: 'association generate [--domain <domain>]... [--signer <type>] [--fid <fid>]',
+    options: {
+      domain: { type: 'string', multiple: true, description: 'Domain to sign, repeatable or comma separated (default: NEXT_PUBLIC_APP_DOMAIN)' },
+      signer: { type: 'string', description: `Custody signer: ${SIGNER_TYPES.join(', ')} (detected from .env when omitted)` },
+      fid: { type: 'string', description: 'Your FID (default: FARCASTER_FID)' },
+    },
+    async run({ values, env, dryRun }) {
+      const requestedDomains = splitList(values.domain);
+      const domains = requestedDomains.length > 0 ? requestedDomains : [env.NEXT_PUBLIC_APP_DOMAIN].filter(Boolean);
+      if (domains.length === 0) {
+        throw new UsageError('--domain is required (or set NEXT_PUBLIC_APP_DOMAIN in .env)');
+      }
+      const fid = requireFid(values, env);
+
+      const signerType = values.signer || detectSignerType(env);
+      if (!signerType) {
+        throw new ConfigError(
+          `No custody signer. Pass --signer ${SIGNER_TYPES.join('|')}, or set ` +
+          'FARCASTER_CUSTODY_KEYSTORE, FARCASTER_CUSTODY_MNEMONIC or FARCASTER_CUSTODY_PRIVATE_KEY'
+        );
+      }
+      if (!SIGNER_TYPES.includes(signerType)) {
+        throw new UsageError(`Unknown signer "${signerType}". Use one of: ${SIGNER_TYPES.join(', ')}`);
+      }
+
+      console.log(`🔧 Generating account association for: ${domains.join(', ')}`);
+      console.log(`📋 Using FID: ${fid}`);
+      console.log(`📋 Using signer: ${signerType}\n`);
+
+      // A dry run stops before the signer is created: no key is read, no
+      // password is asked for and nothing is signed
+      if (dryRun) {
+        const custodyAddress = env.FARCASTER_CUSTODY_ADDRESS;
+        const associations = domains.map((domain) => {
+          const generator = new FarcasterAccountAssociationGenerator(domain);
+          if (!custodyAddress) {
+            return { domain, payload: generator.encodePayload() };
+          }
+          const { header, payload, dataToSign } = generator.generateAccountAssociation(fid, custodyAddress);
+          return { domain, header, payload, dataToSign };
+        });
+
+        for (const association of associations) {
+          console.log(`🧪 Would sign for ${association.domain}:`);
+          if (association.header) console.log('Header:', association.header);
+          console.log('Payload:', association.payload);
+          if (association.dataToSign) console.log('Data to sign:', association.dataToSign);
+          console.log('');
+        }
+        console.log(custodyAddress
+          ? '🧪 Dry run: nothing was signed or written'
+          : '🧪 Dry run: nothing was signed or written. Set FARCASTER_CUSTODY_ADDRESS to preview the header too');
+        return { fid, custodyAddress, associations };
+      }
+
+      let signer;
+      try {
+        signer = await createCustodySigner(signerType, env);
+      } catch (error) {
+        throw new ConfigError(`Could not create ${signerType} signer: ${error.message}`);
+      }
+
+      const custodyAddress = env.FARCASTER_CUSTODY_ADDRESS;
+      if (custodyAddress && signer.address.toLowerCase() !== custodyAddress.toLowerCase()) {
+        throw new ConfigError(
+          `The ${signerType} signer (${signer.address}) does not match FARCASTER_CUSTODY_ADDRESS (${custodyAddress})`
+        );
+      }
+      console.log(`📋 Using custody address: ${signer.address}\n`);
+
+      const associations = [];
+      for (const domain of domains) {
+        const generator = new FarcasterAccountAssociationGenerator(domain);
+        const accountAssociation = await generator.signAccountAssociation(signer, fid);
+
+        console.log(`✅ Generated account association for ${domain}:`);
+        console.log('Header:', accountAssociation.header);
+        console.log('Payload:', accountAssociation.payload);
+        console.log('Signature:', accountAssociation.signature);
+
+        generator.saveAssociation(domain, accountAssociation);
+        associations.push({ domain, accountAssociation });
+        console.log('');
+      }
+
+      console.log(`🎉 Successfully signed ${domains.length} account association(s) with EIP-191 signatures!`);
+      return { fid, custodyAddress: signer.address, associations };
+    },
+  },
+
+  'association list': {
+    summary: 'List the stored account associations',
+    usage: 'association list',
+    options: {},
+    async run() {
+      const generator = new FarcasterAccountAssociationGenerator();
+      const associations = Object.entries(generator.loadAssociations()).map(([domain, association]) => {
+        const { header } = decode(association);
+        return { domain, fid: header.fid, key: header.key };
+      });
+
+      if (associations.length === 0) {
+        console.log('No stored account associations. Run: association generate --domain <domain>');
+      } else {
+        console.log('🔐 Stored account associations:\n');
+        associations.forEach(({ domain, fid, key }) => console.log(`   ${domain}  (FID ${fid}, key ${key})`));
+      }
+      return { associations };
+    },
+  },
+
+  'association validate': {
+    summary: 'Validate the served manifest against the Mini App spec',
+    usage: 'association validate [--domain <domain>]',
+    options: {
+      domain: { type: 'string', description: 'Domain the manifest is served on (default: NEXT_PUBLIC_APP_DOMAIN)' },
+    },
+    async run({ values }) {
+      console.log('🔍 Validating current manifest...\n');
+      const generator = new FarcasterAccountAssociationGenerator(values.domain);
+      const { errors, warnings } = await generator.validateManifest();
+
+      warnings.forEach(({ path, message }) => console.log(`⚠️  ${path} ${message}`));
+      errors.forEach(({ path, message }) => console.log(`❌ ${path} ${message}`));
+
+      if (errors.length > 0) {
+        throw new CheckFailedError('Manifest validation failed', { errors, warnings });
+      }
+      console.log('✅ Manifest is valid');
+      return { errors, warnings };
+    },
+  },
+
+  'association decode': {
+    summary: 'Decode the account association served on a domain',
+    usage: 'association decode [--domain <domain>]',
+    options: {
+      domain: { type: 'string', description: 'Domain the manifest is served on (default: NEXT_PUBLIC_APP_DOMAIN or NEXT_PUBLIC_APP_URL)' },
+    },
+    async run({ values, env }) {
+      const domain = values.domain || getDefaultDomain(env);
+      const generator = new FarcasterAccountAssociationGenerator(domain);
+      const decoded = generator.decodeAccountAssociation(domain);
+      if (!decoded) {
+        throw new CheckFailedError(`No account association is served for ${domain || 'the app'}`);
+      }
+
+      console.log('🔍 Decoded Account Association Data:\n');
+      console.log('Header:', decoded.header);
+      console.log('Payload:', decoded.payload);
+      console.log('Signature:', decoded.signature);
+      return decoded;
+    },
+  },
+
+  'association verify': {
+    summary: 'Verify the account association served on a domain: signature, domain and custody',
+    usage: 'association verify [--domain <domain>]',
+    options: {
+      domain: { type: 'string', description: 'Domain the manifest is served on (default: NEXT_PUBLIC_APP_DOMAIN or NEXT_PUBLIC_APP_URL)' },
+    },
+    async run({ values, env }) {
+      const domain = values.domain || getDefaultDomain(env);
+      console.log(`🔍 Verifying account association${domain ? ` for ${domain}` : ''}...\n`);
+
+      const generator = new FarcasterAccountAssociationGenerator(domain);
+      const result = await generator.verifyAccountAssociation(domain);
+
+      if (result.key) {
+        console.log(`📋 FID: ${result.fid}`);
+        console.log(`📋 Header key: ${result.key}`);
+        console.log(`📋 Recovered signer: ${result.signer || 'unknown'}`);
+        console.log(`📋 Signed domain: ${result.domain || 'unknown'}\n`);
+      }
+      result.warnings.forEach((warning) => console.log(`⚠️  ${warning}`));
+      result.errors.forEach((error) => console.log(`❌ ${error}`));
+
+      if (result.errors.length > 0) {
+        throw new CheckFailedError('Account association verification failed', result);
+      }
+      console.log('\n✅ Account association is valid');
+      return result;
+    },
+  },
+
+  'association update': {
+    summary: 'Store an association signed elsewhere for its domain',
+    usage: 'association update --domain <domain> --header <header> --payload <payload> --signature <signature>',
+    options: {
+      domain: { type: 'string', description: 'Domain the association is signed for' },
+      header: { type: 'string', description: 'JFS header (base64url)' },
+      payload: { type: 'string', description: 'JFS payload (base64url)' },
+      signature: { type: 'string', description: 'JFS signature (base64url)' },
+    },
+    async run({ values, dryRun }) {
+      const missing = ['domain', 'header', 'payload', 'signature'].filter((name) => !values[name]);
+      if (missing.length > 0) {
+        throw new UsageError(`Missing ${missing.map((name) => `--${name}`).join(', ')}`);
+      }
+
+      const { domain, header, payload, signature } = values;
+      const accountAssociation = { header, payload, signature };
+
+      if (dryRun) {
+        console.log(`🧪 Dry run: would store the association for domain: ${domain}`);
+      } else {
+        const generator = new FarcasterAccountAssociationGenerator(domain);
+        generator.saveAssociation(domain, accountAssociation);
+      }
+      return { domain, accountAssociation };
+    },
+  },
+
+  'schedule create': {
+    summary: 'Schedule a cast, optionally repeating, for the cron trigger to publish',
+    usage: 'schedule create --at <time> [--every <interval>] (--text <text> | --text-file <path>) [cast options]',
+    options: {
+      at: { type: 'string', description: 'When to post, ISO 8601 (e.g. 2026-11-01T15:00:00Z)' },
+      every: { type: 'string', description: 'Repeat interval: a number and m, h, d or w, at least 1h (e.g. 1d)' },
+      ...CAST_OPTIONS,
+      ...APP_URL_OPTION,
+    },
+    async run({ values, env, dryRun }) {
+      if (!values.at) {
+        throw new UsageError('--at is required');
+      }
+      const scheduledAt = new Date(values.at);
+      if (Number.isNaN(scheduledAt.getTime())) {
+        throw new UsageError(`--at is not a date and time: ${values.at}`);
+      }
+      if (scheduledAt.getTime() < Date.now() - 60 * 1000) {
+        throw new UsageError(`--at is in the past: ${scheduledAt.toISOString()}`);
+      }
+      if (values.every && !/^\d+[mhdw]$/.test(values.every)) {
+        throw new UsageError(`--every must be a number followed by m, h, d or w: ${values.every}`);
+      }
+
+      const cast = await composeFromOptions({ values, env });
+      console.log(`🗓️  Scheduling cast for ${scheduledAt.toISOString()}${values.every ? `, repeating every ${values.every}` : ''}...`);
+      const result = await requestAppApi({ values, env, dryRun }, 'POST', '/api/scheduled-casts', {
+        cast,
+        scheduledAt: scheduledAt.toISOString(),
+        every: values.every ?? null,
+      });
+      printResult('✅ Cast scheduled:', result, dryRun);
+      return result;
+    },
+  },
+
+  'schedule list': {
+    summary: 'List scheduled casts with their status and next attempt',
+    usage: 'schedule list [--status scheduled|publishing|published|failed|cancelled]',
+    options: {
+      status: { type: 'string', description: 'Only casts with this status' },
+      ...APP_URL_OPTION,
+    },
+    async run({ values, env, dryRun }) {
+      const query = values.status ? `?status=${encodeURIComponent(values.status)}` : '';
+      const result = await requestAppApi({ values, env, dryRun }, 'GET', `/api/scheduled-casts${query}`);
+      if (dryRun) {
+        printResult('', result, dryRun);
+      } else if (result.casts.length === 0) {
+        console.log('No scheduled casts. Run: schedule create --at <time> --text <text>');
+      } else {
+        console.log('🗓️  Scheduled casts:\n');
+        printScheduledCasts(result.casts);
+      }
+      return result;
+    },
+  },
+
+  'schedule cancel': {
+    summary: 'Cancel a scheduled cast (and its future repeats)',
+    usage: 'schedule cancel --id <id>',
+    options: {
+      id: { type: 'string', description: 'Scheduled cast id, from schedule list' },
+      ...APP_URL_OPTION,
+    },
+    async run({ values, env, dryRun }) {
+      if (!values.id) {
+        throw new UsageError('--id is required');
+      }
+      const result = await requestAppApi(
+        { values, env, dryRun },
+        'DELETE',
+        `/api/scheduled-casts/${encodeURIComponent(values.id)}`
+      );
+      printResult(`✅ Cancelled scheduled cast ${values.id}`, result, dryRun);
+      return result;
+    },
+  },
+
+  'schedule run': {
+    summary: 'Publish the casts that are due now (what the cron trigger does)',
+    usage: 'schedule run',
+    options: APP_URL_OPTION,
+    async run({ values, env, dryRun }) {
+      console.log('🚀 Publishing due scheduled casts...');
+      const result = await requestAppApi({ values, env, dryRun }, 'POST', '/api/scheduled-casts/run');
+      if (dryRun) {
+        printResult('', result, dryRun);
+        return result;
+      }
+
+      result.results.forEach(({ id, ok, castHash, error, nextAttemptAt }) => {
+        console.log(ok ? `   ✅ ${id}: ${castHash}` : `   ❌ ${id}: ${error}`);
+        if (nextAttemptAt) {
+          console.log(`      next attempt ${nextAttemptAt}`);
+        }
+      });
+      console.log(`\n${result.results.length} scheduled cast(s) were due`);
+      return result;
+    },
+  },
+};
+
+/**
+ * Formats option help lines
+ */
+function formatOptions(options) {
+  return Object.entries(options).map(([name, option]) => {
+    const flag = `${option.short ? `-${option.short}, ` : '    '}--${name}${option.type === 'string' ? ' <value>' : ''}`;
+    return `  ${flag.padEnd(30)} ${option.description}`;
+  });
+}
+
+/**
+ * Help for one command, or the command list
+ * @param {string} [name] - Command name, or a group such as "association"
+ */
+function formatHelp(name) {
+  const command = COMMANDS[name];
+  if (command) {
+    return [
+      `Usage: farcaster ${command.usage} [--json] [--dry-run]`,
+      '',
+      command.summary,
+      '',
+      'Options:',
+      ...formatOptions({ ...command.options, ...GLOBAL_OPTIONS }),
+    ].join('\n');
+  }
+
+  const names = Object.keys(COMMANDS).filter((commandName) => !name || commandName.startsWith(`${name} `));
+  return [
+    `Usage: farcaster ${name ? `${name} ` : ''}<command> [options]`,
+    '',
+    'Commands:',
+    ...names.map((commandName) => `  ${commandName.padEnd(24)} ${COMMANDS[commandName].summary}`),
+    '',
+    'Options:',
+    ...formatOptions(GLOBAL_OPTIONS),
+    '',
+    'Exit codes: 0 success, 1 command failed, 2 usage error, 3 missing configuration',
+    `Run "farcaster <command> --help" for the options of a command.`,
+  ].join('\n');
+}
+
+/**
+ * Finds the command named by the leading words of argv
+ * @returns {{name: string|undefined, group: string|undefined, rest: string[]}}
+ */
+function resolveCommand(argv) {
+  const words = [];
+  for (const arg of argv) {
+    if (arg.startsWith('-')) break;
+    words.push(arg);
+  }
+
+  const twoWords = words.slice(0, 2).join(' ');
+  if (words.length >= 2 && COMMANDS[twoWords]) {
+    return { name: twoWords, rest: argv.slice(2) };
+  }
+  if (COMMANDS[words[0]]) {
+    return { name: words[0], rest: argv.slice(1) };
+  }
+
+  // A group with no (or an unknown) subcommand, e.g. "association"
+  const isGroup = words[0] && Object.keys(COMMANDS).some((name) => name.startsWith(`${words[0]} `));
+  return { group: isGroup ? words[0] : undefined, words, rest: argv.slice(words.length) };
+}
+
+/**
+ * Parses the options of a command
+ */
+function parseCommandOptions(command, args) {
+  const options = Object.fromEntries(
+    Object.entries({ ...command.options, ...GLOBAL_OPTIONS }).map(([name, { type, short, multiple }]) => [
+      name,
+      // parseArgs rejects keys set to undefined
+      JSON.parse(JSON.stringify({ type, short, multiple })),
+    ])
+  );
+
+  try {
+    return parseArgs({ args, options, strict: true, allowPositionals: false }).values;
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * Turns an error into the JSON error object
+ */
+function serializeError(error, exitCode) {
+  const serialized = error instanceof FarcasterApiError
+    ? error.toJSON()
+    : { name: error.name, message: error.message, details: error.details };
+  return { ...serialized, exitCode };
+}
+
+/**
+ * Runs the CLI and returns the exit code
+ * @param {string[]} argv - Arguments after the script path
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {Promise<number>}
+ */
+async function run(argv, env = process.env) {
+  const json = argv.includes('--json');
+  const wantsHelp = argv.includes('--help') || argv.includes('-h');
+
+  // With --json, stdout carries only the result document
+  const print = (document) => process.stdout.write(JSON.stringify(document, null, 2) + '\n');
+  const log = console.log;
+  if (json) {
+    console.log = console.error;
+  }
+
+  const { name, group, words, rest } = resolveCommand(argv);
+  let exitCode = EXIT_CODES.OK;
+
+  try {
+    if (!name) {
+      if (wantsHelp || words.length === 0 || (group && words.length === 1)) {
+        (json ? console.error : log)(formatHelp(group));
+        return wantsHelp ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+      }
+      throw new UsageError(`Unknown command: ${words.join(' ')}`);
+    }
+
+    const command = COMMANDS[name];
+    const values = parseCommandOptions(command, rest);
+    if (values.help) {
+      log(formatHelp(name));
+      return EXIT_CODES.OK;
+    }
+
+    const dryRun = Boolean(values['dry-run']);
+    const result = await command.run({ values, env, dryRun });
+    if (json) {
+      print({ ok: true, command: name, dryRun, result });
+    }
+  } catch (error) {
+    exitCode = error.exitCode ?? EXIT_CODES.FAILURE;
+    if (json) {
+      print({ ok: false, command: name, error: serializeError(error, exitCode) });
+    } else {
+      console.error(`❌ ${error.message}`);
+      if (error instanceof FarcasterApiError && error.body) {
+        console.error('   Response:', error.body);
+      }
+      if (exitCode === EXIT_CODES.USAGE) {
+        console.error(`\nRun "farcaster ${name ?? ''}${name ? ' ' : ''}--help" for usage.`);
+      }
+    }
+  } finally {
+    console.log = log;
+  }
+
+  return exitCode;
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = { COMMANDS, EXIT_CODES, run };
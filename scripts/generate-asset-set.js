@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+
+import { Jimp } from "jimp";
+import { createHash } from "crypto";
+import { join } from "path";
+import {
+  readFileSync,
+  writeFileSync,
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  unlinkSync,
+} from "fs";
+import {
+  readMiniappConfig,
+  updateFarcasterConfigImageUrls,
+} from "./generate-icon.js";
+import { renderProceduralIcon } from "./procedural-icon.js";
+
+/**
+ * Farcaster Asset Set Generator
+ *
+ * Derives the images the manifest and the site need from one square source
+ * image, writes them to stable file names and points farcaster.json at them.
+ *
+ *   public/images/icon.png          1024x1024 PNG, no transparency  iconUrl
+ *   public/images/splash.png        200x200                         splashImageUrl
+ *   public/images/embed.png         1200x800 (3:2)                  imageUrl
+ *   public/images/og.png            1200x630                        ogImageUrl, heroImageUrl
+ *   public/images/screenshot-N.png  1284x2778 portrait, up to 3     screenshotUrls
+ *   public/favicon.ico              16, 32 and 48px
+ *   public/favicon-16x16.png, public/favicon-32x32.png
+ *   public/apple-touch-icon.png     180x180, no transparency
+ *
+ * The favicon paths are the ones src/app/layout.tsx links to. Manifest URLs
+ * get a ?v= content hash so clients refetch when an image changes.
+ *
+ * Usage:
+ *   node scripts/generate-asset-set.js
+ *   node scripts/generate-asset-set.js --source path/to/icon.png
+ *   node scripts/generate-asset-set.js --embed path/to/capture.png
+ *   node scripts/generate-asset-set.js --screenshots home.png,profile.png
+ *
+ * Without --source the manifest's current iconUrl is used when it is a
+ * local file, otherwise the icon is drawn by procedural-icon.js.
+ *
+ * The embed and screenshots should show the app itself. --embed crops a
+ * capture to 3:2; without it an existing embed.png is kept, and only a
+ * missing one is composed from the icon. Screenshots are only written from
+ * --screenshots, so screenshotUrls stays unset until real captures exist.
+ */
+
+const PUBLIC_DIR = join(process.cwd(), "public");
+const IMAGES_DIR = join(PUBLIC_DIR, "images");
+
+// Sizes required by the Mini App manifest spec
+const ASSET_SIZES = {
+  icon: { width: 1024, height: 1024 },
+  splash: { width: 200, height: 200 },
+  embed: { width: 1200, height: 800 },
+  og: { width: 1200, height: 630 },
+  screenshot: { width: 1284, height: 2778 },
+};
+
+const FAVICON_SIZES = [16, 32, 48];
+const APPLE_TOUCH_ICON_SIZE = 180;
+const MAX_SCREENSHOTS = 3;
+
+/**
+ * Removes transparency by painting the image over a solid colour
+ * @param {Object} image - Jimp image
+ * @param {string} background - Hex colour
+ * @returns {Object} - A new, opaque image
+ */
+function flatten(image, background) {
+  const { width, height } = image.bitmap;
+  const canvas = new Jimp({ width, height, color: background });
+  canvas.composite(image, 0, 0);
+
+  // Blending rounds some alpha values down to 254
+  for (let idx = 3; idx < canvas.bitmap.data.length; idx += 4) {
+    canvas.bitmap.data[idx] = 0xff;
+  }
+  return canvas;
+}
+
+/**
+ * Places the icon in the middle of a canvas filled with the background
+ * colour, for the formats that are not square
+ * @param {Object} icon - Square Jimp image
+ * @param {Object} size - Canvas size {width, height}
+ * @param {string} background - Hex colour
+ * @param {number} scale - Icon size as a share of the shorter side
+ * @returns {Object} - Jimp image
+ */
+function composeOnBackground(icon, size, background, scale) {
+  const canvas = new Jimp({ ...size, color: background });
+  const iconSize = Math.round(Math.min(size.width, size.height) * scale);
+  const resized = icon.clone().resize({ w: iconSize, h: iconSize });
+
+  canvas.composite(
+    resized,
+    Math.round((size.width - iconSize) / 2),
+    Math.round((size.height - iconSize) / 2),
+  );
+  return flatten(canvas, background);
+}
+
+/**
+ * Builds an .ico file holding PNG images (supported by every current browser)
+ * @param {Buffer[]} pngs - PNG images, each at most 256px square
+ * @param {number[]} sizes - The pixel size of each PNG
+ * @returns {Buffer}
+ */
+function buildIco(pngs, sizes) {
+  const header = Buffer.alloc(6);
+  header.writeUInt16LE(0, 0); // reserved
+  header.writeUInt16LE(1, 2); // type: icon
+  header.writeUInt16LE(pngs.length, 4);
+
+  let offset = 6 + 16 * pngs.length;
+  const entries = pngs.map((png, i) => {
+    const entry = Buffer.alloc(16);
+    entry.writeUInt8(sizes[i] >= 256 ? 0 : sizes[i], 0); // width, 0 means 256
+    entry.writeUInt8(sizes[i] >= 256 ? 0 : sizes[i], 1); // height
+    entry.writeUInt8(0, 2); // no palette
+    entry.writeUInt8(0, 3); // reserved
+    entry.writeUInt16LE(1, 4); // colour planes
+    entry.writeUInt16LE(32, 6); // bits per pixel
+    entry.writeUInt32LE(png.length, 8);
+    entry.writeUInt32LE(offset, 12);
+    offset += png.length;
+    return entry;
+  });
+
+  return Buffer.concat([header, ...entries, ...pngs]);
+}
+
+/**
+ * Writes a file under public/ and returns its URL path with a content hash
+ * @param {string} relativePath - Path under public/, e.g. "images/icon.png"
+ * @param {Buffer} buffer - File contents
+ * @returns {string} - URL path, e.g. "/images/icon.png?v=1a2b3c4d"
+ */
+function writePublicFile(relativePath, buffer) {
+  writeFileSync(join(PUBLIC_DIR, relativePath), buffer);
+  const version = createHash("sha256").update(buffer).digest("hex").slice(0, 8);
+  console.log(`💾 Saved public/${relativePath}`);
+  return `/${relativePath}?v=${version}`;
+}
+
+/**
+ * Finds the source image: --source, the manifest's local icon, or a
+ * procedurally drawn icon
+ * @param {string} [sourcePath] - Path given on the command line
+ * @param {Object} miniapp - The miniapp config
+ * @returns {Promise<Buffer>}
+ */
+async function loadSourceImage(sourcePath, miniapp) {
+  if (sourcePath) {
+    console.log(`📥 Source: ${sourcePath}`);
+    return readFileSync(sourcePath);
+  }
+
+  if (miniapp.iconUrl) {
+    const localPath = join(PUBLIC_DIR, decodeURIComponent(new URL(miniapp.iconUrl).pathname));
+    if (localPath.startsWith(PUBLIC_DIR) && existsSync(localPath)) {
+      console.log(`📥 Source: ${localPath.slice(process.cwd().length + 1)} (current iconUrl)`);
+      return readFileSync(localPath);
+    }
+  }
+
+  console.log("📥 Source: procedural icon (no local icon found)");
+  return renderProceduralIcon({
+    name: miniapp.name || "Mini App",
+    backgroundColor: miniapp.splashBackgroundColor,
+    size: ASSET_SIZES.icon.width,
+  });
+}
+
+/**
+ * Removes screenshot-N.png files left over from a run with more screenshots
+ * @param {number} count - Number of screenshots written this run
+ */
+function clearStaleScreenshots(count) {
+  if (!existsSync(IMAGES_DIR)) {
+    return;
+  }
+  for (const file of readdirSync(IMAGES_DIR)) {
+    const match = /^screenshot-(\d+)\.png$/.exec(file);
+    if (match && Number(match[1]) > count) {
+      unlinkSync(join(IMAGES_DIR, file));
+      console.log(`   Deleted: ${file}`);
+    }
+  }
+}
+
+/**
+ * Generates the full asset set and updates farcaster.json
+ * @param {Object} [options]
+ * @param {string} [options.source] - Path to the square source image
+ * @param {string} [options.embed] - Path to an app capture, cropped to 3:2
+ * @param {string[]} [options.screenshots] - Paths to app screenshots, cropped to portrait
+ * @returns {Promise<Object>} - The manifest URL paths that were written
+ */
+async function generateAssetSet({ source, embed, screenshots = [] } = {}) {
+  const miniapp = readMiniappConfig();
+  const background = miniapp.splashBackgroundColor || "#ffffff";
+
+  if (!existsSync(IMAGES_DIR)) {
+    mkdirSync(IMAGES_DIR, { recursive: true });
+  }
+
+  const sourceImage = await Jimp.read(await loadSourceImage(source, miniapp));
+  const { width, height } = sourceImage.bitmap;
+  if (width !== height) {
+    console.warn(`⚠️  Source is ${width}x${height}; cropping to a square`);
+  }
+  if (Math.min(width, height) < ASSET_SIZES.icon.width) {
+    console.warn(
+      `⚠️  Source is smaller than ${ASSET_SIZES.icon.width}px; the icon will be upscaled`,
+    );
+  }
+
+  // Everything else is derived from the opaque 1024px icon
+  const icon = flatten(
+    sourceImage.cover({ w: ASSET_SIZES.icon.width, h: ASSET_SIZES.icon.height }),
+    background,
+  );
+
+  const paths = {};
+  paths.iconUrl = writePublicFile("images/icon.png", await icon.getBuffer("image/png"));
+  paths.splashImageUrl = writePublicFile(
+    "images/splash.png",
+    await icon.clone().resize({ w: ASSET_SIZES.splash.width, h: ASSET_SIZES.splash.height }).getBuffer("image/png"),
+  );
+  if (embed) {
+    const capture = (await Jimp.read(embed)).cover({
+      w: ASSET_SIZES.embed.width,
+      h: ASSET_SIZES.embed.height,
+    });
+    paths.imageUrl = writePublicFile(
+      "images/embed.png",
+      await flatten(capture, background).getBuffer("image/png"),
+    );
+  } else if (existsSync(join(IMAGES_DIR, "embed.png"))) {
+    console.log("⏭️  Keeping public/images/embed.png (pass --embed to replace it)");
+  } else {
+    paths.imageUrl = writePublicFile(
+      "images/embed.png",
+      await composeOnBackground(icon, ASSET_SIZES.embed, background, 0.6).getBuffer("image/png"),
+    );
+  }
+  paths.ogImageUrl = writePublicFile(
+    "images/og.png",
+    await composeOnBackground(icon, ASSET_SIZES.og, background, 0.6).getBuffer("image/png"),
+  );
+  paths.heroImageUrl = paths.ogImageUrl;
+
+  if (screenshots.length > MAX_SCREENSHOTS) {
+    console.warn(`⚠️  Only the first ${MAX_SCREENSHOTS} screenshots are used`);
+  }
+  if (screenshots.length > 0) {
+    paths.screenshotUrls = [];
+    for (const [index, path] of screenshots.slice(0, MAX_SCREENSHOTS).entries()) {
+      const screenshot = flatten(
+        (await Jimp.read(path)).cover({
+          w: ASSET_SIZES.screenshot.width,
+          h: ASSET_SIZES.screenshot.height,
+        }),
+        background,
+      );
+      paths.screenshotUrls.push(
+        writePublicFile(`images/screenshot-${index + 1}.png`, await screenshot.getBuffer("image/png")),
+      );
+    }
+    clearStaleScreenshots(paths.screenshotUrls.length);
+  }
+
+  // Favicons keep fixed paths since layout.tsx links to them directly
+  const faviconPngs = await Promise.all(
+    FAVICON_SIZES.map((size) => icon.clone().resize({ w: size, h: size }).getBuffer("image/png")),
+  );
+  writePublicFile("favicon.ico", buildIco(faviconPngs, FAVICON_SIZES));
+  writePublicFile("favicon-16x16.png", faviconPngs[FAVICON_SIZES.indexOf(16)]);
+  writePublicFile("favicon-32x32.png", faviconPngs[FAVICON_SIZES.indexOf(32)]);
+  writePublicFile(
+    "apple-touch-icon.png",
+    await icon
+      .clone()
+      .resize({ w: APPLE_TOUCH_ICON_SIZE, h: APPLE_TOUCH_ICON_SIZE })
+      .getBuffer("image/png"),
+  );
+
+  updateFarcasterConfigImageUrls(paths);
+  return paths;
+}
+
+/**
+ * Parses --source, --embed and --screenshots from the command line
+ * @param {string[]} args - Arguments after the script path
+ * @returns {Object} - {source, embed, screenshots}
+ */
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split(/=(.*)/s);
+    if (!["--source", "--embed", "--screenshots"].includes(flag)) {
+      throw new Error(`Unknown option: ${args[i]}`);
+    }
+
+    const value = inlineValue ?? args[++i];
+    if (!value) {
+      throw new Error(`${flag} needs a value`);
+    }
+
+    if (flag === "--source") {
+      options.source = value;
+    } else if (flag === "--embed") {
+      options.embed = value;
+    } else {
+      options.screenshots = value.split(",").map((path) => path.trim()).filter(Boolean);
+    }
+  }
+  return options;
+}
+
+/**
+ * Main function for the command line
+ */
+async function main() {
+  console.log("🖼️  Farcaster Asset Set Generator");
+
+  try {
+    const paths = await generateAssetSet(parseArgs(process.argv.slice(2)));
+
+    console.log("\n🎉 Asset set complete!");
+    for (const [field, value] of Object.entries(paths)) {
+      console.log(`   ${field}: ${[].concat(value).join(", ")}`);
+    }
+  } catch (error) {
+    console.error("\n❌ Error generating assets:");
+    console.error("💥", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script when executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export {
+  ASSET_SIZES,
+  MAX_SCREENSHOTS,
+  buildIco,
+  clearStaleScreenshots,
+  generateAssetSet,
+  writePublicFile,
+};
@@ -1,13 +1,18 @@
 #!/usr/bin/env node
 
+// Quiet, since main() hands over to farcaster.js and --json needs a clean stdout
+process.env.DOTENV_CONFIG_QUIET = 'true';
 require('dotenv').config();
-const { writeFileSync, readFileSync } = require('fs');
+const { existsSync, writeFileSync, readFileSync } = require('fs');
 const { join } = require('path');
 const { 
   encodeHeader, 
   encodePayload, 
   decode
 } = require('@farcaster/jfs');
+const { getDefaultDomain, readServedManifest, validateManifest: validateManifestSpec } = require('./validate-manifest');
+const { verifyAccountAssociation } = require('./account-association');
+const { getCustodyResolver } = require('../src/lib/auth/custody-resolver');
 
 /**
  * Script to generate Farcaster account association for Mini App manifest
@@ -24,7 +29,52 @@ const {
 class FarcasterAccountAssociationGenerator {
   constructor(domain) {
     this.domain = domain;
-    this.manifestPath = join(process.cwd(), 'public/.well-known/farcaster.json');
+    this.associationsPath = join(process.cwd(), 'src/config/account-associations.json');
+  }
+
+  /**
+   * Load the signed associations keyed by domain
+   */
+  loadAssociations() {
+    if (!existsSync(this.associationsPath)) {
+      return {};
+    }
+    return JSON.parse(readFileSync(this.associationsPath, 'utf8'));
+  }
+
+  /**
+   * Store a signed association for its domain. The manifest route serves the
+   * association matching the request host.
+   */
+  saveAssociation(domain, accountAssociation) {
+    const associations = this.loadAssociations();
+    associations[domain] = accountAssociation;
+
+    writeFileSync(
+      this.associationsPath,
+      JSON.stringify(associations, null, 2),
+      'utf8'
+    );
+
+    console.log(`✅ Stored account association for ${domain}`);
+  }
+
+  /**
+   * Sign the association for this generator's domain with a custody signer
+   * (see custody-signer.js)
+   */
+  async signAccountAssociation(signer, fid) {
+    const data = this.generateAccountAssociation(fid, signer.address);
+
+    // JFS requires signing the literal "header.payload" string with EIP-191
+    const sigHex = await signer.signMessage(data.dataToSign); // 0x + 130 hex chars
+
+    // The JFS signature field is base64url of the ASCII hex string (including 0x)
+    return {
+      header: data.header,
+      payload: data.payload,
+      signature: Buffer.from(sigHex, 'utf8').toString('base64url'),
+    };
   }
 
   /**
@@ -88,262 +138,97 @@ class FarcasterAccountAssociationGenerator {
   }
 
   /**
-   * Update the farcaster.json manifest with new account association
+   * Validate the manifest served on a domain against the Mini App spec
+   * (see validate-manifest.js)
+   * @returns {Promise<{errors: Object[], warnings: Object[]}>}
    */
-  updateManifest(accountAssociation) {
-    try {
-      const manifestData = JSON.parse(readFileSync(this.manifestPath, 'utf8'));
-      
-      // Update account association
-      manifestData.accountAssociation = accountAssociation;
-      
-      // Update domain references in miniapp (replace domain in image URLs while preserving paths)
-      if (manifestData.miniapp) {
-        const baseUrl = `https://${this.domain}`;
-        manifestData.miniapp.homeUrl = baseUrl;
-        manifestData.miniapp.webhookUrl = `${baseUrl}/api/webhook`;
-        
-        // Update image URLs by replacing domain but preserving the path
-        if (manifestData.miniapp.iconUrl) {
-          const iconPath = new URL(manifestData.miniapp.iconUrl).pathname;
-          manifestData.miniapp.iconUrl = `${baseUrl}${iconPath}`;
-        }
-        
-        if (manifestData.miniapp.imageUrl) {
-          const imagePath = new URL(manifestData.miniapp.imageUrl).pathname;
-          manifestData.miniapp.imageUrl = `${baseUrl}${imagePath}`;
-        }
-        
-        if (manifestData.miniapp.splashImageUrl) {
-          const splashPath = new URL(manifestData.miniapp.splashImageUrl).pathname;
-          manifestData.miniapp.splashImageUrl = `${baseUrl}${splashPath}`;
-        }
-      }
-
-      // Write updated manifest
-      writeFileSync(
-        this.manifestPath, 
-        JSON.stringify(manifestData, null, 2), 
-        'utf8'
-      );
-
-      console.log('✅ Updated farcaster.json manifest');
-    } catch (error) {
-      console.error('❌ Error updating manifest:', error);
-    }
+  async validateManifest(domain = this.domain || getDefaultDomain()) {
+    return validateManifestSpec(readServedManifest({ domain }));
   }
 
   /**
-   * Validate current manifest structure
+   * Verify the account association served on a domain: signature, signed
+   * domain and custody. Reads the manifest the way the route assembles it,
+   * so per-domain associations and FARCASTER_ACCOUNT_ASSOCIATION count.
+   * @returns {Promise<{fid, key, signer, domain, errors: string[], warnings: string[]}>}
    */
-  validateManifest() {
-    try {
-      const manifestData = JSON.parse(readFileSync(this.manifestPath, 'utf8'));
-      
-      const hasAccountAssociation = manifestData.accountAssociation &&
-        manifestData.accountAssociation.header &&
-        manifestData.accountAssociation.payload &&
-        manifestData.accountAssociation.signature;
+  async verifyAccountAssociation(domain = this.domain || getDefaultDomain()) {
+    const { accountAssociation, miniapp } = readServedManifest({ domain });
 
-      const hasMiniapp = manifestData.miniapp &&
-        manifestData.miniapp.version &&
-        manifestData.miniapp.name &&
-        manifestData.miniapp.homeUrl;
-
-      if (!hasAccountAssociation) {
-        console.log('❌ Missing or incomplete accountAssociation');
-      }
+    if (!accountAssociation) {
+      return { errors: [`No account association is served for ${domain || 'the app'}`], warnings: [] };
+    }
 
-      if (!hasMiniapp) {
-        console.log('❌ Missing or incomplete miniapp config');
-      }
+    const result = await verifyAccountAssociation(accountAssociation, {
+      domain,
+      resolver: getCustodyResolver(),
+    });
 
-      return hasAccountAssociation && hasMiniapp;
-    } catch (error) {
-      console.error('❌ Error validating manifest:', error);
-      return false;
+    // The association must also match where the manifest says the app lives
+    const homeDomain = miniapp.homeUrl ? new URL(miniapp.homeUrl).hostname : null;
+    if (result.domain && homeDomain && result.domain !== homeDomain) {
+      result.errors.push(`Payload is signed for ${result.domain}, but homeUrl is on ${homeDomain}`);
     }
+
+    return result;
   }
 
   /**
-   * Decode base64 data for inspection
+   * Decode the account association served on a domain for inspection
+   * @returns {{header: Object, payload: Object, signature: string}|null}
    */
-  decodeAccountAssociation() {
-    try {
-      const manifestData = JSON.parse(readFileSync(this.manifestPath, 'utf8'));
-      const { accountAssociation } = manifestData;
-
-      if (!accountAssociation) {
-        console.log('❌ No account association found');
-        return;
-      }
+  decodeAccountAssociation(domain = this.domain || getDefaultDomain()) {
+    const { accountAssociation } = readServedManifest({ domain });
 
-      console.log('🔍 Decoded Account Association Data:\n');
+    if (!accountAssociation) {
+      return null;
+    }
 
-      // Decode using @farcaster/jfs
-      const decoded = decode(accountAssociation);
-      console.log('Header:', decoded.header);
-      console.log('Payload:', decoded.payload);
+    // Decode using @farcaster/jfs; the signature stays encoded
+    const decoded = decode(accountAssociation);
+    return {
+      header: decoded.header,
+      payload: decoded.payload,
+      signature: accountAssociation.signature,
+    };
+  }
+}
 
-      // Show signature (already encoded)
-      if (accountAssociation.signature) {
-        console.log('Signature:', accountAssociation.signature);
-      }
+/**
+ * Turns this script's positional arguments into `farcaster association`
+ * arguments: `prepare <domain>`, `verify <domain>` and
+ * `update <domain> <header> <payload> <signature>` become flags
+ */
+function toCliArgs(args) {
+  const [command = 'generate', ...rest] = args;
+  const positionals = [];
+  while (rest.length > 0 && !rest[0].startsWith('-')) {
+    positionals.push(rest.shift());
+  }
 
-    } catch (error) {
-      console.error('❌ Error decoding account association:', error);
-    }
+  if (command === 'update' && positionals.length > 0) {
+    const [domain, header, payload, signature] = positionals;
+    const flags = Object.entries({ domain, header, payload, signature })
+      .filter(([, value]) => value)
+      .flatMap(([name, value]) => [`--${name}`, value]);
+    return ['association', command, ...flags, ...rest];
+  }
+  if ((command === 'prepare' || command === 'verify') && positionals[0]) {
+    return ['association', command, '--domain', positionals[0], ...rest];
   }
+  return ['association', command, ...positionals, ...rest];
 }
 
-// CLI usage
+// CLI usage, kept for existing callers; `node scripts/farcaster.js association --help` lists the commands
 async function main() {
-  const args = process.argv.slice(2);
-  
-  // Default to 'generate' command when no arguments provided
-  const command = args[0] || 'generate';
-  const domain = args[1] || process.env.NEXT_PUBLIC_APP_DOMAIN || 'example.com';
-  const generator = new FarcasterAccountAssociationGenerator(domain);
-
-  switch (command) {
-    case 'prepare': {
-      const domain = args[1] || process.env.NEXT_PUBLIC_APP_DOMAIN;
-      if (!domain) {
-        console.error('❌ Domain required. Provide as argument or set NEXT_PUBLIC_APP_DOMAIN in .env');
-        return;
-      }
-
-      const fid = process.env.FARCASTER_FID;
-      const custodyAddress = process.env.FARCASTER_CUSTODY_ADDRESS;
-
-      if (!fid || !custodyAddress) {
-        console.error('❌ Missing environment variables:');
-        console.error('   FARCASTER_FID=' + (fid || 'NOT_SET'));
-        console.error('   FARCASTER_CUSTODY_ADDRESS=' + (custodyAddress || 'NOT_SET'));
-        console.error('\n💡 Set these in your .env file or use the Warpcast tool:');
-        console.error('   https://farcaster.xyz/~/developers/new');
-        return;
-      }
-
-      console.log(`🔧 Preparing account association for domain: ${domain}`);
-      console.log(`📋 Using FID: ${fid}`);
-      console.log(`📋 Using custody address: ${custodyAddress}\n`);
-      
-      const data = generator.generateAccountAssociation(parseInt(fid), custodyAddress);
-      
-      console.log('📄 Generated data:');
-      console.log('Header (base64):', data.header);
-      console.log('Payload (base64):', data.payload);
-      console.log('Data to sign:', data.dataToSign);
-      console.log('\n📝 Next steps:');
-      data.instructions.forEach(instruction => console.log(`   ${instruction}`));
-      break;
-    }
-
-    case 'generate': {
-      const domain = process.env.NEXT_PUBLIC_APP_DOMAIN;
-      const fid = process.env.FARCASTER_FID;
-      const custodyAddress = process.env.FARCASTER_CUSTODY_ADDRESS;
-      const privateKey = process.env.FARCASTER_CUSTODY_PRIVATE_KEY;
-
-      if (!domain || !fid || !custodyAddress || !privateKey) {
-        console.error('❌ Missing required environment variables:');
-        console.error('   NEXT_PUBLIC_APP_DOMAIN=' + (domain || 'NOT_SET'));
-        console.error('   FARCASTER_FID=' + (fid || 'NOT_SET'));
-        console.error('   FARCASTER_CUSTODY_ADDRESS=' + (custodyAddress || 'NOT_SET'));
-        console.error('   FARCASTER_CUSTODY_PRIVATE_KEY=' + (privateKey ? 'SET' : 'NOT_SET'));
-        console.error('\n💡 Set these in your .env file');
-        return;
-      }
-
-      console.log(`🔧 Generating account association for domain: ${domain}`);
-      console.log(`📋 Using FID: ${fid}`);
-      console.log(`📋 Using custody address: ${custodyAddress}\n`);
-
-      // Use ethers v6 Wallet to sign per EIP-191 (personal_sign)
-      const { Wallet } = await import('ethers');
-      const wallet = new Wallet(privateKey);
-      const walletAddress = wallet.address;
-
-      if (walletAddress.toLowerCase() !== custodyAddress.toLowerCase()) {
-        console.error('❌ FARCASTER_CUSTODY_PRIVATE_KEY does not match FARCASTER_CUSTODY_ADDRESS');
-        console.error(`   Derived from private key: ${walletAddress}`);
-        console.error(`   Provided address       : ${custodyAddress}`);
-        console.error('   Please ensure they refer to the same custody account.');
-        return;
-      }
-
-      // Generate the association data using the wallet-derived address
-      const tempGenerator = new FarcasterAccountAssociationGenerator(domain);
-      const data = tempGenerator.generateAccountAssociation(parseInt(fid), walletAddress);
-
-      // JFS requires signing the literal "header.payload" string with EIP-191
-      const message = data.dataToSign;
-      const sigHex = await wallet.signMessage(message); // 0x + 130 hex chars
-
-      // The JFS signature field is base64url of the ASCII hex string (including 0x)
-      const encodedSignature = Buffer.from(sigHex, 'utf8').toString('base64url');
-
-      const accountAssociation = {
-        header: data.header,
-        payload: data.payload,
-        signature: encodedSignature,
-      };
-
-      console.log('✅ Generated account association:');
-      console.log('Header:', accountAssociation.header);
-      console.log('Payload:', accountAssociation.payload);
-      console.log('Signature:', accountAssociation.signature);
-
-      // Update the manifest
-      tempGenerator.updateManifest(accountAssociation);
-      
-      console.log('\n🎉 Successfully updated farcaster.json using ethers v6 EIP-191 signature!');
-      break;
-    }
-
-    case 'validate': {
-      console.log('🔍 Validating current manifest...\n');
-      const isValid = generator.validateManifest();
-      
-      if (isValid) {
-        console.log('✅ Manifest is valid');
-      } else {
-        console.log('❌ Manifest validation failed');
-      }
-      break;
-    }
-
-    case 'decode': {
-      generator.decodeAccountAssociation();
-      break;
-    }
-
-    case 'update': {
-      if (args.length < 5) {
-        console.error('❌ Usage: update <domain> <header> <payload> <signature>');
-        return;
-      }
-
-      const [, domain, header, payload, signature] = args;
-      const accountAssociation = {
-        header,
-        payload,
-        signature
-      };
-
-      console.log(`🔄 Updating manifest for domain: ${domain}`);
-      generator.updateManifest(accountAssociation);
-      break;
-    }
-
-    default:
-      console.error(`❌ Unknown command: ${command}`);
-  }
+  // Required here because farcaster.js requires this module
+  const { run } = require('./farcaster');
+  process.exitCode = await run(toCliArgs(process.argv.slice(2)));
 }
 
+// Exported before main() runs so farcaster.js can require this module back
+module.exports = { FarcasterAccountAssociationGenerator };
+
 if (require.main === module) {
   main().catch(console.error);
 }
-
-module.exports = { FarcasterAccountAssociationGenerator };
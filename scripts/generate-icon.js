@@ -0,0 +1,459 @@
+#!/usr/bin/env node
+
+import "dotenv/config";
+import { Jimp } from "jimp";
+import { createHash } from "crypto";
+import { join } from "path";
+import {
+  readFileSync,
+  writeFileSync,
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  unlinkSync,
+} from "fs";
+import {
+  IMAGE_PROVIDERS,
+  DEFAULT_PROVIDER_ORDER,
+  ImageProviderError,
+  getImageProvider,
+  getMissingEnv,
+} from "./image-providers.js";
+
+/**
+ * Icon Generation Script for Farcaster Mini Apps
+ *
+ * Generates the app icon and splash image with the first image provider
+ * that succeeds, saves both to public/images/icon.png and splash.png and
+ * points farcaster.json at them. Providers are tried in order; ones missing their API keys are
+ * skipped. See image-providers.js for the list.
+ *
+ * Usage:
+ *   node scripts/generate-icon.js
+ *   node scripts/generate-icon.js [prompt]
+ *   node scripts/generate-icon.js --providers flux,local [prompt]
+ *   node scripts/generate-icon.js -- "--a prompt starting with dashes"
+ *
+ * The order can also be set with ICON_PROVIDERS=gemini,flux,workers-ai,local
+ */
+
+const USAGE = `Usage: node scripts/generate-icon.js [--providers <names>] [prompt]
+
+Generates public/images/icon.png and splash.png and points
+src/config/farcaster.json at them.
+
+Options:
+  --providers <names>  Comma-separated providers to try, in order
+                       (${Object.keys(IMAGE_PROVIDERS).join(", ")})
+  --help, -h           Show this help without generating anything
+
+Arguments after -- are taken as the prompt as they are.`;
+
+// Icon dimensions (1024x1024 PNG without transparency, as the manifest requires)
+const ICON_DIMENSIONS = {
+  width: 1024,
+  height: 1024,
+};
+
+// Splash dimensions (square format, 200x200 for Farcaster splash)
+const SPLASH_DIMENSIONS = {
+  width: 200,
+  height: 200,
+};
+
+// Retry configuration for rate-limited providers
+const MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 60;
+
+const IMAGES_DIR = join(process.cwd(), "public/images");
+const CONFIG_PATH = join(process.cwd(), "src/config/farcaster.json");
+
+// Stable names, the same ones generate-asset-set.js writes
+const ICON_FILENAME = "icon.png";
+const SPLASH_FILENAME = "splash.png";
+
+/**
+ * Resizes an image to the given dimensions and saves it as PNG in public/images
+ * @param {Buffer} imageBuffer - The source image (any format Jimp reads)
+ * @param {string} filename - Filename to save the image as
+ * @param {Object} dimensions - Target dimensions {width, height}
+ * @param {string} [background] - Hex colour to flatten transparent pixels onto
+ * @returns {Promise<Object>} - {filename, filePath, path}, where path is the
+ *   URL path with a ?v= content hash so clients refetch changed images
+ */
+async function resizeAndSaveImage(imageBuffer, filename, dimensions, background) {
+  if (!existsSync(IMAGES_DIR)) {
+    mkdirSync(IMAGES_DIR, { recursive: true });
+  }
+
+  let image = await Jimp.read(imageBuffer);
+  image.resize({ w: dimensions.width, h: dimensions.height });
+
+  if (background && image.hasAlpha()) {
+    const flattened = new Jimp({
+      width: dimensions.width,
+      height: dimensions.height,
+      color: background,
+    });
+    flattened.composite(image, 0, 0);
+    for (let idx = 3; idx < flattened.bitmap.data.length; idx += 4) {
+      flattened.bitmap.data[idx] = 0xff;
+    }
+    image = flattened;
+  }
+
+  const resizedBuffer = await image.getBuffer("image/png");
+
+  const filePath = join(IMAGES_DIR, filename);
+  writeFileSync(filePath, resizedBuffer);
+  console.log(
+    `💾 Saved ${filename} (${dimensions.width}x${dimensions.height}px)`,
+  );
+
+  const version = createHash("sha256").update(resizedBuffer).digest("hex").slice(0, 8);
+  return { filename, filePath, path: `/images/${filename}?v=${version}` };
+}
+
+/**
+ * Clears the <provider>-icon-<timestamp>.png and -splash- images written
+ * before the icon and splash had stable names
+ */
+function clearExistingIcons() {
+  if (!existsSync(IMAGES_DIR)) {
+    return;
+  }
+
+  const prefixes = IMAGE_PROVIDERS.flatMap((provider) => [
+    `${provider.name}-icon-`,
+    `${provider.name}-splash-`,
+  ]);
+  const iconFiles = readdirSync(IMAGES_DIR).filter(
+    (file) =>
+      file.endsWith(".png") &&
+      prefixes.some((prefix) => file.startsWith(prefix)),
+  );
+
+  if (iconFiles.length === 0) {
+    return;
+  }
+
+  console.log("🗑️  Clearing old timestamped icon and splash images...");
+  iconFiles.forEach((file) => {
+    try {
+      unlinkSync(join(IMAGES_DIR, file));
+      console.log(`   Deleted: ${file}`);
+    } catch (error) {
+      console.warn(`   Failed to delete: ${file}`);
+    }
+  });
+}
+
+/**
+ * Reads the miniapp section of the Farcaster configuration file
+ * @returns {Object} - The miniapp config, empty when the file can't be read
+ */
+function readMiniappConfig() {
+  try {
+    const config = JSON.parse(readFileSync(CONFIG_PATH, "utf8"));
+    return config.miniapp ?? {};
+  } catch (error) {
+    console.warn(
+      "⚠️  Warning: Could not read farcaster.json, using defaults",
+    );
+    return {};
+  }
+}
+
+/**
+ * Generate icon prompt based on app name
+ * @param {string} appName - The app name
+ * @returns {string} - The generated prompt
+ */
+function generateIconPrompt(appName) {
+  return `Create a clean, minimalist square app icon for "${appName}". The icon should be:
+- Modern and professional design
+- 1:1 aspect ratio (square format)
+- High contrast colors that work well at small sizes
+- Simple, geometric shapes or clean typography
+- Suitable for a mobile app icon
+- No complex details that become unclear when scaled down
+- If text is included, make it bold and highly readable`;
+}
+
+/**
+ * Points image fields in farcaster.json at files under public/. Paths are
+ * written as they are; the manifest route resolves them against the app URL
+ * it is served on. Arrays are kept as arrays (screenshotUrls).
+ * @param {Object<string, string|string[]>} paths - Field name to path, e.g. {iconUrl: "/images/icon.png"}
+ */
+function updateFarcasterConfigImageUrls(paths) {
+  try {
+    if (!existsSync(CONFIG_PATH)) {
+      console.warn(
+        "⚠️  Warning: farcaster.json file not found, skipping update",
+      );
+      return;
+    }
+
+    const config = JSON.parse(readFileSync(CONFIG_PATH, "utf8"));
+
+    if (config.miniapp) {
+      Object.assign(config.miniapp, paths);
+    }
+
+    writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
+    console.log("✅ Updated farcaster.json with new image URLs");
+  } catch (error) {
+    console.error("❌ Error updating farcaster.json:", error.message);
+  }
+}
+
+/**
+ * Updates the farcaster.json file with the generated image URLs
+ * @param {string} iconPath - URL path of the icon, e.g. "/images/icon.png?v=1a2b3c4d"
+ * @param {string} splashPath - URL path of the splash image
+ */
+function updateFarcasterConfigWithImages(iconPath, splashPath) {
+  const paths = {};
+  if (iconPath) {
+    paths.iconUrl = iconPath;
+  }
+  if (splashPath) {
+    paths.splashImageUrl = splashPath;
+  }
+  updateFarcasterConfigImageUrls(paths);
+}
+
+/**
+ * Resolves the provider order from the --providers flag, ICON_PROVIDERS,
+ * or the default order
+ * @param {string|string[]} [providers] - Comma-separated names or a list
+ * @returns {import("./image-providers.js").ImageProvider[]}
+ */
+function resolveProviders(providers = process.env.ICON_PROVIDERS) {
+  const names = Array.isArray(providers)
+    ? providers
+    : (providers || DEFAULT_PROVIDER_ORDER.join(","))
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean);
+
+  return names.map(getImageProvider);
+}
+
+/**
+ * Sleep for specified number of seconds
+ * @param {number} seconds - Number of seconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(seconds) {
+  console.log(`⏱️  Waiting ${seconds}s before retry...`);
+  return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+}
+
+/**
+ * Runs one provider. A rate-limited provider is only retried when it is
+ * the last one left; otherwise falling back is faster than waiting.
+ * @param {import("./image-providers.js").ImageProvider} provider - Provider to run
+ * @param {string} prompt - The image generation prompt
+ * @param {import("./image-providers.js").ImageContext} context - App name and colours
+ * @param {boolean} isLast - Whether no other provider follows
+ * @returns {Promise<Buffer>} - The generated image
+ */
+async function generateWithProvider(provider, prompt, context, isLast) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await provider.generate(prompt, ICON_DIMENSIONS, context);
+    } catch (error) {
+      const canRetry =
+        error instanceof ImageProviderError &&
+        error.isRateLimited &&
+        isLast &&
+        attempt < MAX_RETRIES;
+      if (!canRetry) {
+        throw error;
+      }
+
+      console.warn(
+        `⚠️  Rate limit hit (429) - attempt ${attempt}/${MAX_RETRIES}`,
+      );
+      await sleep(error.retryAfter ?? DEFAULT_RETRY_DELAY);
+    }
+  }
+}
+
+/**
+ * Generates the icon and splash with the first provider that succeeds,
+ * then replaces the previous images and updates farcaster.json
+ * @param {Object} [options]
+ * @param {string|string[]} [options.providers] - Provider order, defaults to ICON_PROVIDERS or every provider
+ * @param {string} [options.prompt] - Custom prompt, defaults to one built from the app name
+ * @returns {Promise<Object>} - {provider, icon, splash} with the saved filenames
+ */
+async function generateIcon({ providers, prompt } = {}) {
+  const miniapp = readMiniappConfig();
+  const context = {
+    appName: miniapp.name || "Mini App",
+    splashBackgroundColor: miniapp.splashBackgroundColor,
+  };
+  const iconPrompt = prompt || generateIconPrompt(context.appName);
+  const available = resolveProviders(providers).filter((provider) => {
+    const missing = getMissingEnv(provider);
+    if (missing.length > 0) {
+      console.log(`⏭️  Skipping ${provider.name}: ${missing.join(", ")} not set`);
+      return false;
+    }
+    return true;
+  });
+
+  if (available.length === 0) {
+    throw new Error("No image provider is configured. Set an API key or add the local provider.");
+  }
+
+  console.log(`📱 App: ${context.appName}`);
+  console.log(`🔀 Providers: ${available.map((provider) => provider.name).join(" → ")}`);
+  console.log(`📝 Prompt: ${iconPrompt}`);
+
+  const errors = [];
+
+  for (const [index, provider] of available.entries()) {
+    const startTime = Date.now();
+    console.log(`\n🎨 Generating with ${provider.displayName}...`);
+
+    let imageBuffer;
+    try {
+      imageBuffer = await generateWithProvider(
+        provider,
+        iconPrompt,
+        context,
+        index === available.length - 1,
+      );
+    } catch (error) {
+      console.error(`❌ ${provider.name} failed: ${error.message}`);
+      errors.push(`${provider.name}: ${error.message}`);
+      continue;
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`✅ Generated image in ${duration}s`);
+
+    const icon = await resizeAndSaveImage(
+      imageBuffer,
+      ICON_FILENAME,
+      ICON_DIMENSIONS,
+      context.splashBackgroundColor || "#ffffff",
+    );
+    const splash = await resizeAndSaveImage(
+      provider.generateSplash
+        ? await provider.generateSplash(SPLASH_DIMENSIONS, context)
+        : imageBuffer,
+      SPLASH_FILENAME,
+      SPLASH_DIMENSIONS,
+    );
+
+    clearExistingIcons();
+    updateFarcasterConfigWithImages(icon.path, splash.path);
+
+    return { provider: provider.name, icon: icon.filename, splash: splash.filename };
+  }
+
+  throw new Error(`All image providers failed:\n   ${errors.join("\n   ")}`);
+}
+
+/**
+ * Parses --providers, --help and the optional prompt from the command line.
+ * Any other option is an error, so a mistyped flag never becomes the prompt.
+ * @param {string[]} args - Arguments after the script path
+ * @returns {Object} - {providers, prompt, help}
+ */
+function parseArgs(args) {
+  const options = {};
+  const rest = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--") {
+      rest.push(...args.slice(i + 1));
+      break;
+    }
+    if (args[i] === "--help" || args[i] === "-h") {
+      options.help = true;
+      continue;
+    }
+    if (!args[i].startsWith("-")) {
+      rest.push(args[i]);
+      continue;
+    }
+
+    const [flag, inlineValue] = args[i].split(/=(.*)/s);
+    if (flag !== "--providers") {
+      throw new Error(`Unknown option: ${args[i]}`);
+    }
+    options.providers = inlineValue ?? args[++i];
+    if (!options.providers) {
+      throw new Error("--providers needs a value");
+    }
+  }
+
+  if (rest.length > 0) {
+    options.prompt = rest.join(" ");
+  }
+  return options;
+}
+
+/**
+ * Main function for the command line
+ * @param {string[]} [args] - Arguments after the script path
+ */
+async function main(args = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  console.log("🎨 Icon Generator for Farcaster Mini Apps");
+  console.log(
+    `🖼️  Icon: ${ICON_DIMENSIONS.width}x${ICON_DIMENSIONS.height}px, Splash: ${SPLASH_DIMENSIONS.width}x${SPLASH_DIMENSIONS.height}px`,
+  );
+
+  try {
+    const result = await generateIcon(options);
+
+    console.log("\n🎉 Image generation complete!");
+    console.log(`   🤖 Provider: ${result.provider}`);
+    console.log(`   📁 Icon: public/images/${result.icon}`);
+    console.log(`   📁 Splash: public/images/${result.splash}`);
+    console.log("   ✅ Updated: src/config/farcaster.json");
+  } catch (error) {
+    console.error("\n❌ Error generating icon:");
+    console.error("💥", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script when executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export {
+  ICON_DIMENSIONS,
+  SPLASH_DIMENSIONS,
+  main,
+  generateIcon,
+  generateIconPrompt,
+  parseArgs,
+  readMiniappConfig,
+  clearExistingIcons,
+  resizeAndSaveImage,
+  resolveProviders,
+  updateFarcasterConfigImageUrls,
+  updateFarcasterConfigWithImages,
+};
@@ -12,6 +12,10 @@ import {
   readdirSync,
   unlinkSync,
 } from "fs";
+import {
+  resolveAppServer,
+  takeScreenshot as capturePage,
+} from "./capture-screenshots.js";
 
 // Get script directory for relative imports
 const __filename = fileURLToPath(import.meta.url);
@@ -26,9 +30,14 @@ const __dirname = dirname(__filename);
  * - Splash: Resized to 200x200px using Sharp
  * Environment variables are automatically loaded from .env file using dotenv.
  *
+ * Screenshots are taken with Playwright (see capture-screenshots.js): local
+ * Chromium by default, Browserless when SCREENSHOT_BACKEND=browserless.
+ * Without SCREENSHOT_URL the local Next.js server is used, and started if
+ * it is not running.
+ *
  * Usage:
  *   node scripts/generate-screenshots-with-resize.js
- *   NEXT_PUBLIC_APP_DOMAIN=your-domain.ngrok.app node scripts/generate-screenshots-with-resize.js
+ *   SCREENSHOT_URL=your-domain.ngrok.app node scripts/generate-screenshots-with-resize.js
  */
 
 // Generation delays (in seconds)
@@ -37,12 +46,6 @@ const GENERATION_DELAYS = {
   initialWait: 0, // Initial wait before starting generation
 };
 
-// Screenshot configuration
-const SCREENSHOT_CONFIG = {
-  baseUrl: process.env.BROWSERLESS_API_URL,
-  delay: 2, // seconds between screenshots
-};
-
 // Icon dimensions (square format, optimized for Farcaster)
 const ICON_DIMENSIONS = {
   width: 208,
@@ -139,7 +142,7 @@ async function resizeAndSaveImage(imageBuffer, filename, dimensions) {
 }
 
 /**
- * Take a screenshot using the browserless API
+ * Take a screenshot with Playwright
  * @param {string} url - URL to screenshot
  * @param {Object} viewport - Viewport dimensions {width, height}
  * @param {string} filename - The output filename
@@ -151,50 +154,11 @@ async function takeScreenshot(url, viewport, filename) {
   );
 
   try {
-    const fullUrl = ensureProtocol(url);
-    console.log(`🔗 Using browserless API: ${SCREENSHOT_CONFIG.baseUrl}`);
-
-    // Prepare request body
-    const requestBody = {
-      url: fullUrl + "?skip=true",
-      setExtraHTTPHeaders: {
-        "ngrok-skip-browser-warning": "true",
-      },
-      gotoOptions: { waitUntil: "networkidle2" },
-      viewport: viewport,
-    };
-
-    console.log(`📋 Request options: ${JSON.stringify(requestBody, null, 2)}`);
-
-    // Make API request
-    const apiUrl = `${SCREENSHOT_CONFIG.baseUrl}/screenshot?token=dawdawdwa`;
-    const response = await fetch(apiUrl, {
-      method: "POST",
-      headers: {
-        "Cache-Control": "no-cache",
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(requestBody),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(
-        `API request failed: ${response.status} ${response.statusText}\n${errorText}`,
-      );
-    }
+    const fullUrl = new URL(ensureProtocol(url));
+    fullUrl.searchParams.set("skip", "true");
 
-    // Check if response is actually an image
-    const contentType = response.headers.get("content-type");
-    if (!contentType?.startsWith("image/")) {
-      const errorText = await response.text();
-      throw new Error(
-        `Expected image response, got ${contentType}\n${errorText}`,
-      );
-    }
-
-    // Get image data and save original to images directory
-    const imageBuffer = Buffer.from(await response.arrayBuffer());
+    // Save original to images directory
+    const imageBuffer = await capturePage(fullUrl.toString(), { viewport });
     const outputDir = join(process.cwd(), "public", "images");
 
     if (!existsSync(outputDir)) {
@@ -249,13 +213,12 @@ function clearExistingScreenshots() {
 
 /**
  * Updates the farcaster.json file with both icon and splash image URLs
- * @param {string} domain - The domain to use for URLs
  * @param {string} iconFilename - The icon filename
  * @param {string} splashFilename - The splash filename
  */
-function updateFarcasterConfigWithImages(domain, iconFilename, splashFilename) {
+function updateFarcasterConfigWithImages(iconFilename, splashFilename) {
   try {
-    const configPath = join(process.cwd(), "public/.well-known/farcaster.json");
+    const configPath = join(process.cwd(), "src/config/farcaster.json");
 
     if (!existsSync(configPath)) {
       console.warn(
@@ -267,21 +230,14 @@ function updateFarcasterConfigWithImages(domain, iconFilename, splashFilename) {
     const configContent = readFileSync(configPath, "utf8");
     const config = JSON.parse(configContent);
 
-    // Get domain URL
-    const baseUrl = `https://${domain}`;
-
-    // Update icon and splash URLs
+    // Paths only: the manifest route serves them on the app's own URL
     if (config.miniapp) {
       if (iconFilename) {
-        config.miniapp.iconUrl = `${baseUrl}/images/${iconFilename}`;
+        config.miniapp.iconUrl = `/images/${iconFilename}`;
       }
       if (splashFilename) {
-        config.miniapp.splashImageUrl = `${baseUrl}/images/${splashFilename}`;
+        config.miniapp.splashImageUrl = `/images/${splashFilename}`;
       }
-
-      // Update home URL to match domain
-      config.miniapp.homeUrl = baseUrl;
-      config.miniapp.webhookUrl = `${baseUrl}/api/webhook`;
     }
 
     // Write updated config
@@ -430,24 +386,11 @@ async function generateScreenshotWithRetryAndResize(
  * Main screenshot generation function with resizing
  */
 async function generateScreenshots() {
+  let appServer;
   try {
-    // Check for app domain (required for screenshots)
-    const appDomain = process.env.SCREENSHOT_URL;
-    if (!appDomain) {
-      console.error("❌ Error: SCREENSHOT_URL is not set.");
-      console.error("   Please add your app domain to your .env file.");
-      console.error("   Example: SCREENSHOT_URL=your-domain.ngrok.app");
-      process.exit(1);
-    }
-
-    // Check for browserless API URL
-    if (!SCREENSHOT_CONFIG.baseUrl) {
-      console.error("❌ Error: BROWSERLESS_API_URL is not set.");
-      console.error(
-        "   Please add your browserless API URL to your .env file.",
-      );
-      process.exit(1);
-    }
+    // SCREENSHOT_URL when set, otherwise the local Next.js server
+    appServer = await resolveAppServer({ url: process.env.SCREENSHOT_URL });
+    const appDomain = appServer.url;
 
     console.log(
       "📸 Screenshot Generator with Resizing for Farcaster Mini Apps",
@@ -499,7 +442,6 @@ async function generateScreenshots() {
     if (embedResult.success) {
       // Successful - update config and show success
       updateFarcasterConfigWithImages(
-        process.env.NEXT_PUBLIC_APP_DOMAIN,
         embedResult.result.icon,
         embedResult.result.splash,
       );
@@ -511,7 +453,7 @@ async function generateScreenshots() {
       console.log(`   📁 Icon: public/images/${embedResult.result.icon}`);
       console.log(`   📁 Splash: public/images/${embedResult.result.splash}`);
       console.log(`   ⏱️  Total time: ${totalDuration}s`);
-      console.log("   ✅ Updated: public/.well-known/farcaster.json");
+      console.log("   ✅ Updated: src/config/farcaster.json");
     } else {
       // Complete failure
       console.log("\n💥 Screenshot generation failed completely!");
@@ -531,8 +473,10 @@ async function generateScreenshots() {
   } catch (error) {
     console.error("\n❌ Error generating screenshots:");
     console.error("💥", error.message);
+    appServer?.stop();
     process.exit(1);
   }
+  appServer.stop();
 }
 
 // Run the script when executed directly
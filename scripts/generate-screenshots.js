@@ -11,6 +11,10 @@ import {
   readdirSync,
   unlinkSync,
 } from "fs";
+import {
+  resolveAppServer,
+  takeScreenshot as capturePage,
+} from "./capture-screenshots.js";
 
 // Get script directory for relative imports
 const __filename = fileURLToPath(import.meta.url);
@@ -23,9 +27,14 @@ const __dirname = dirname(__filename);
  * - Embed: Screenshot (768x512px viewport)
  * Environment variables are automatically loaded from .env file using dotenv.
  *
+ * Screenshots are taken with Playwright (see capture-screenshots.js): local
+ * Chromium by default, Browserless when SCREENSHOT_BACKEND=browserless.
+ * Without SCREENSHOT_URL the local Next.js server is used, and started if
+ * it is not running.
+ *
  * Usage:
  *   node scripts/generate-screenshots.js
- *   NEXT_PUBLIC_APP_DOMAIN=your-domain.ngrok.app node scripts/generate-screenshots.js
+ *   SCREENSHOT_URL=your-domain.ngrok.app node scripts/generate-screenshots.js
  */
 
 // Generation delays (in seconds)
@@ -34,12 +43,6 @@ const GENERATION_DELAYS = {
   initialWait: 0, // Initial wait before starting generation
 };
 
-// Screenshot configuration
-const SCREENSHOT_CONFIG = {
-  baseUrl: process.env.BROWSERLESS_API_URL,
-  delay: 2, // seconds between screenshots
-};
-
 /**
  * Sleep utility function to add delays between API calls
  * @param {number} seconds - Number of seconds to wait
@@ -72,7 +75,7 @@ const SCREENSHOT_VIEWPORTS = {
 };
 
 /**
- * Take a screenshot using the browserless API
+ * Take a screenshot with Playwright
  * @param {string} url - URL to screenshot
  * @param {Object} viewport - Viewport dimensions {width, height}
  * @param {string} filename - The output filename
@@ -84,51 +87,10 @@ async function takeScreenshot(url, viewport, filename) {
   );
 
   try {
-    const fullUrl = ensureProtocol(url);
-    console.log(`🔗 Using browserless API: ${SCREENSHOT_CONFIG.baseUrl}`);
-
-    // Prepare request body
-    const requestBody = {
-      url: fullUrl+"?skip=true",
-      setExtraHTTPHeaders: {
-        "ngrok-skip-browser-warning": "true"
-      },
-      gotoOptions: { waitUntil: "networkidle2" },
-      viewport: viewport,
-   
-    };
-
-    console.log(`📋 Request options: ${JSON.stringify(requestBody, null, 2)}`);
-
-    // Make API request
-    const apiUrl = `${SCREENSHOT_CONFIG.baseUrl}/screenshot?token=dawdawdwa`;
-    const response = await fetch(apiUrl, {
-      method: "POST",
-      headers: {
-        "Cache-Control": "no-cache",
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(requestBody),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(
-        `API request failed: ${response.status} ${response.statusText}\n${errorText}`,
-      );
-    }
-
-    // Check if response is actually an image
-    const contentType = response.headers.get("content-type");
-    if (!contentType?.startsWith("image/")) {
-      const errorText = await response.text();
-      throw new Error(
-        `Expected image response, got ${contentType}\n${errorText}`,
-      );
-    }
+    const fullUrl = new URL(ensureProtocol(url));
+    fullUrl.searchParams.set("skip", "true");
 
-    // Get image data and save directly to images directory
-    const imageBuffer = Buffer.from(await response.arrayBuffer());
+    const imageBuffer = await capturePage(fullUrl.toString(), { viewport });
     const outputDir = join(process.cwd(), "public", "images");
 
     if (!existsSync(outputDir)) {
@@ -294,12 +256,11 @@ async function generateScreenshotWithRetry(
 
 /**
  * Updates the farcaster.json file with the screenshot URLs
- * @param {string} domain - The NEXT_PUBLIC_APP_DOMAIN to use
  * @param {object} screenshotFilenames - Object containing filenames for embed and splash screenshots
  */
-function updateFarcasterConfig(domain, screenshotFilenames) {
+function updateFarcasterConfig(screenshotFilenames) {
   try {
-    const configPath = join(process.cwd(), "public/.well-known/farcaster.json");
+    const configPath = join(process.cwd(), "src/config/farcaster.json");
 
     if (!existsSync(configPath)) {
       console.warn(
@@ -311,24 +272,14 @@ function updateFarcasterConfig(domain, screenshotFilenames) {
     const configContent = readFileSync(configPath, "utf8");
     const config = JSON.parse(configContent);
 
-    // Update screenshot URLs with the provided domain
-    const baseUrl = `https://${domain}`;
-
-    if (config.miniapp) {
-      if (screenshotFilenames.embed) {
-        config.miniapp.imageUrl = `${baseUrl}/images/${screenshotFilenames.embed}`;
-      }
-
-      // Update home URL to match domain
-      config.miniapp.homeUrl = baseUrl;
-      config.miniapp.webhookUrl = `${baseUrl}/api/webhook`;
+    // Paths only: the manifest route serves them on the app's own URL
+    if (config.miniapp && screenshotFilenames.embed) {
+      config.miniapp.imageUrl = `/images/${screenshotFilenames.embed}`;
     }
 
     // Write updated config
     writeFileSync(configPath, JSON.stringify(config, null, 2));
-    console.log(
-      "✅ Updated farcaster.json with new screenshot URLs and domain",
-    );
+    console.log("✅ Updated farcaster.json with new screenshot URLs");
   } catch (error) {
     console.error("❌ Error updating farcaster.json:", error.message);
   }
@@ -338,24 +289,11 @@ function updateFarcasterConfig(domain, screenshotFilenames) {
  * Main screenshot generation function
  */
 async function generateScreenshots() {
+  let appServer;
   try {
-    // Check for app domain (required for screenshots)
-    const appDomain = process.env.SCREENSHOT_URL;
-    if (!appDomain) {
-      console.error("❌ Error: SCREENSHOT_URL is not set.");
-      console.error("   Please add your app domain to your .env file.");
-      console.error("   Example: SCREENSHOT_URL=your-domain.ngrok.app");
-      process.exit(1);
-    }
-
-    // Check for browserless API URL
-    if (!SCREENSHOT_CONFIG.baseUrl) {
-      console.error("❌ Error: BROWSERLESS_API_URL is not set.");
-      console.error(
-        "   Please add your browserless API URL to your .env file.",
-      );
-      process.exit(1);
-    }
+    // SCREENSHOT_URL when set, otherwise the local Next.js server
+    appServer = await resolveAppServer({ url: process.env.SCREENSHOT_URL });
+    const appDomain = appServer.url;
 
     console.log("📸 Screenshot Generator for Farcaster Mini Apps");
     console.log(`🌐 Taking screenshots of: ${appDomain}`);
@@ -408,28 +346,22 @@ async function generateScreenshots() {
     // Print final results
     if (embedResult.success) {
       // Successful - update config and show success
-      updateFarcasterConfig(
-        process.env.NEXT_PUBLIC_APP_DOMAIN,
-        successfulScreenshots,
-      );
+      updateFarcasterConfig(successfulScreenshots);
 
       console.log("\n🎉 Screenshot generation complete!");
       console.log(`   📁 Embed: public/images/${successfulScreenshots.embed}`);
       console.log(`   ⏱️  Total time: ${totalDuration}s`);
-      console.log("   ✅ Updated: public/.well-known/farcaster.json");
+      console.log("   ✅ Updated: src/config/farcaster.json");
     } else if (Object.keys(successfulScreenshots).length > 0) {
       // Partial success
-      updateFarcasterConfig(
-        process.env.NEXT_PUBLIC_APP_DOMAIN,
-        successfulScreenshots,
-      );
+      updateFarcasterConfig(successfulScreenshots);
 
       console.log("\n⚠️  Partial screenshot generation complete:");
       Object.entries(successfulScreenshots).forEach(([type, filename]) => {
         console.log(`   ✅ ${type}: public/images/${filename}`);
       });
       console.log(`   ⏱️  Total time: ${totalDuration}s`);
-      console.log("   ✅ Updated: public/.well-known/farcaster.json (partial)");
+      console.log("   ✅ Updated: src/config/farcaster.json (partial)");
 
       // Show failure summary
       console.log("\n💥 Failures summary:");
@@ -458,8 +390,10 @@ async function generateScreenshots() {
   } catch (error) {
     console.error("\n❌ Error generating screenshots:");
     console.error("💥", error.message);
+    appServer?.stop();
     process.exit(1);
   }
+  appServer.stop();
 }
 
 // Run the script when executed directly
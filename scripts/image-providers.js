@@ -0,0 +1,288 @@
+import {
+  renderProceduralIcon,
+  renderProceduralSplash,
+} from "./procedural-icon.js";
+
+/**
+ * Image Generation Providers
+ *
+ * Every provider has the same shape and only turns a prompt into image
+ * bytes. Saving, resizing and updating farcaster.json happen once, in
+ * generate-icon.js.
+ *
+ * Providers:
+ *   gemini       Gemini 2.5 Flash Image via OpenRouter (OPENROUTER_API_KEY)
+ *   flux         FLUX.1-schnell via Together AI (TOGETHER_API_KEY)
+ *   workers-ai   FLUX.1-schnell via Cloudflare Workers AI (CLOUDFLARE_ACCOUNT_ID, CLOUDFLARE_API_TOKEN)
+ *   local        Monogram and pattern drawn from the app name, no network needed
+ */
+
+/**
+ * @typedef {Object} ImageSize
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {Object} ImageContext
+ * @property {string} appName - The app name from farcaster.json
+ * @property {string} [splashBackgroundColor] - The splash background hex colour from farcaster.json
+ */
+
+/**
+ * @typedef {Object} ImageProvider
+ * @property {string} name - Id used in --providers and ICON_PROVIDERS
+ * @property {string} displayName - Name used in logs
+ * @property {string[]} requiredEnv - Environment variables the provider needs
+ * @property {(prompt: string, size: ImageSize, context: ImageContext) => Promise<Buffer>} generate - Returns the icon bytes (any format Jimp reads)
+ * @property {(size: ImageSize, context: ImageContext) => Promise<Buffer>} [generateSplash] - Returns a dedicated splash image; without it the icon is resized
+ */
+
+const OPENROUTER_MODEL = "google/gemini-2.5-flash-image-preview:free";
+const OPENROUTER_API_URL = "https://openrouter.ai/api/v1/chat/completions";
+
+const TOGETHER_MODEL = "black-forest-labs/FLUX.1-schnell-Free";
+const TOGETHER_STEPS = 4;
+
+const WORKERS_AI_MODEL = "@cf/black-forest-labs/flux-1-schnell";
+const WORKERS_AI_STEPS = 4;
+
+/**
+ * Error thrown by providers. `status` is the HTTP status when the API
+ * answered, `retryAfter` the delay in seconds it asked for.
+ */
+class ImageProviderError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options]
+   * @param {number} [options.status] - HTTP status code
+   * @param {number} [options.retryAfter] - Seconds to wait before retrying
+   */
+  constructor(message, { status, retryAfter } = {}) {
+    super(message);
+    this.name = "ImageProviderError";
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+
+  /**
+   * Whether the provider refused the request because of rate limits
+   * @returns {boolean}
+   */
+  get isRateLimited() {
+    return this.status === 429;
+  }
+}
+
+/**
+ * Reads the retry delay from a Retry-After header, or from the retryDelay
+ * field Google APIs put in their error details
+ * @param {Response} response - The failed response
+ * @param {string} body - The response body
+ * @returns {number|undefined} - Delay in seconds
+ */
+function parseRetryAfter(response, body) {
+  const header = Number(response.headers.get("retry-after"));
+  if (Number.isFinite(header) && header > 0) {
+    return header;
+  }
+
+  const match = body.match(/retryDelay\\?["']\s*:\s*\\?["'](\d+)s/);
+  return match ? parseInt(match[1], 10) : undefined;
+}
+
+/**
+ * Turns a non-2xx response into an ImageProviderError
+ * @param {string} providerName - Provider display name for the message
+ * @param {Response} response - The failed response
+ * @returns {Promise<ImageProviderError>}
+ */
+async function errorFromResponse(providerName, response) {
+  const body = await response.text().catch(() => "");
+  return new ImageProviderError(
+    `${providerName} request failed: HTTP ${response.status} ${response.statusText}${body ? ` - ${body.slice(0, 300)}` : ""}`,
+    { status: response.status, retryAfter: parseRetryAfter(response, body) },
+  );
+}
+
+/** @type {ImageProvider} */
+const geminiProvider = {
+  name: "gemini",
+  displayName: `OpenRouter (${OPENROUTER_MODEL})`,
+  requiredEnv: ["OPENROUTER_API_KEY"],
+
+  async generate(prompt) {
+    const response = await fetch(OPENROUTER_API_URL, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        model: OPENROUTER_MODEL,
+        messages: [{ role: "user", content: prompt }],
+        modalities: ["image"],
+      }),
+    });
+
+    if (!response.ok) {
+      throw await errorFromResponse(this.displayName, response);
+    }
+
+    // OpenRouter returns images as data URLs in message.images
+    const data = await response.json();
+    const images = data.choices?.[0]?.message?.images ?? [];
+    const dataUrl = images
+      .map((image) => image.image_url?.url)
+      .find((url) => url?.startsWith("data:image/"));
+
+    if (!dataUrl) {
+      throw new ImageProviderError("No image data in OpenRouter response");
+    }
+
+    return Buffer.from(dataUrl.split(",")[1], "base64");
+  },
+};
+
+/** @type {ImageProvider} */
+const fluxProvider = {
+  name: "flux",
+  displayName: `Together AI (${TOGETHER_MODEL})`,
+  requiredEnv: ["TOGETHER_API_KEY"],
+
+  async generate(prompt, size) {
+    // Loaded lazily so the other providers work without the SDK
+    const { default: Together } = await import("together-ai");
+    const together = new Together({ apiKey: process.env.TOGETHER_API_KEY });
+
+    let response;
+    try {
+      response = await together.images.create({
+        model: TOGETHER_MODEL,
+        prompt,
+        width: size.width,
+        height: size.height,
+        steps: TOGETHER_STEPS,
+        n: 1,
+        seed: Math.floor(Math.random() * 1000000),
+        response_format: "b64_json",
+      });
+    } catch (error) {
+      throw new ImageProviderError(`Together AI request failed: ${error.message}`, {
+        status: error.status,
+        retryAfter: Number(error.headers?.["retry-after"]) || undefined,
+      });
+    }
+
+    const imageData = response.data?.[0]?.b64_json;
+    if (!imageData) {
+      throw new ImageProviderError("No base64 image data in Together AI response");
+    }
+
+    return Buffer.from(imageData, "base64");
+  },
+};
+
+/** @type {ImageProvider} */
+const workersAiProvider = {
+  name: "workers-ai",
+  displayName: `Cloudflare Workers AI (${WORKERS_AI_MODEL})`,
+  requiredEnv: ["CLOUDFLARE_ACCOUNT_ID", "CLOUDFLARE_API_TOKEN"],
+
+  async generate(prompt) {
+    const url = `https://api.cloudflare.com/client/v4/accounts/${process.env.CLOUDFLARE_ACCOUNT_ID}/ai/run/${WORKERS_AI_MODEL}`;
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${process.env.CLOUDFLARE_API_TOKEN}`,
+        "Content-Type": "application/json",
+      },
+      // flux-1-schnell always renders 1024x1024; the caller resizes
+      body: JSON.stringify({ prompt, steps: WORKERS_AI_STEPS }),
+    });
+
+    if (!response.ok) {
+      throw await errorFromResponse(this.displayName, response);
+    }
+
+    const data = await response.json();
+    if (!data.success || !data.result?.image) {
+      const reason = data.errors?.map((error) => error.message).join(", ");
+      throw new ImageProviderError(
+        `No image data in Workers AI response${reason ? `: ${reason}` : ""}`,
+      );
+    }
+
+    return Buffer.from(data.result.image, "base64");
+  },
+};
+
+/** @type {ImageProvider} */
+const localProvider = {
+  name: "local",
+  displayName: "Local procedural generator",
+  requiredEnv: [],
+
+  // Drawn from the app name rather than the prompt, see procedural-icon.js
+  async generate(prompt, size, context) {
+    return renderProceduralIcon({
+      name: context.appName,
+      backgroundColor: context.splashBackgroundColor,
+      size: size.width,
+    });
+  },
+
+  async generateSplash(size, context) {
+    return renderProceduralSplash({
+      name: context.appName,
+      backgroundColor: context.splashBackgroundColor,
+      size: size.width,
+    });
+  },
+};
+
+/** @type {ImageProvider[]} */
+const IMAGE_PROVIDERS = [
+  geminiProvider,
+  fluxProvider,
+  workersAiProvider,
+  localProvider,
+];
+
+/**
+ * Default fallback order: every hosted provider, then the local generator
+ * so a run always ends with usable images
+ */
+const DEFAULT_PROVIDER_ORDER = IMAGE_PROVIDERS.map((provider) => provider.name);
+
+/**
+ * Looks up a provider by name
+ * @param {string} name - Provider name
+ * @returns {ImageProvider}
+ */
+function getImageProvider(name) {
+  const provider = IMAGE_PROVIDERS.find((candidate) => candidate.name === name);
+  if (!provider) {
+    const names = IMAGE_PROVIDERS.map((candidate) => candidate.name).join(", ");
+    throw new Error(`Unknown image provider "${name}". Use one of: ${names}`);
+  }
+  return provider;
+}
+
+/**
+ * Lists the environment variables a provider still needs
+ * @param {ImageProvider} provider - The provider to check
+ * @param {NodeJS.ProcessEnv} [env] - Environment to read
+ * @returns {string[]} - Missing variable names, empty when it can run
+ */
+function getMissingEnv(provider, env = process.env) {
+  return provider.requiredEnv.filter((name) => !env[name]);
+}
+
+export {
+  IMAGE_PROVIDERS,
+  DEFAULT_PROVIDER_ORDER,
+  ImageProviderError,
+  getImageProvider,
+  getMissingEnv,
+};
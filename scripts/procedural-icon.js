@@ -0,0 +1,362 @@
+import { Jimp, loadFont, measureText, measureTextHeight } from "jimp";
+import { SANS_128_WHITE } from "jimp/fonts";
+import { readFileSync } from "fs";
+import { join } from "path";
+
+/**
+ * Procedural Icon Renderer
+ *
+ * Draws an app icon and splash image without any network access, so assets
+ * can be produced in CI or offline. Everything is derived from the app name
+ * and colours, so the same inputs always give the same image:
+ *   - a diagonal gradient from the splash background colour (or the theme
+ *     primary) into the dark theme background
+ *   - a geometric pattern picked and placed by a seed from the app name
+ *   - a monogram of the app name's initials
+ *
+ * Theme colours are read from the CSS variables in src/styles/globals.css
+ * that tailwind.config.ts maps to `primary` and `background`.
+ */
+
+const THEME_CSS_PATH = join(process.cwd(), "src/styles/globals.css");
+
+// Used when globals.css is missing or a variable is not defined
+const DEFAULT_THEME_COLORS = {
+  primary: "#0ea5e9",
+  darkBackground: "#020817",
+};
+
+const PATTERNS = ["rings", "dots", "stripes", "blocks"];
+
+// Share of the image the monogram's cap height takes up
+const MONOGRAM_SCALE = 0.36;
+
+/**
+ * Hashes a string to a 32-bit seed (FNV-1a)
+ * @param {string} value - The string to hash
+ * @returns {number} - Unsigned 32-bit seed
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {() => number} - Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Converts a CSS variable value like "199 89% 48%" to RGB
+ * @param {string} value - Space-separated HSL components
+ * @returns {number[]} - [r, g, b] between 0 and 255
+ */
+function hslToRgb(value) {
+  const [h, s, l] = value
+    .trim()
+    .split(/\s+/)
+    .map((part) => parseFloat(part));
+  const saturation = s / 100;
+  const lightness = l / 100;
+
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const x = chroma * (1 - Math.abs(((h / 60) % 2) - 1));
+  const m = lightness - chroma / 2;
+  const [r, g, b] =
+    h < 60 ? [chroma, x, 0]
+    : h < 120 ? [x, chroma, 0]
+    : h < 180 ? [0, chroma, x]
+    : h < 240 ? [0, x, chroma]
+    : h < 300 ? [x, 0, chroma]
+    : [chroma, 0, x];
+
+  return [r, g, b].map((channel) => Math.round((channel + m) * 255));
+}
+
+/**
+ * Parses a #rgb or #rrggbb colour
+ * @param {string} hex - The hex colour
+ * @returns {number[]|null} - [r, g, b], or null when it is not a hex colour
+ */
+function hexToRgb(hex) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex?.trim() ?? "");
+  if (!match) {
+    return null;
+  }
+  const digits =
+    match[1].length === 3
+      ? match[1].split("").map((digit) => digit + digit).join("")
+      : match[1];
+  return [0, 2, 4].map((offset) => parseInt(digits.slice(offset, offset + 2), 16));
+}
+
+/**
+ * Formats RGB as a #rrggbb colour
+ * @param {number[]} rgb - [r, g, b]
+ * @returns {string}
+ */
+function rgbToHex(rgb) {
+  return `#${rgb.map((channel) => channel.toString(16).padStart(2, "0")).join("")}`;
+}
+
+/**
+ * Reads the theme colours from the CSS variables in globals.css
+ * @param {string} [cssPath] - Path to the stylesheet
+ * @returns {{primary: string, darkBackground: string}} - Hex colours
+ */
+function readThemeColors(cssPath = THEME_CSS_PATH) {
+  let css;
+  try {
+    css = readFileSync(cssPath, "utf8");
+  } catch (error) {
+    console.warn("⚠️  Warning: Could not read theme colours, using defaults");
+    return { ...DEFAULT_THEME_COLORS };
+  }
+
+  /**
+   * Finds a variable inside a selector block
+   * @param {string} selector - Selector that opens the block
+   * @param {string} name - Variable name without the leading dashes
+   * @returns {string|null} - Hex colour, or null when not defined
+   */
+  const readVariable = (selector, name) => {
+    const start = css.indexOf(`${selector} {`);
+    if (start === -1) {
+      return null;
+    }
+    const block = css.slice(start, css.indexOf("}", start));
+    const match = new RegExp(`--${name}:\\s*([^;]+);`).exec(block);
+    return match ? rgbToHex(hslToRgb(match[1])) : null;
+  };
+
+  return {
+    primary: readVariable(":root", "primary") ?? DEFAULT_THEME_COLORS.primary,
+    darkBackground:
+      readVariable(".dark", "background") ?? DEFAULT_THEME_COLORS.darkBackground,
+  };
+}
+
+/**
+ * Gets up to two initials from the app name, e.g. "Next.js Mini App" → "NM".
+ * Only ASCII letters and digits are used since the bundled font has no others.
+ * @param {string} name - The app name
+ * @returns {string}
+ */
+function getInitials(name) {
+  return name
+    .split(/\s+/)
+    .map((word) => word.match(/[a-z0-9]/i)?.[0] ?? "")
+    .filter(Boolean)
+    .slice(0, 2)
+    .join("")
+    .toUpperCase();
+}
+
+/**
+ * Linear interpolation between two colours
+ * @param {number[]} from - [r, g, b]
+ * @param {number[]} to - [r, g, b]
+ * @param {number} t - Position between 0 and 1
+ * @returns {number[]}
+ */
+function mix(from, to, t) {
+  return from.map((channel, i) => channel + (to[i] - channel) * t);
+}
+
+/**
+ * Builds a pattern function for the seed. The function returns how much
+ * white to lay over a pixel, between 0 and 1.
+ * @param {string} pattern - One of PATTERNS
+ * @param {() => number} random - Seeded random generator
+ * @param {number} size - Image size in pixels
+ * @returns {(x: number, y: number) => number}
+ */
+function createPattern(pattern, random, size) {
+  const strength = 0.08 + random() * 0.06;
+
+  switch (pattern) {
+    case "rings": {
+      const cx = size * (0.15 + random() * 0.7);
+      const cy = size * (0.15 + random() * 0.7);
+      const ringWidth = size * (0.04 + random() * 0.04);
+      return (x, y) =>
+        Math.floor(Math.hypot(x - cx, y - cy) / ringWidth) % 2 === 0
+          ? strength
+          : 0;
+    }
+
+    case "dots": {
+      const spacing = size / (5 + Math.floor(random() * 4));
+      const radius = spacing * (0.18 + random() * 0.14);
+      return (x, y) => {
+        const dx = (x % spacing) - spacing / 2;
+        const dy = (y % spacing) - spacing / 2;
+        return Math.hypot(dx, dy) < radius ? strength * 1.5 : 0;
+      };
+    }
+
+    case "stripes": {
+      const angle = random() * Math.PI;
+      const stripeWidth = size * (0.05 + random() * 0.05);
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      return (x, y) =>
+        Math.floor((x * cos + y * sin) / stripeWidth) % 2 === 0 ? strength : 0;
+    }
+
+    default: {
+      // A mirrored grid of filled cells, like an identicon
+      const cells = 5;
+      const filled = Array.from({ length: cells * Math.ceil(cells / 2) }, () =>
+        random() < 0.5,
+      );
+      const cellSize = size / cells;
+      return (x, y) => {
+        const column = Math.min(Math.floor(x / cellSize), cells - 1);
+        const row = Math.min(Math.floor(y / cellSize), cells - 1);
+        const mirrored = Math.min(column, cells - 1 - column);
+        return filled[row * Math.ceil(cells / 2) + mirrored] ? strength : 0;
+      };
+    }
+  }
+}
+
+/**
+ * Renders the initials in white, scaled to the image size
+ * @param {string} initials - Text to draw
+ * @param {number} size - Image size in pixels
+ * @returns {Promise<Object|null>} - A transparent Jimp image, or null without initials
+ */
+async function renderMonogram(initials, size) {
+  if (!initials) {
+    return null;
+  }
+
+  const font = await loadFont(SANS_128_WHITE);
+  const width = measureText(font, initials);
+  const height = measureTextHeight(font, initials, width + 1);
+  const text = new Jimp({ width, height, color: 0x00000000 });
+  text.print({ font, x: 0, y: 0, text: initials });
+
+  // The line height includes space above and below the capitals
+  text.autocrop();
+  const scale = (size * MONOGRAM_SCALE) / text.bitmap.height;
+  const maxScale = (size * 0.7) / text.bitmap.width;
+  text.scale(Math.min(scale, maxScale));
+  return text;
+}
+
+/**
+ * Renders the square icon: gradient, pattern and monogram. The result has
+ * no transparency, as the manifest requires for iconUrl.
+ * @param {Object} options
+ * @param {string} options.name - The app name, seeds the pattern and gives the initials
+ * @param {string} [options.backgroundColor] - Hex colour the gradient starts from, defaults to the theme primary
+ * @param {number} [options.size] - Width and height in pixels
+ * @returns {Promise<Buffer>} - PNG image
+ */
+async function renderProceduralIcon({ name, backgroundColor, size = 1024 }) {
+  const theme = readThemeColors();
+  const random = createRandom(hashString(name));
+
+  const start = hexToRgb(backgroundColor) ?? hexToRgb(theme.primary);
+  const end = mix(start, hexToRgb(theme.darkBackground), 0.55 + random() * 0.2);
+  const angle = random() * Math.PI * 2;
+  const pattern = createPattern(
+    PATTERNS[Math.floor(random() * PATTERNS.length)],
+    random,
+    size,
+  );
+
+  const image = new Jimp({ width: size, height: size, color: 0x000000ff });
+  const { data } = image.bitmap;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      // Project onto the gradient direction, centred so t stays in [0, 1]
+      const t = 0.5 + (((x / size - 0.5) * cos + (y / size - 0.5) * sin) / Math.SQRT2);
+      const color = mix(mix(start, end, t), [255, 255, 255], pattern(x, y));
+      const idx = (y * size + x) << 2;
+      data[idx] = color[0];
+      data[idx + 1] = color[1];
+      data[idx + 2] = color[2];
+    }
+  }
+
+  const monogram = await renderMonogram(getInitials(name), size);
+  if (monogram) {
+    image.composite(
+      monogram,
+      Math.round((size - monogram.bitmap.width) / 2),
+      Math.round((size - monogram.bitmap.height) / 2),
+    );
+
+    // Blending rounds some alpha values down to 254
+    for (let idx = 3; idx < data.length; idx += 4) {
+      data[idx] = 0xff;
+    }
+  }
+
+  return image.getBuffer("image/png");
+}
+
+/**
+ * Renders the splash image: the icon as a round badge on the splash
+ * background colour, so it blends into the loading screen
+ * @param {Object} options
+ * @param {string} options.name - The app name
+ * @param {string} [options.backgroundColor] - Splash background hex colour, defaults to the theme primary
+ * @param {number} [options.size] - Width and height in pixels
+ * @returns {Promise<Buffer>} - PNG image
+ */
+async function renderProceduralSplash({ name, backgroundColor, size = 200 }) {
+  const background = hexToRgb(backgroundColor) ?? hexToRgb(readThemeColors().primary);
+  const badge = await Jimp.read(
+    await renderProceduralIcon({ name, backgroundColor, size }),
+  );
+
+  const { data } = badge.bitmap;
+  const radius = size * 0.42;
+  const center = size / 2;
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      // One pixel of anti-aliasing at the edge of the badge
+      const distance = Math.hypot(x + 0.5 - center, y + 0.5 - center);
+      const coverage = Math.min(Math.max(radius - distance + 0.5, 0), 1);
+      const idx = (y * size + x) << 2;
+      for (let channel = 0; channel < 3; channel++) {
+        data[idx + channel] = Math.round(
+          background[channel] + (data[idx + channel] - background[channel]) * coverage,
+        );
+      }
+    }
+  }
+
+  return badge.getBuffer("image/png");
+}
+
+export {
+  PATTERNS,
+  getInitials,
+  readThemeColors,
+  renderProceduralIcon,
+  renderProceduralSplash,
+};
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+const { isDeepStrictEqual } = require('util');
+const { join } = require('path');
+const {
+  FarcasterApiError,
+  FarcasterClient,
+  FixtureTransport,
+  MAX_RETRY_DELAY,
+  parseRetryAfter,
+} = require('./farcaster-client');
+
+/**
+ * Replays Farcaster API exchanges offline
+ *
+ * Usage:
+ *   node scripts/replay-farcaster-fixtures.js                  # scripts/fixtures/farcaster-api.json
+ *   node scripts/replay-farcaster-fixtures.js recorded.json
+ *
+ * Each exchange is sent again through FarcasterClient's own methods
+ * (createCast, favoriteFrame, ...) against FixtureTransport, and the run
+ * fails when the client builds a different request body than the one
+ * recorded, leaves an exchange unused, reads a field the response does not
+ * have, or does not honour Retry-After: it must wait exactly that long, or
+ * fail without retrying when it is longer than MAX_RETRY_DELAY.
+ *
+ * Fixture files use the format RecordingTransport writes, so a fresh
+ * capture replaces the bundled one:
+ *   FARCASTER_RECORD=recorded.json pnpm farcaster cast --text "..."
+ * The bundled file is written by hand in that format, with responses
+ * shaped like the ones the client reads; re-record it against the live API
+ * to check those shapes.
+ */
+
+const DEFAULT_FIXTURES = join(__dirname, 'fixtures', 'farcaster-api.json');
+
+/**
+ * The client call that sends each endpoint, and what the scripts read from
+ * its response. `check` returns a problem, or null.
+ */
+const CALLS = {
+  'GET /v2/user-by-username': {
+    send: (client, { query }) => client.getUserByUsername(query.get('username')),
+    check: (user) => (typeof user?.fid === 'number' ? null : 'result.user.fid is not a number'),
+  },
+  'POST /v2/casts': {
+    send: (client, { body }) =>
+      client.createCast({
+        text: body.text,
+        embeds: body.embeds,
+        parentHash: body.parent?.hash,
+        channelKey: body.channelKey,
+      }),
+    check: (data) => (typeof data?.result?.cast?.hash === 'string' ? null : 'result.cast.hash is not a string'),
+  },
+  'PUT /v1/favorite-frames': {
+    send: (client, { body }) => client.favoriteFrame(body.domain),
+  },
+  'DELETE /v1/favorite-frames': {
+    send: (client, { body }) => client.unfavoriteFrame(body.domain),
+  },
+};
+
+/**
+ * Replays every exchange in a fixture file
+ * @param {string} path - Fixture file
+ * @returns {Promise<string[]>} - Problems found, empty when the replay matches
+ */
+async function replayFixtures(path) {
+  const transport = FixtureTransport.fromFile(path);
+  const delays = [];
+  const client = new FarcasterClient({
+    token: 'offline-token',
+    transport,
+    sleep: async (ms) => {
+      delays.push(ms);
+    },
+    log: () => {},
+  });
+
+  const problems = [];
+  let next;
+  while ((next = transport.fixtures.find((fixture) => !fixture.used))) {
+    const url = new URL(next.request.path, 'https://replay.invalid');
+    const endpoint = `${next.request.method} ${url.pathname}`;
+    const call = CALLS[endpoint];
+    if (!call) {
+      problems.push(`${endpoint}: no client call for this endpoint`);
+      next.used = true;
+      continue;
+    }
+
+    const sentBefore = transport.requests.length;
+    const unusedBefore = transport.fixtures.filter((fixture) => !fixture.used);
+    delays.length = 0;
+
+    let outcome;
+    try {
+      const result = await call.send(client, { query: url.searchParams, body: next.request.body ?? {} });
+      const problem = call.check?.(result);
+      if (problem) {
+        problems.push(`${endpoint}: ${problem}`);
+      }
+      outcome = 'ok';
+    } catch (error) {
+      if (!(error instanceof FarcasterApiError)) {
+        throw error;
+      }
+      outcome = `failed (${error.status ?? error.message})`;
+    }
+
+    // Compare what the client sent with what was recorded, exchange by exchange
+    const consumed = unusedBefore.filter((fixture) => fixture.used);
+    transport.requests.slice(sentBefore).forEach((request, index) => {
+      const recorded = consumed[index]?.request;
+      if (recorded && recorded.body !== undefined && !isDeepStrictEqual(request.body, recorded.body)) {
+        problems.push(
+          `${endpoint}: sent ${JSON.stringify(request.body)}, recorded ${JSON.stringify(recorded.body)}`
+        );
+      }
+    });
+    for (const delay of delays) {
+      if (delay > MAX_RETRY_DELAY) {
+        problems.push(`${endpoint}: waited ${delay}ms, more than MAX_RETRY_DELAY (${MAX_RETRY_DELAY}ms)`);
+      }
+    }
+    // The wait after each response is delays[index]; the last response has none
+    consumed.forEach((fixture, index) => {
+      const retryAfter = parseRetryAfter(fixture.response.headers?.['retry-after']);
+      if (retryAfter === undefined || fixture.response.status < 400) {
+        return;
+      }
+      if (retryAfter * 1000 > MAX_RETRY_DELAY) {
+        if (delays[index] !== undefined || outcome === 'ok') {
+          problems.push(`${endpoint}: retried after Retry-After ${retryAfter}s instead of failing`);
+        }
+      } else if (index < consumed.length - 1 && delays[index] !== retryAfter * 1000) {
+        problems.push(`${endpoint}: waited ${delays[index]}ms after Retry-After ${retryAfter}s`);
+      }
+    });
+
+    const statuses = consumed.map((fixture) => fixture.response.status).join(' → ');
+    const waits = delays.length > 0 ? `, waited ${delays.map((ms) => `${ms / 1000}s`).join(', ')}` : '';
+    console.log(`   ${endpoint}: ${statuses}${waits} - ${outcome}`);
+  }
+
+  return problems;
+}
+
+async function main() {
+  const path = process.argv[2] || DEFAULT_FIXTURES;
+  console.log(`🔁 Replaying ${path}\n`);
+
+  try {
+    const problems = await replayFixtures(path);
+    if (problems.length > 0) {
+      console.log('');
+      problems.forEach((problem) => console.log(`❌ ${problem}`));
+      process.exit(1);
+    }
+    console.log('\n✅ Every exchange replayed as recorded');
+  } catch (error) {
+    console.error('❌ Replay failed:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { replayFixtures };
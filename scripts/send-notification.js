@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const { parseArgs } = require('util');
+
+/**
+ * Send a Farcaster mini app notification to users who enabled notifications
+ *
+ * Calls the app's /api/notifications/send route, which looks up stored
+ * notification tokens and delivers to each client's notification URL.
+ *
+ * Usage:
+ *   node scripts/send-notification.js --title "New drop" --body "Come check it out"
+ *   node scripts/send-notification.js --title "Hi" --body "Just you" --fid 123 --fid 456
+ *
+ * Options:
+ *   --title       Notification title (max 32 characters)
+ *   --body        Notification body (max 128 characters)
+ *   --target-url  URL opened when tapped, on the app's domain (defaults to NEXT_PUBLIC_APP_URL)
+ *   --id          Notification ID used for deduplication (generated if omitted)
+ *   --fid         Only notify this FID (repeatable)
+ *   --app-url     Deployed app URL (defaults to NEXT_PUBLIC_APP_URL)
+ */
+
+async function sendNotification() {
+  const { values } = parseArgs({
+    options: {
+      title: { type: 'string' },
+      body: { type: 'string' },
+      'target-url': { type: 'string' },
+      id: { type: 'string' },
+      fid: { type: 'string', multiple: true },
+      'app-url': { type: 'string' },
+    },
+  });
+
+  const appUrl = values['app-url'] || process.env.NEXT_PUBLIC_APP_URL;
+  const apiSecret = process.env.API_SECRET;
+
+  if (!appUrl || !apiSecret) {
+    console.error('❌ Missing required configuration:');
+    console.error('   NEXT_PUBLIC_APP_URL=' + (appUrl || 'NOT_SET'));
+    console.error('   API_SECRET=' + (apiSecret ? 'SET' : 'NOT_SET'));
+    console.error('\n💡 Set these in your .env file or pass --app-url');
+    process.exit(1);
+  }
+
+  if (!values.title || !values.body) {
+    console.error('❌ Usage: send-notification --title <title> --body <body> [--target-url <url>] [--fid <fid>...]');
+    process.exit(1);
+  }
+
+  const invalidFid = values.fid?.find((fid) => !/^[1-9]\d*$/.test(fid));
+  if (invalidFid !== undefined) {
+    console.error(`❌ --fid must be a positive integer, got: ${invalidFid}`);
+    process.exit(1);
+  }
+
+  const payload = {
+    title: values.title,
+    body: values.body,
+    targetUrl: values['target-url'],
+    notificationId: values.id,
+    fids: values.fid?.map(Number),
+  };
+
+  try {
+    console.log(`🔔 Sending notification via ${appUrl}/api/notifications/send...`);
+    const response = await fetch(`${appUrl}/api/notifications/send`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiSecret}`,
+      },
+      body: JSON.stringify(payload),
+    });
+
+    const responseData = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      console.error(`❌ Error sending notification: ${response.status} ${response.statusText}`);
+      console.error('   Response:', responseData);
+      process.exit(1);
+    }
+
+    console.log('✅ Notification sent:');
+    console.log(`   Notification ID : ${responseData.notificationId}`);
+    console.log(`   Recipients      : ${responseData.recipients}`);
+    console.log(`   Delivered       : ${responseData.successfulTokens.length}`);
+    console.log(`   Invalid (pruned): ${responseData.invalidTokens.length}`);
+    console.log(`   Rate limited    : ${responseData.rateLimitedTokens.length}`);
+    console.log(`   Failed          : ${responseData.failedTokens.length}`);
+
+    // Clients drop a notification ID they already showed, so resending is safe
+    if (responseData.retryFids?.length > 0) {
+      const args = [
+        '--title', JSON.stringify(values.title),
+        '--body', JSON.stringify(values.body),
+        ...(values['target-url'] ? ['--target-url', values['target-url']] : []),
+        '--id', responseData.notificationId,
+        ...responseData.retryFids.flatMap((fid) => ['--fid', fid]),
+      ];
+      console.log(`\n⏳ ${responseData.retryFids.length} recipient(s) to retry later:`);
+      console.log(`   node scripts/send-notification.js ${args.join(' ')}`);
+    }
+  } catch (error) {
+    console.error('💥 An unexpected error occurred:');
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+// Execute the function
+sendNotification();
@@ -0,0 +1,455 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const { existsSync, readFileSync } = require('fs');
+const { join } = require('path');
+const { parseArgs } = require('util');
+const { assembleManifest } = require('../src/lib/farcaster/manifest');
+
+/**
+ * Validates a Farcaster Mini App manifest against the spec
+ *
+ * Usage:
+ *   node scripts/validate-manifest.js                 # as served, see readServedManifest()
+ *   node scripts/validate-manifest.js --domain example.com
+ *   node scripts/validate-manifest.js --file other.json
+ *   node scripts/validate-manifest.js --url https://example.com/.well-known/farcaster.json
+ *
+ * By default the manifest is assembled the way /.well-known/farcaster.json
+ * serves it for --domain (default: NEXT_PUBLIC_APP_DOMAIN, the host of
+ * NEXT_PUBLIC_APP_URL, or the domain the configured association is signed
+ * for). --file validates a manifest file as-is.
+ *
+ * Images on the app's own host are looked up in public/ by URL path, so
+ * dimensions and formats are checked against the files that will be deployed.
+ * Images on other hosts (a CDN) are not downloaded or checked.
+ * Exits with code 1 when any error is found.
+ */
+
+const MANIFEST_CONFIG_PATH = join(process.cwd(), 'src/config/farcaster.json');
+const ASSOCIATIONS_PATH = join(process.cwd(), 'src/config/account-associations.json');
+const PUBLIC_DIR = join(process.cwd(), 'public');
+
+const PRIMARY_CATEGORIES = [
+  'games',
+  'social',
+  'finance',
+  'utility',
+  'productivity',
+  'health-fitness',
+  'news-media',
+  'music',
+  'shopping',
+  'education',
+  'developer-tools',
+  'entertainment',
+  'art-creativity',
+];
+
+const MAX_LENGTHS = {
+  name: 32,
+  buttonTitle: 32,
+  subtitle: 30,
+  description: 170,
+  tagline: 30,
+  ogTitle: 30,
+  ogDescription: 100,
+};
+
+const MAX_URL_LENGTH = 1024;
+const MAX_TAGS = 5;
+const MAX_TAG_LENGTH = 20;
+const MAX_SCREENSHOTS = 3;
+
+const REQUIRED_FIELDS = ['version', 'name', 'homeUrl', 'iconUrl'];
+
+const URL_FIELDS = ['homeUrl', 'iconUrl', 'imageUrl', 'splashImageUrl', 'webhookUrl', 'heroImageUrl', 'ogImageUrl', 'castShareUrl'];
+
+// Display strings that must be plain text (no emojis, symbols or repeated punctuation)
+const SIMPLE_STRING_FIELDS = ['subtitle', 'description', 'tagline', 'ogTitle', 'ogDescription'];
+
+/**
+ * Expected image sizes and formats. `aspect` checks the ratio only.
+ */
+const IMAGE_RULES = {
+  iconUrl: { width: 1024, height: 1024, formats: ['image/png'], noAlpha: true },
+  splashImageUrl: { width: 200, height: 200, formats: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'] },
+  imageUrl: { aspect: [3, 2], formats: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'] },
+  heroImageUrl: { width: 1200, height: 630, formats: ['image/png', 'image/jpeg', 'image/webp'] },
+  ogImageUrl: { width: 1200, height: 630, formats: ['image/png', 'image/jpeg'] },
+  screenshotUrls: { width: 1284, height: 2778, formats: ['image/png', 'image/jpeg', 'image/webp'] },
+};
+
+// Same rules the Farcaster clients apply to display strings
+const EMOJI_PATTERN = /[\u{1F300}-\u{1F9FF}]|[\u{2702}-\u{27B0}]|[\u{2600}-\u{26FF}]|[\u{2B00}-\u{2BFF}]/u;
+const SPECIAL_CHARS_PATTERN = /[@#$%^&*+=/\\|~«»]/;
+const HEX_COLOR_PATTERN = /^#([0-9A-F]{3}|[0-9A-F]{6})$/i;
+const REPEATED_PUNCTUATION_PATTERN = /(!{2,}|\?{2,}|-{2,})/;
+const TAG_PATTERN = /^[a-z0-9-]+$/;
+const CHAIN_PATTERN = /^(eip155:\d+|solana:[1-9A-HJ-NP-Za-km-z]+)$/;
+
+/**
+ * Detects the image format from its leading bytes
+ */
+function detectImageFormat(buffer) {
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.subarray(0, 4).toString('ascii') === 'GIF8') {
+    return 'image/gif';
+  }
+  if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/**
+ * Decodes the domain the account association was signed for
+ */
+function getAssociationDomain(accountAssociation) {
+  try {
+    const payload = JSON.parse(Buffer.from(accountAssociation.payload, 'base64url').toString('utf8'));
+    return typeof payload.domain === 'string' ? payload.domain : null;
+  } catch {
+    return null;
+  }
+}
+
+class ManifestValidator {
+  constructor(manifest) {
+    this.manifest = manifest;
+    this.errors = [];
+    this.warnings = [];
+  }
+
+  error(path, message) {
+    this.errors.push({ path, message });
+  }
+
+  warn(path, message) {
+    this.warnings.push({ path, message });
+  }
+
+  validateAccountAssociation() {
+    const { accountAssociation } = this.manifest;
+    if (!accountAssociation) {
+      this.error('$.accountAssociation', 'is required to verify domain ownership');
+      return null;
+    }
+
+    for (const field of ['header', 'payload', 'signature']) {
+      if (typeof accountAssociation[field] !== 'string' || !accountAssociation[field]) {
+        this.error(`$.accountAssociation.${field}`, 'must be a non-empty base64url string');
+      }
+    }
+
+    const domain = accountAssociation.payload ? getAssociationDomain(accountAssociation) : null;
+    if (accountAssociation.payload && !domain) {
+      this.error('$.accountAssociation.payload', 'does not decode to { "domain": "..." }');
+    }
+    return domain;
+  }
+
+  validateString(miniapp, field) {
+    const value = miniapp[field];
+    const path = `$.miniapp.${field}`;
+    if (value === undefined) {
+      return;
+    }
+    if (typeof value !== 'string') {
+      this.error(path, 'must be a string');
+      return;
+    }
+    if (MAX_LENGTHS[field] && value.length > MAX_LENGTHS[field]) {
+      this.error(path, `must be at most ${MAX_LENGTHS[field]} characters (got ${value.length})`);
+    }
+    if (SIMPLE_STRING_FIELDS.includes(field)) {
+      this.validatePlainText(path, value);
+    }
+  }
+
+  validatePlainText(path, value) {
+    if (EMOJI_PATTERN.test(value)) {
+      this.error(path, 'must not contain emojis or symbols');
+    }
+    if (SPECIAL_CHARS_PATTERN.test(value)) {
+      this.error(path, 'must not contain special characters (@, #, $, %, ^, &, *, +, =, /, \\, |, ~, «, »)');
+    }
+    if (REPEATED_PUNCTUATION_PATTERN.test(value)) {
+      this.error(path, 'must not contain repeated punctuation (!!, ??, --)');
+    }
+  }
+
+  validateUrl(path, value, domain) {
+    if (typeof value !== 'string') {
+      this.error(path, 'must be a string URL');
+      return null;
+    }
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      this.error(path, `is not a valid URL: ${value}`);
+      return null;
+    }
+
+    if (url.protocol !== 'https:') {
+      this.error(path, 'must use https');
+    }
+    if (value.length > MAX_URL_LENGTH) {
+      this.error(path, `must be at most ${MAX_URL_LENGTH} characters`);
+    }
+    if (domain && url.hostname !== domain) {
+      this.error(path, `is on ${url.hostname}, but the account association is signed for ${domain}`);
+    }
+    return url;
+  }
+
+  async validateImage(path, url, rule, appHost) {
+    if (url.hostname !== appHost) {
+      this.warn(path, `is not on the app's host (${appHost || 'unknown'}), skipping image checks`);
+      return;
+    }
+    const filePath = join(PUBLIC_DIR, decodeURIComponent(url.pathname));
+    if (!filePath.startsWith(PUBLIC_DIR) || !existsSync(filePath)) {
+      this.warn(path, `no local file at public${url.pathname}, skipping image checks`);
+      return;
+    }
+
+    const buffer = readFileSync(filePath);
+    const format = detectImageFormat(buffer);
+    if (!format || !rule.formats.includes(format)) {
+      this.error(path, `must be ${rule.formats.join(', ')} (got ${format || 'unknown format'})`);
+    }
+    if (format === 'image/webp') {
+      this.warn(path, 'dimensions of WebP images are not checked');
+      return;
+    }
+
+    const { Jimp } = require('jimp');
+    let image;
+    try {
+      image = await Jimp.read(buffer);
+    } catch (error) {
+      this.error(path, `could not be decoded: ${error.message}`);
+      return;
+    }
+
+    const { width, height } = image.bitmap;
+    if (rule.width && (width !== rule.width || height !== rule.height)) {
+      this.error(path, `must be ${rule.width}x${rule.height}px (got ${width}x${height})`);
+    }
+    if (rule.aspect) {
+      const [w, h] = rule.aspect;
+      if (Math.abs(width / height - w / h) > 0.01) {
+        this.error(path, `must have a ${w}:${h} aspect ratio (got ${width}x${height})`);
+      }
+    }
+    if (rule.noAlpha && image.hasAlpha()) {
+      this.error(path, 'must not have transparency (alpha channel)');
+    }
+  }
+
+  async validateMiniapp(domain) {
+    const miniapp = this.manifest.miniapp ?? this.manifest.frame;
+    if (!miniapp || typeof miniapp !== 'object') {
+      this.error('$.miniapp', 'is required');
+      return;
+    }
+    if (!this.manifest.miniapp) {
+      this.warn('$.frame', 'is deprecated, rename it to "miniapp"');
+    }
+
+    for (const field of REQUIRED_FIELDS) {
+      if (miniapp[field] === undefined || miniapp[field] === '') {
+        this.error(`$.miniapp.${field}`, 'is required');
+      }
+    }
+    if (miniapp.version !== undefined && miniapp.version !== '1') {
+      this.error('$.miniapp.version', 'must be "1"');
+    }
+
+    for (const field of Object.keys(MAX_LENGTHS)) {
+      this.validateString(miniapp, field);
+    }
+
+    if (miniapp.splashBackgroundColor !== undefined && !HEX_COLOR_PATTERN.test(miniapp.splashBackgroundColor)) {
+      this.error('$.miniapp.splashBackgroundColor', 'must be a hex color like #RRGGBB or #RGB');
+    }
+
+    if (miniapp.primaryCategory !== undefined && !PRIMARY_CATEGORIES.includes(miniapp.primaryCategory)) {
+      this.error('$.miniapp.primaryCategory', `must be one of: ${PRIMARY_CATEGORIES.join(', ')}`);
+    }
+
+    if (miniapp.tags !== undefined) {
+      if (!Array.isArray(miniapp.tags)) {
+        this.error('$.miniapp.tags', 'must be an array');
+      } else {
+        if (miniapp.tags.length > MAX_TAGS) {
+          this.error('$.miniapp.tags', `must have at most ${MAX_TAGS} tags (got ${miniapp.tags.length})`);
+        }
+        miniapp.tags.forEach((tag, index) => {
+          if (typeof tag !== 'string' || !TAG_PATTERN.test(tag) || tag.length > MAX_TAG_LENGTH) {
+            this.error(`$.miniapp.tags[${index}]`, `must be lowercase letters, numbers or dashes, at most ${MAX_TAG_LENGTH} characters`);
+          }
+        });
+      }
+    }
+
+    if (miniapp.noindex !== undefined && typeof miniapp.noindex !== 'boolean') {
+      this.error('$.miniapp.noindex', 'must be a boolean');
+    }
+
+    if (miniapp.requiredChains !== undefined) {
+      if (!Array.isArray(miniapp.requiredChains)) {
+        this.error('$.miniapp.requiredChains', 'must be an array');
+      } else {
+        miniapp.requiredChains.forEach((chain, index) => {
+          if (typeof chain !== 'string' || !CHAIN_PATTERN.test(chain)) {
+            this.error(`$.miniapp.requiredChains[${index}]`, 'must be a CAIP-2 chain ID like eip155:8453');
+          }
+        });
+      }
+    }
+
+    // Only homeUrl must be on the signed domain; images may be on a CDN
+    let appHost = null;
+    for (const field of URL_FIELDS) {
+      if (miniapp[field] === undefined) {
+        continue;
+      }
+      const path = `$.miniapp.${field}`;
+      const url = this.validateUrl(path, miniapp[field], field === 'homeUrl' ? domain : null);
+      if (url && field === 'homeUrl') {
+        appHost = url.hostname;
+      }
+      if (url && IMAGE_RULES[field]) {
+        await this.validateImage(path, url, IMAGE_RULES[field], appHost);
+      }
+    }
+
+    if (miniapp.screenshotUrls !== undefined) {
+      if (!Array.isArray(miniapp.screenshotUrls)) {
+        this.error('$.miniapp.screenshotUrls', 'must be an array');
+      } else {
+        if (miniapp.screenshotUrls.length > MAX_SCREENSHOTS) {
+          this.error('$.miniapp.screenshotUrls', `must have at most ${MAX_SCREENSHOTS} screenshots`);
+        }
+        for (const [index, value] of miniapp.screenshotUrls.entries()) {
+          const path = `$.miniapp.screenshotUrls[${index}]`;
+          const url = this.validateUrl(path, value, null);
+          if (url) {
+            await this.validateImage(path, url, IMAGE_RULES.screenshotUrls, appHost);
+          }
+        }
+      }
+    }
+  }
+
+  async validate() {
+    const domain = this.validateAccountAssociation();
+    await this.validateMiniapp(domain);
+    return { errors: this.errors, warnings: this.warnings };
+  }
+}
+
+/**
+ * Validates a parsed manifest
+ * @returns {Promise<{errors: {path: string, message: string}[], warnings: {path: string, message: string}[]}>}
+ */
+async function validateManifest(manifest) {
+  return new ManifestValidator(manifest).validate();
+}
+
+function readJson(path, fallback) {
+  return existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : fallback;
+}
+
+/**
+ * Domain the manifest is checked for when none is given: NEXT_PUBLIC_APP_DOMAIN,
+ * then the host of NEXT_PUBLIC_APP_URL, then the only domain in
+ * src/config/account-associations.json.
+ * @returns {string|null}
+ */
+function getDefaultDomain(env = process.env) {
+  if (env.NEXT_PUBLIC_APP_DOMAIN) {
+    return env.NEXT_PUBLIC_APP_DOMAIN;
+  }
+  if (env.NEXT_PUBLIC_APP_URL) {
+    return new URL(env.NEXT_PUBLIC_APP_URL).hostname;
+  }
+  const domains = Object.keys(readJson(ASSOCIATIONS_PATH, {}));
+  return domains.length === 1 ? domains[0] : null;
+}
+
+/**
+ * The manifest /.well-known/farcaster.json serves on `domain`, assembled by
+ * the same module as the route
+ * @param {{domain?: string, env?: Object}} [options]
+ */
+function readServedManifest({ domain, env = process.env } = {}) {
+  return assembleManifest({
+    config: readJson(MANIFEST_CONFIG_PATH, { miniapp: {} }),
+    associations: readJson(ASSOCIATIONS_PATH, {}),
+    env,
+    origin: domain ? `https://${domain}` : undefined,
+  });
+}
+
+async function loadManifest({ file, url, domain }) {
+  if (url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`${url} returned ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  }
+  if (file) {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  }
+  return readServedManifest({ domain });
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      file: { type: 'string' },
+      url: { type: 'string' },
+      domain: { type: 'string' },
+    },
+  });
+
+  values.domain = values.domain || getDefaultDomain();
+  const source = values.url || values.file || `the manifest served on ${values.domain || 'https://example.com'}`;
+  console.log(`🔍 Validating ${source}\n`);
+
+  let manifest;
+  try {
+    manifest = await loadManifest(values);
+  } catch (error) {
+    console.error('❌ Could not load manifest:', error.message);
+    process.exit(1);
+  }
+
+  const { errors, warnings } = await validateManifest(manifest);
+
+  warnings.forEach(({ path, message }) => console.log(`⚠️  ${path} ${message}`));
+  errors.forEach(({ path, message }) => console.log(`❌ ${path} ${message}`));
+
+  if (errors.length > 0) {
+    console.log(`\n❌ Manifest has ${errors.length} error(s)`);
+    process.exit(1);
+  }
+  console.log(`✅ Manifest is valid${warnings.length ? ` (${warnings.length} warning(s))` : ''}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { getDefaultDomain, readServedManifest, validateManifest };
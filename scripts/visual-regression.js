@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+
+import "dotenv/config";
+import { Jimp, diff } from "jimp";
+import { join, relative } from "path";
+import { existsSync, mkdirSync, readFileSync, readdirSync, rmSync, unlinkSync, writeFileSync } from "fs";
+import { captureRoutes, parseCaptureArgs } from "./capture-screenshots.js";
+
+/**
+ * Visual Regression Tests for Farcaster Mini Apps
+ *
+ * Captures routes at mini app viewport sizes in the light and dark themes
+ * (with capture-screenshots.js) and compares them pixel by pixel against the
+ * baselines in tests/visual/baselines. Each run writes the captures, diff
+ * images and an HTML report to tests/visual/output, and exits non-zero when
+ * a page differs from its baseline by more than the threshold.
+ *
+ * Fonts and anti-aliasing differ between Chromium builds, so baselines only
+ * compare cleanly against the browser that captured them. --update records
+ * it in tests/visual/baselines/baselines.json, and a run on another browser
+ * warns about it. Baselines are not generated implicitly: without any, a
+ * comparison fails before capturing and asks for --update.
+ *
+ * Usage:
+ *   pnpm test:visual
+ *   pnpm test:visual --routes /,/profile --threshold 0.005
+ *   pnpm test:visual:update                # accept the current pages as baselines
+ *
+ * Options:
+ *   --update                Write baselines instead of comparing, and delete
+ *                           baselines for pages this run did not capture
+ *   --threshold <fraction>  Share of pixels allowed to differ (default 0.001)
+ *   --routes, --viewports, --color-schemes, --url, --backend, --server, --port
+ *                           As for capture-screenshots.js
+ */
+
+const VISUAL_DIR = join(process.cwd(), "tests", "visual");
+const BASELINE_DIR = join(VISUAL_DIR, "baselines");
+const OUTPUT_DIR = join(VISUAL_DIR, "output");
+const BASELINE_INFO_PATH = join(BASELINE_DIR, "baselines.json");
+
+const DEFAULT_OPTIONS = {
+  routes: ["/"],
+  viewports: ["miniapp", "mobile"],
+  colorSchemes: ["light", "dark"],
+};
+
+// Share of differing pixels a page may have before it fails
+const DEFAULT_THRESHOLD = 0.001;
+// Per-pixel colour distance ignored as anti-aliasing noise (0-1)
+const PIXEL_THRESHOLD = 0.1;
+
+/**
+ * @typedef {Object} ComparisonResult
+ * @property {string} name - Capture name, <route>-<viewport>-<scheme>
+ * @property {string} route - Route path
+ * @property {string} viewport - Viewport name
+ * @property {string} colorScheme - light or dark
+ * @property {"passed"|"failed"|"missing"|"size-changed"|"updated"} status
+ * @property {number} [percent] - Share of differing pixels
+ * @property {string} [detail] - Why it failed
+ */
+
+/**
+ * Compares one capture against its baseline and writes the diff image
+ * @param {import("./capture-screenshots.js").Capture} capture - The capture
+ * @param {number} threshold - Share of pixels allowed to differ
+ * @returns {Promise<ComparisonResult>}
+ */
+async function compareWithBaseline(capture, threshold) {
+  const { name, route, viewport, colorScheme } = capture;
+  const result = { name, route, viewport, colorScheme };
+  const baselinePath = join(BASELINE_DIR, `${name}.png`);
+
+  if (!existsSync(baselinePath)) {
+    return { ...result, status: "missing", detail: "No baseline, run pnpm test:visual:update" };
+  }
+
+  const baseline = await Jimp.read(baselinePath);
+  const actual = await Jimp.read(capture.buffer);
+
+  // jimp's diff resizes mismatched images, which would hide layout shifts
+  if (baseline.width !== actual.width || baseline.height !== actual.height) {
+    return {
+      ...result,
+      status: "size-changed",
+      detail: `Baseline is ${baseline.width}x${baseline.height}, page is ${actual.width}x${actual.height}`,
+    };
+  }
+
+  const { percent, image } = diff(baseline, actual, PIXEL_THRESHOLD);
+  writeFileSync(join(OUTPUT_DIR, "diff", `${name}.png`), await image.getBuffer("image/png"));
+
+  return {
+    ...result,
+    status: percent > threshold ? "failed" : "passed",
+    percent,
+  };
+}
+
+/**
+ * Deletes baselines for pages that are no longer captured, such as removed
+ * routes or viewports
+ * @param {string[]} names - Capture names written by this run
+ * @returns {string[]} - Names of the deleted baselines
+ */
+function pruneBaselines(names) {
+  const removed = readdirSync(BASELINE_DIR)
+    .filter((file) => file.endsWith(".png") && !names.includes(file.slice(0, -".png".length)))
+    .map((file) => file.slice(0, -".png".length));
+
+  for (const name of removed) {
+    unlinkSync(join(BASELINE_DIR, `${name}.png`));
+    console.log(`   🗑️  ${name} (no longer captured)`);
+  }
+  return removed;
+}
+
+/**
+ * Reads which browser captured the baselines
+ * @returns {{browser: string, updatedAt: string, pages: string[]}|null}
+ */
+function readBaselineInfo() {
+  if (!existsSync(BASELINE_INFO_PATH)) {
+    return null;
+  }
+  return JSON.parse(readFileSync(BASELINE_INFO_PATH, "utf8"));
+}
+
+/**
+ * Whether any baseline has been recorded
+ * @returns {boolean}
+ */
+function hasBaselines() {
+  return existsSync(BASELINE_DIR) && readdirSync(BASELINE_DIR).some((file) => file.endsWith(".png"));
+}
+
+/**
+ * Escapes text for HTML
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Builds the HTML report with baseline, page and diff side by side
+ * @param {ComparisonResult[]} results - Comparison results
+ * @param {number} threshold - Share of pixels allowed to differ
+ * @returns {string} - HTML document
+ */
+function buildReport(results, threshold) {
+  const baselineHref = relative(OUTPUT_DIR, BASELINE_DIR);
+  const failed = results.filter((result) => result.status !== "passed" && result.status !== "updated");
+
+  const image = (href, label) =>
+    href ? `<a href="${href}"><img src="${href}" alt="${label}" loading="lazy"></a>` : "<span>—</span>";
+
+  const rows = results
+    .map((result) => {
+      const name = encodeURIComponent(result.name);
+      const hasBaseline = result.status !== "missing";
+      const hasDiff = result.percent !== undefined;
+      const percent = hasDiff ? `${(result.percent * 100).toFixed(3)}%` : "";
+      return `
+      <section class="result ${result.status}">
+        <h2>${escapeHtml(result.route)} · ${escapeHtml(result.viewport)} · ${escapeHtml(result.colorScheme)}</h2>
+        <p><strong>${result.status}</strong> ${percent} ${escapeHtml(result.detail ?? "")}</p>
+        <div class="images">
+          <figure>${image(hasBaseline ? `${baselineHref}/${name}.png` : null, "baseline")}<figcaption>Baseline</figcaption></figure>
+          <figure>${image(`actual/${name}.png`, "page")}<figcaption>Page</figcaption></figure>
+          <figure>${image(hasDiff ? `diff/${name}.png` : null, "diff")}<figcaption>Diff</figcaption></figure>
+        </div>
+      </section>`;
+    })
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Visual regression report</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #0f172a; }
+    .result { border: 1px solid #e2e8f0; border-left-width: 6px; border-radius: 8px; padding: 1rem; margin: 1rem 0; }
+    .passed, .updated { border-left-color: #22c55e; }
+    .failed, .missing, .size-changed { border-left-color: #ef4444; }
+    h2 { font-size: 1rem; margin: 0 0 0.5rem; }
+    .images { display: flex; gap: 1rem; align-items: flex-start; }
+    figure { margin: 0; flex: 1; text-align: center; }
+    img { max-width: 100%; max-height: 80vh; border: 1px solid #e2e8f0; }
+  </style>
+</head>
+<body>
+  <h1>Visual regression report</h1>
+  <p>${results.length} page(s), ${failed.length} failed. Threshold: ${(threshold * 100).toFixed(3)}% of pixels. Generated ${new Date().toISOString()}.</p>
+  ${rows}
+</body>
+</html>
+`;
+}
+
+/**
+ * Captures the pages and compares them with the baselines, or replaces the
+ * baselines when `update` is set
+ * @param {Object} [options] - Options for captureRoutes, plus:
+ * @param {boolean} [options.update] - Write baselines instead of comparing
+ * @param {number} [options.threshold] - Share of pixels allowed to differ
+ * @returns {Promise<{results: ComparisonResult[], reportPath: string, passed: boolean}>}
+ */
+async function runVisualTests({ update = false, threshold = DEFAULT_THRESHOLD, ...options } = {}) {
+  if (threshold < 0 || threshold > 1) {
+    throw new Error("--threshold must be between 0 and 1");
+  }
+  if (!update && !hasBaselines()) {
+    throw new Error(
+      "No baselines in tests/visual/baselines. Record them with pnpm test:visual:update " +
+        "(--backend browserless to match other machines) and commit them",
+    );
+  }
+
+  const captures = await captureRoutes({ ...DEFAULT_OPTIONS, ...options, fullPage: true });
+
+  rmSync(OUTPUT_DIR, { recursive: true, force: true });
+  for (const dir of [BASELINE_DIR, join(OUTPUT_DIR, "actual"), join(OUTPUT_DIR, "diff")]) {
+    mkdirSync(dir, { recursive: true });
+  }
+
+  console.log(update ? "\n📝 Updating baselines..." : "\n🔍 Comparing with baselines...");
+  const browser = captures[0]?.browser;
+  const baselineInfo = readBaselineInfo();
+  if (!update && baselineInfo && browser && baselineInfo.browser !== browser) {
+    console.warn(`⚠️  Baselines were captured with ${baselineInfo.browser}, this run uses ${browser}`);
+    console.warn("   Expect font and anti-aliasing differences; compare on the same backend");
+  }
+
+  const results = [];
+  for (const capture of captures) {
+    writeFileSync(join(OUTPUT_DIR, "actual", `${capture.name}.png`), capture.buffer);
+
+    if (update) {
+      writeFileSync(join(BASELINE_DIR, `${capture.name}.png`), capture.buffer);
+      const { route, viewport, colorScheme, name } = capture;
+      results.push({ name, route, viewport, colorScheme, status: "updated" });
+      console.log(`   📝 ${capture.name}`);
+      continue;
+    }
+
+    const result = await compareWithBaseline(capture, threshold);
+    results.push(result);
+    const percent = result.percent !== undefined ? ` (${(result.percent * 100).toFixed(3)}%)` : "";
+    const icon = result.status === "passed" ? "✅" : "❌";
+    console.log(`   ${icon} ${result.name}: ${result.status}${percent}${result.detail ? ` - ${result.detail}` : ""}`);
+  }
+
+  if (update) {
+    pruneBaselines(captures.map((capture) => capture.name));
+    const info = {
+      browser,
+      updatedAt: new Date().toISOString(),
+      pages: captures.map((capture) => capture.name),
+    };
+    writeFileSync(BASELINE_INFO_PATH, `${JSON.stringify(info, null, 2)}\n`);
+    console.log(`   Captured with ${browser}`);
+  }
+
+  const reportPath = join(OUTPUT_DIR, "report.html");
+  writeFileSync(reportPath, buildReport(results, threshold));
+
+  return {
+    results,
+    reportPath,
+    passed: results.every((result) => result.status === "passed" || result.status === "updated"),
+  };
+}
+
+/**
+ * Main function for the command line
+ */
+async function main() {
+  console.log("🧪 Visual Regression Tests for Farcaster Mini Apps");
+
+  try {
+    const options = parseCaptureArgs(process.argv.slice(2), {
+      flags: { "--update": "update" },
+      numbers: { "--threshold": "threshold" },
+    });
+    const { results, reportPath, passed } = await runVisualTests(options);
+
+    const failed = results.filter((result) => result.status !== "passed" && result.status !== "updated");
+    console.log(`\n📄 Report: ${relative(process.cwd(), reportPath)}`);
+
+    if (!passed) {
+      console.error(`\n💥 ${failed.length} of ${results.length} page(s) differ from their baselines`);
+      console.error("   If the change is intended, run: pnpm test:visual:update");
+      process.exit(1);
+    }
+
+    console.log(
+      options.update
+        ? `\n🎉 Updated ${results.length} baseline(s) in tests/visual/baselines`
+        : `\n🎉 All ${results.length} page(s) match their baselines`,
+    );
+  } catch (error) {
+    console.error("\n❌ Error running visual tests:");
+    console.error("💥", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script when executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { DEFAULT_THRESHOLD, buildReport, compareWithBaseline, hasBaselines, pruneBaselines, readBaselineInfo, runVisualTests };
@@ -0,0 +1,14 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getFarcasterManifest } from '@/lib/farcaster/config';
+
+export async function GET(request: NextRequest) {
+  const manifest = getFarcasterManifest(request.nextUrl.origin);
+
+  return NextResponse.json(manifest, {
+    headers: {
+      'Cache-Control': 'public, max-age=300',
+      // Manifest tools fetch this from the browser
+      'Access-Control-Allow-Origin': '*',
+    },
+  });
+}
@@ -0,0 +1,34 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getVerifiedFid } from '@/lib/auth/quick-auth';
+import { getUserProfile } from '@/lib/auth/profile';
+import { readSessionToken, sessionCookieOptions, SESSION_COOKIE } from '@/lib/auth/session';
+
+export async function GET(request: NextRequest) {
+  // Prefer the SIWF session cookie, fall back to a Quick Auth token
+  const session = await readSessionToken(request.cookies.get(SESSION_COOKIE)?.value);
+  const fid = session?.fid ?? getVerifiedFid(request);
+
+  if (!fid) {
+    return NextResponse.json(
+      { error: 'Not signed in' },
+      { status: 401 }
+    );
+  }
+
+  const user = await getUserProfile(fid);
+
+  return NextResponse.json(
+    { user },
+    {
+      headers: {
+        'Cache-Control': 'private, no-store',
+      },
+    }
+  );
+}
+
+export async function DELETE() {
+  const response = NextResponse.json({ success: true });
+  response.cookies.set(SESSION_COOKIE, '', { ...sessionCookieOptions, maxAge: 0 });
+  return response;
+}
@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server';
+import { requireCustodyResolver, SignInUnavailableError } from '@/lib/auth/siwf';
+import { getNonceStore, NonceStoreUnavailableError } from '@/lib/storage/nonce-store';
+
+export async function GET() {
+  try {
+    // Fail before the user signs anything when the signature cannot be checked
+    requireCustodyResolver();
+    const issued = await getNonceStore().issue();
+
+    return NextResponse.json(issued, {
+      headers: {
+        'Cache-Control': 'no-store',
+      },
+    });
+  } catch (error) {
+    if (error instanceof SignInUnavailableError || error instanceof NonceStoreUnavailableError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 503 }
+      );
+    }
+
+    console.error('Error issuing nonce:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,55 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { verifySignInMessage, SignInError, SignInUnavailableError } from '@/lib/auth/siwf';
+import { createSessionToken, sessionCookieOptions, SESSION_COOKIE } from '@/lib/auth/session';
+import { NonceStoreUnavailableError } from '@/lib/storage/nonce-store';
+
+export async function POST(request: NextRequest) {
+  let body: { message?: unknown; signature?: unknown } | null;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json(
+      { error: 'Invalid request body' },
+      { status: 400 }
+    );
+  }
+
+  const { message, signature } = body && typeof body === 'object' ? body : {};
+  if (typeof message !== 'string' || typeof signature !== 'string' || !message || !signature) {
+    return NextResponse.json(
+      { error: 'message and signature are required strings' },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const { fid, address } = await verifySignInMessage({ message, signature });
+
+    const response = NextResponse.json({ fid });
+    response.cookies.set(
+      SESSION_COOKIE,
+      await createSessionToken({ fid, address }),
+      sessionCookieOptions
+    );
+    return response;
+  } catch (error) {
+    if (error instanceof SignInError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 401 }
+      );
+    }
+    if (error instanceof SignInUnavailableError || error instanceof NonceStoreUnavailableError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 503 }
+      );
+    }
+
+    console.error('Error verifying sign in:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,5 +1,6 @@
 import { NextRequest, NextResponse } from 'next/server';
 import type { CloudflareEnv } from '@/../../env';
+import { getVerifiedFid } from '@/lib/auth/quick-auth';
 
 // OpenNext/Cloudflare Workers runs at the edge by default
 
@@ -47,6 +48,8 @@ export async function GET(request: NextRequest) {
 
 export async function POST(request: NextRequest) {
   try {
+    // Quick Auth is enforced by middleware, so the FID here is verified
+    const fid = getVerifiedFid(request);
     const body = await request.json() as { name?: string };
     
     // Validate input
@@ -60,6 +63,7 @@ export async function POST(request: NextRequest) {
     // Process the data
     const response = {
       message: `Hello, ${body.name}!`,
+      fid,
       received: body,
       timestamp: new Date().toISOString(),
     };
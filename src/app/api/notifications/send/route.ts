@@ -0,0 +1,62 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { requireApiSecret } from '@/lib/auth/api-secret';
+import { getAppDomain } from '@/lib/auth/quick-auth';
+import {
+  sendNotification,
+  validateNotification,
+  type SendNotificationInput,
+} from '@/lib/notifications/send';
+import { NotificationStoreUnavailableError } from '@/lib/storage/notification-store';
+
+export async function POST(request: NextRequest) {
+  const unauthorized = requireApiSecret(request);
+  if (unauthorized) {
+    return unauthorized;
+  }
+
+  let body: Partial<SendNotificationInput>;
+  try {
+    body = await request.json() as Partial<SendNotificationInput>;
+  } catch {
+    return NextResponse.json(
+      { error: 'Invalid request body' },
+      { status: 400 }
+    );
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return NextResponse.json(
+      { error: 'Request body must be a JSON object' },
+      { status: 400 }
+    );
+  }
+
+  const input = {
+    ...body,
+    targetUrl: body.targetUrl || process.env.NEXT_PUBLIC_APP_URL,
+  };
+
+  const errors = validateNotification(input, getAppDomain());
+  if (errors.length > 0) {
+    return NextResponse.json(
+      { error: 'Invalid notification', details: errors },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const result = await sendNotification(input as SendNotificationInput);
+    return NextResponse.json(result);
+  } catch (error) {
+    if (error instanceof NotificationStoreUnavailableError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 503 }
+      );
+    }
+    console.error('Error sending notification:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,35 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { ImageResponse } from 'next/og';
+import { getOgTemplate, OG_IMAGE_HEIGHT, OG_IMAGE_WIDTH } from '@/lib/og/templates';
+
+// Images are derived from the URL alone, so they can be cached aggressively
+const CACHE_CONTROL = 'public, max-age=3600, s-maxage=86400, stale-while-revalidate=604800';
+
+export async function GET(request: NextRequest) {
+  const { searchParams } = request.nextUrl;
+  const name = searchParams.get('template') ?? 'default';
+  const render = getOgTemplate(name);
+
+  if (!render) {
+    return NextResponse.json(
+      { error: `Unknown template: ${name}` },
+      { status: 404 }
+    );
+  }
+
+  try {
+    return new ImageResponse(await render(searchParams), {
+      width: OG_IMAGE_WIDTH,
+      height: OG_IMAGE_HEIGHT,
+      headers: {
+        'Cache-Control': CACHE_CONTROL,
+      },
+    });
+  } catch (error) {
+    console.error('Error rendering OG image:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,90 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { requireApiSecret } from '@/lib/auth/api-secret';
+import {
+  getScheduledCastStore,
+  ScheduledCastStoreUnavailableError,
+} from '@/lib/storage/scheduled-cast-store';
+
+interface RouteContext {
+  params: { id: string };
+}
+
+export async function GET(request: NextRequest, { params }: RouteContext) {
+  const unauthorized = requireApiSecret(request);
+  if (unauthorized) {
+    return unauthorized;
+  }
+
+  try {
+    const scheduled = await getScheduledCastStore().get(params.id);
+    if (!scheduled) {
+      return NextResponse.json(
+        { error: 'Scheduled cast not found' },
+        { status: 404 }
+      );
+    }
+    return NextResponse.json(scheduled);
+  } catch (error) {
+    if (error instanceof ScheduledCastStoreUnavailableError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 503 }
+      );
+    }
+
+    console.error('Error reading scheduled cast:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Cancels a scheduled cast. Casts being published, or already published,
+ * failed or cancelled, are left alone and answer 409.
+ */
+export async function DELETE(request: NextRequest, { params }: RouteContext) {
+  const unauthorized = requireApiSecret(request);
+  if (unauthorized) {
+    return unauthorized;
+  }
+
+  try {
+    const store = getScheduledCastStore();
+    const scheduled = await store.get(params.id);
+    if (!scheduled) {
+      return NextResponse.json(
+        { error: 'Scheduled cast not found' },
+        { status: 404 }
+      );
+    }
+    if (scheduled.status !== 'scheduled') {
+      return NextResponse.json(
+        { error: `Scheduled cast is already ${scheduled.status}`, cast: scheduled },
+        { status: 409 }
+      );
+    }
+    const cancelled = await store.cancel(params.id);
+    if (cancelled?.status !== 'cancelled') {
+      return NextResponse.json(
+        { error: `Scheduled cast is already ${cancelled?.status}`, cast: cancelled },
+        { status: 409 }
+      );
+    }
+    return NextResponse.json(cancelled);
+  } catch (error) {
+    if (error instanceof ScheduledCastStoreUnavailableError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 503 }
+      );
+    }
+
+    console.error('Error cancelling scheduled cast:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
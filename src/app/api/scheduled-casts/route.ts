@@ -0,0 +1,106 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { requireApiSecret } from '@/lib/auth/api-secret';
+import {
+  toNewScheduledCast,
+  validateScheduleInput,
+  type ScheduleCastInput,
+} from '@/lib/scheduled-casts/publish';
+import {
+  getScheduledCastStore,
+  ScheduledCastStoreUnavailableError,
+  type ScheduledCastStatus,
+} from '@/lib/storage/scheduled-cast-store';
+
+const STATUSES: ScheduledCastStatus[] = [
+  'scheduled',
+  'publishing',
+  'published',
+  'failed',
+  'cancelled',
+];
+
+export async function GET(request: NextRequest) {
+  const unauthorized = requireApiSecret(request);
+  if (unauthorized) {
+    return unauthorized;
+  }
+
+  const status = request.nextUrl.searchParams.get('status');
+  if (status && !STATUSES.includes(status as ScheduledCastStatus)) {
+    return NextResponse.json(
+      { error: `status must be one of ${STATUSES.join(', ')}` },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const casts = await getScheduledCastStore().list(
+      (status as ScheduledCastStatus | null) ?? undefined
+    );
+    return NextResponse.json({ casts });
+  } catch (error) {
+    if (error instanceof ScheduledCastStoreUnavailableError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 503 }
+      );
+    }
+
+    console.error('Error listing scheduled casts:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request: NextRequest) {
+  const unauthorized = requireApiSecret(request);
+  if (unauthorized) {
+    return unauthorized;
+  }
+
+  let body: Partial<ScheduleCastInput>;
+  try {
+    body = await request.json() as Partial<ScheduleCastInput>;
+  } catch {
+    return NextResponse.json(
+      { error: 'Invalid request body' },
+      { status: 400 }
+    );
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return NextResponse.json(
+      { error: 'Request body must be a JSON object' },
+      { status: 400 }
+    );
+  }
+
+  const errors = validateScheduleInput(body);
+  if (errors.length > 0) {
+    return NextResponse.json(
+      { error: 'Invalid scheduled cast', details: errors },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const scheduled = await getScheduledCastStore().create(
+      toNewScheduledCast(body as ScheduleCastInput)
+    );
+    return NextResponse.json(scheduled, { status: 201 });
+  } catch (error) {
+    if (error instanceof ScheduledCastStoreUnavailableError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 503 }
+      );
+    }
+
+    console.error('Error scheduling cast:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
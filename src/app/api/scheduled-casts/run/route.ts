@@ -0,0 +1,50 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { requireApiSecret } from '@/lib/auth/api-secret';
+import { publishDueCasts } from '@/lib/scheduled-casts/publish';
+import {
+  getScheduledCastStore,
+  KVScheduledCastStore,
+  ScheduledCastStoreUnavailableError,
+} from '@/lib/storage/scheduled-cast-store';
+
+/**
+ * Publishes the casts that are due now. The cron trigger does this on
+ * Cloudflare; this route is for `next dev` and other hosts without one.
+ * Claims in KV are a read and a write, not atomic, so with KV the cron
+ * trigger is the only runner and this route refuses.
+ */
+export async function POST(request: NextRequest) {
+  const unauthorized = requireApiSecret(request);
+  if (unauthorized) {
+    return unauthorized;
+  }
+
+  try {
+    const store = getScheduledCastStore();
+    if (store instanceof KVScheduledCastStore) {
+      return NextResponse.json(
+        { error: 'Publishing on request needs the D1 (DB) binding; with KV only the cron trigger publishes' },
+        { status: 503 }
+      );
+    }
+
+    const results = await publishDueCasts({
+      store,
+      token: process.env.FARCASTER_BEARER_TOKEN,
+    });
+    return NextResponse.json({ results });
+  } catch (error) {
+    if (error instanceof ScheduledCastStoreUnavailableError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 503 }
+      );
+    }
+
+    console.error('Error publishing scheduled casts:', error);
+    return NextResponse.json(
+      { error: (error as Error).message },
+      { status: 500 }
+    );
+  }
+}
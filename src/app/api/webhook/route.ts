@@ -1,65 +1,58 @@
 import { NextRequest, NextResponse } from 'next/server';
-import crypto from 'crypto';
-
-// Verify webhook signature for security
-function verifyWebhookSignature(
-  payload: string,
-  signature: string,
-  secret: string
-): boolean {
-  const expectedSignature = crypto
-    .createHmac('sha256', secret)
-    .update(payload)
-    .digest('hex');
-  
-  return crypto.timingSafeEqual(
-    Buffer.from(signature),
-    Buffer.from(expectedSignature)
-  );
-}
+import { NotificationStoreUnavailableError } from '@/lib/storage/notification-store';
+import { parseWebhookEvent } from '@/lib/webhook/events';
+import { webhookHandlers } from '@/lib/webhook/subscribers';
+import { verifyWebhookEvent, WebhookVerificationError } from '@/lib/webhook/verify';
 
 export async function POST(request: NextRequest) {
   try {
-    const body = await request.text();
-    const signature = request.headers.get('x-farcaster-signature');
-    const secret = process.env.FARCASTER_WEBHOOK_SECRET;
+    let body: unknown;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json(
+        { error: 'Invalid request body' },
+        { status: 400 }
+      );
+    }
 
-    // Verify webhook if secret is configured
-    if (secret && signature) {
-      const isValid = verifyWebhookSignature(body, signature, secret);
-      if (!isValid) {
+    // Every event must be a JFS envelope signed by an app key of the sending FID
+    let verified;
+    try {
+      verified = await verifyWebhookEvent(body);
+    } catch (error) {
+      if (error instanceof WebhookVerificationError) {
         return NextResponse.json(
-          { error: 'Invalid signature' },
-          { status: 401 }
+          { error: error.message },
+          { status: error.status }
         );
       }
+      throw error;
     }
 
-    const data = JSON.parse(body);
-    
-    // Handle different webhook events
-    switch (data.type) {
-      case 'app.installed':
-        console.log('App installed by user:', data.user);
-        // Handle app installation
-        break;
-      
-      case 'app.uninstalled':
-        console.log('App uninstalled by user:', data.user);
-        // Handle app uninstallation
-        break;
-      
-      case 'notification.acknowledged':
-        console.log('Notification acknowledged:', data.notificationId);
-        // Handle notification acknowledgment
-        break;
-      
-      default:
-        console.log('Unknown webhook event:', data.type);
+    const event = parseWebhookEvent(verified.payload);
+    if (!event) {
+      console.log('Unknown webhook event:', verified.payload);
+      return NextResponse.json(
+        { error: 'Unknown or malformed event' },
+        { status: 400 }
+      );
     }
 
+    console.log(`Webhook event ${event.event} from FID ${verified.fid}`);
+    await webhookHandlers.dispatch(event, {
+      fid: verified.fid,
+      appKey: verified.appKey,
+    });
+
     return NextResponse.json({ success: true });
   } catch (error) {
+    if (error instanceof NotificationStoreUnavailableError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 503 }
+      );
+    }
     console.error('Webhook error:', error);
     return NextResponse.json(
       { error: 'Internal server error' },
@@ -4,35 +4,8 @@ import '@/styles/globals.css';
 import { Providers } from '@/components/providers';
 import { Header } from '@/components/layout/header';
 import { Footer } from '@/components/layout/footer';
-
-// Read farcaster config at build time
-const getFarcasterConfig = () => {
-  try {
-    const fs = require('fs');
-    const path = require('path');
-    const configPath = path.join(process.cwd(), 'public/.well-known/farcaster.json');
-    const configContent = fs.readFileSync(configPath, 'utf8');
-    return JSON.parse(configContent);
-  } catch (error) {
-    // Fallback config if file read fails
-    return {
-      miniapp: {
-        name: 'Next.js Mini App',
-        buttonTitle: 'Launch App',
-        homeUrl: process.env.NEXT_PUBLIC_APP_DOMAIN || 'https://example.com',
-        imageUrl: process.env.NEXT_PUBLIC_APP_DOMAIN 
-          ? `https://${process.env.NEXT_PUBLIC_APP_DOMAIN}/og-image.png`
-          : 'https://example.com/og-image.png',
-        splashImageUrl: process.env.NEXT_PUBLIC_APP_DOMAIN 
-          ? `https://${process.env.NEXT_PUBLIC_APP_DOMAIN}/splash.png`
-          : 'https://example.com/splash.png',
-        splashBackgroundColor: '#0ea5e9'
-      }
-    };
-  }
-};
-
-const farcasterConfig = getFarcasterConfig();
+import { getAppUrl, getMiniAppConfig } from '@/lib/farcaster/config';
+import { generateMiniAppMetadata } from '@/lib/farcaster/embed';
 
 const inter = Inter({ 
   subsets: ['latin'],
@@ -40,84 +13,65 @@ const inter = Inter({
   variable: '--font-inter',
 });
 
-export const metadata: Metadata = {
-  title: {
-    default: 'Farcaster Mini App',
-    template: '%s | Farcaster Mini App',
-  },
-  description: 'A Farcaster mini app built with Next.js and deployed on Cloudflare Pages',
-  keywords: ['Farcaster', 'Mini App', 'Web3', 'Social', 'Decentralized'],
-  authors: [{ name: 'Your Name' }],
-  creator: 'Your Name',
-  publisher: 'Your Company',
-  formatDetection: {
-    email: false,
-    address: false,
-    telephone: false,
-  },
-  metadataBase: new URL(process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000'),
-  openGraph: {
-    title: 'Farcaster Mini App',
-    description: 'A Farcaster mini app built with Next.js',
-    url: '/',
-    siteName: 'Farcaster Mini App',
-    locale: 'en_US',
-    type: 'website',
-  },
-  twitter: {
-    card: 'summary_large_image',
-    title: 'Farcaster Mini App',
-    description: 'A Farcaster mini app built with Next.js',
-  },
-  robots: {
-    index: true,
-    follow: true,
-    googleBot: {
+// Generated per request so environment values (domain, app name) apply at runtime
+export function generateMetadata(): Metadata {
+  const miniapp = getMiniAppConfig();
+  const description = miniapp.description || 'A Farcaster mini app built with Next.js and deployed on Cloudflare Pages';
+
+  return {
+    title: {
+      default: miniapp.name,
+      template: `%s | ${miniapp.name}`,
+    },
+    description,
+    keywords: ['Farcaster', 'Mini App', 'Web3', 'Social', 'Decentralized'],
+    authors: [{ name: 'Your Name' }],
+    creator: 'Your Name',
+    publisher: 'Your Company',
+    formatDetection: {
+      email: false,
+      address: false,
+      telephone: false,
+    },
+    metadataBase: new URL(getAppUrl()),
+    openGraph: {
+      title: miniapp.ogTitle || miniapp.name,
+      description: miniapp.ogDescription || description,
+      url: '/',
+      siteName: miniapp.name,
+      locale: 'en_US',
+      type: 'website',
+    },
+    twitter: {
+      card: 'summary_large_image',
+      title: miniapp.ogTitle || miniapp.name,
+      description: miniapp.ogDescription || description,
+    },
+    robots: {
       index: true,
       follow: true,
-      'max-video-preview': -1,
-      'max-image-preview': 'large',
-      'max-snippet': -1,
+      googleBot: {
+        index: true,
+        follow: true,
+        'max-video-preview': -1,
+        'max-image-preview': 'large',
+        'max-snippet': -1,
+      },
+    },
+    // Written by `pnpm run generate:asset-set`
+    icons: {
+      icon: [
+        { url: '/favicon.ico', sizes: '16x16 32x32 48x48' },
+        { url: '/favicon-32x32.png', type: 'image/png', sizes: '32x32' },
+        { url: '/favicon-16x16.png', type: 'image/png', sizes: '16x16' },
+      ],
+      shortcut: '/favicon-16x16.png',
+      apple: { url: '/apple-touch-icon.png', sizes: '180x180' },
     },
-  },
-  icons: {
-    icon: '/favicon.ico',
-    shortcut: '/favicon-16x16.png',
-    apple: '/apple-touch-icon.png',
-  },
-  other: {
-    // Farcaster Mini App metadata for sharing
-    'fc:miniapp': JSON.stringify({
-      version: '1',
-      imageUrl: farcasterConfig.miniapp.imageUrl,
-      button: {
-        title: farcasterConfig.miniapp.buttonTitle,
-        action: {
-          type: 'launch_miniapp',
-          name: farcasterConfig.miniapp.name,
-          url: farcasterConfig.miniapp.homeUrl,
-          splashImageUrl: farcasterConfig.miniapp.splashImageUrl,
-          splashBackgroundColor: farcasterConfig.miniapp.splashBackgroundColor
-        }
-      }
-    }),
-    // Backward compatibility with Frames v2
-    'fc:frame': JSON.stringify({
-      version: '1',
-      imageUrl: farcasterConfig.miniapp.imageUrl,
-      button: {
-        title: farcasterConfig.miniapp.buttonTitle,
-        action: {
-          type: 'launch_frame',
-          name: farcasterConfig.miniapp.name,
-          url: farcasterConfig.miniapp.homeUrl,
-          splashImageUrl: farcasterConfig.miniapp.splashImageUrl,
-          splashBackgroundColor: farcasterConfig.miniapp.splashBackgroundColor
-        }
-      }
-    })
-  },
-};
+    // Farcaster Mini App metadata for sharing; pages can override it per route
+    ...generateMiniAppMetadata(),
+  };
+}
 
 export default function RootLayout({
   children,
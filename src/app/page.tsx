@@ -2,27 +2,44 @@
 
 import { useEffect, useState } from 'react';
 import { sdk } from '@farcaster/miniapp-sdk';
+import {
+  useFarcasterUser,
+  useIsInMiniApp,
+  useIsMockHost,
+  useSdkActions,
+} from '@/components/providers/farcaster-provider';
+import { WalletCard } from '@/components/wallet/wallet-card';
 
 export default function HomePage() {
+  const isInMiniApp = useIsInMiniApp();
+  // Sign in and Quick Auth are verified by the server, so the mock host cannot fake them
+  const isMockHost = useIsMockHost();
+  const contextUser = useFarcasterUser();
+  const actions = useSdkActions();
   const [user, setUser] = useState<any>(null);
-  const [isInMiniApp, setIsInMiniApp] = useState(false);
   const [loading, setLoading] = useState(true);
   const [copiedCommand, setCopiedCommand] = useState<string | null>(null);
+  const [quickAuthFid, setQuickAuthFid] = useState<number | null>(null);
+
+  // The signed-in user comes from our session, not from the client-supplied sdk.context
+  const loadSignedInUser = async () => {
+    const response = await fetch('/api/auth/me', { credentials: 'include' });
+    if (!response.ok) {
+      return null;
+    }
+    const data = await response.json() as { user: any };
+    return data.user;
+  };
 
   useEffect(() => {
     const init = async () => {
       try {
-        const inApp = await sdk.isInMiniApp();
-        setIsInMiniApp(inApp);
-
-        if (inApp) {
-          const context = await sdk.context;
-          if (context?.user) {
-            setUser(context.user);
-          }
+        const signedInUser = await loadSignedInUser();
+        if (signedInUser) {
+          setUser(signedInUser);
         }
       } catch (error) {
-        console.error('Failed to get context:', error);
+        console.error('Failed to load signed-in user:', error);
       } finally {
         setLoading(false);
       }
@@ -33,15 +50,30 @@ export default function HomePage() {
 
   const handleSignIn = async () => {
     try {
-      // Generate a random nonce for the sign in request
-      const nonce = Math.random().toString(36).substring(7);
-      
-      await sdk.actions.signIn({ nonce });
-      
-      // After sign in, try to get the updated context
-      const context = await sdk.context;
-      if (context?.user) {
-        setUser(context.user);
+      // Single-use nonce issued (and later checked) by the server
+      const nonceResponse = await fetch('/api/auth/nonce', { cache: 'no-store' });
+      if (!nonceResponse.ok) {
+        const { error } = await nonceResponse.json() as { error?: string };
+        throw new Error(error || 'Could not start sign in');
+      }
+      const { nonce } = await nonceResponse.json() as { nonce: string };
+
+      const { message, signature } = await actions.signIn({ nonce });
+
+      const verifyResponse = await fetch('/api/auth/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ message, signature }),
+      });
+      if (!verifyResponse.ok) {
+        const { error } = await verifyResponse.json() as { error?: string };
+        throw new Error(error || 'Sign in verification failed');
+      }
+
+      const signedInUser = await loadSignedInUser();
+      if (signedInUser) {
+        setUser(signedInUser);
       }
     } catch (error) {
       console.error('Sign in failed:', error);
@@ -50,7 +82,7 @@ export default function HomePage() {
 
   const handleComposeCast = async () => {
     try {
-      await sdk.actions.composeCast({
+      await actions.composeCast({
         text: 'Check out this awesome Farcaster Mini App! 🚀',
         embeds: [window.location.href],
       });
@@ -61,7 +93,7 @@ export default function HomePage() {
 
   const handleViewProfile = async (fid: number) => {
     try {
-      await sdk.actions.viewProfile({ fid });
+      await actions.viewProfile({ fid });
     } catch (error) {
       console.error('Failed to view profile:', error);
     }
@@ -69,7 +101,7 @@ export default function HomePage() {
 
   const handleOpenUrl = async (url: string) => {
     try {
-      await sdk.actions.openUrl(url);
+      await actions.openUrl(url);
     } catch (error) {
       console.error('Failed to open URL:', error);
     }
@@ -77,12 +109,27 @@ export default function HomePage() {
 
   const handleAddMiniApp = async () => {
     try {
-      await sdk.actions.addMiniApp();
+      await actions.addMiniApp();
     } catch (error) {
       console.error('Failed to add mini app:', error);
     }
   };
 
+  const handleQuickAuth = async () => {
+    try {
+      // sdk.quickAuth.fetch attaches a Quick Auth JWT that our middleware verifies
+      const response = await sdk.quickAuth.fetch('/api/hello', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: user?.username || 'Farcaster' }),
+      });
+      const data = await response.json() as { fid?: number };
+      setQuickAuthFid(data.fid ?? null);
+    } catch (error) {
+      console.error('Quick Auth request failed:', error);
+    }
+  };
+
   const copyToClipboard = async (text: string, commandType: string) => {
     try {
       await navigator.clipboard.writeText(text);
@@ -174,6 +221,8 @@ export default function HomePage() {
           <button
             onClick={handleSignIn}
             className="btn-primary px-8 py-3 text-lg"
+            disabled={isMockHost}
+            title={isMockHost ? 'Not available with the mock host' : undefined}
           >
             Sign In with Farcaster
           </button>
@@ -210,9 +259,12 @@ export default function HomePage() {
           <h3 className="text-xl font-semibold">👤 View Profile</h3>
           <p className="text-muted-foreground">Explore user profiles on Farcaster</p>
           <button
-            onClick={() => user && handleViewProfile(user.fid)}
+            onClick={() => {
+              const fid = user?.fid ?? contextUser?.fid;
+              if (fid) handleViewProfile(fid);
+            }}
             className="btn-outline w-full"
-            disabled={!isInMiniApp || !user}
+            disabled={!isInMiniApp || !(user || contextUser)}
           >
             View My Profile
           </button>
@@ -234,10 +286,22 @@ export default function HomePage() {
           <h3 className="text-xl font-semibold">🎯 Quick Auth</h3>
           <p className="text-muted-foreground">Seamless authentication for Farcaster users</p>
           <div className="text-sm text-muted-foreground">
-            {isInMiniApp ? '✅ Enabled' : '❌ Not in Mini App'}
+            {quickAuthFid
+              ? `✅ Verified FID ${quickAuthFid}`
+              : isMockHost ? '🧪 Not available with the mock host'
+              : isInMiniApp ? '✅ Enabled' : '❌ Not in Mini App'}
           </div>
+          <button
+            onClick={handleQuickAuth}
+            className="btn-outline w-full"
+            disabled={!isInMiniApp || isMockHost}
+          >
+            Call Authenticated API
+          </button>
         </div>
 
+        <WalletCard />
+
         <div className="bg-card rounded-lg p-6 space-y-3">
           <h3 className="text-xl font-semibold">🔔 Notifications</h3>
           <p className="text-muted-foreground">Send push notifications to users</p>
@@ -0,0 +1,76 @@
+'use client';
+
+import { useState } from 'react';
+import {
+  MOCKED_ACTIONS,
+  type MockedAction,
+  type MockHostCall,
+} from '@/lib/farcaster/mock-host';
+
+interface MockHostPanelProps {
+  fid: number;
+  calls: MockHostCall[];
+  rejected: MockedAction[];
+  onToggleReject: (action: MockedAction) => void;
+  onClear: () => void;
+}
+
+/**
+ * On-screen log of SDK actions handled by the mock host (`?mock=true`)
+ */
+export function MockHostPanel({ fid, calls, rejected, onToggleReject, onClear }: MockHostPanelProps) {
+  const [collapsed, setCollapsed] = useState(false);
+
+  return (
+    <aside
+      data-testid="mock-host-panel"
+      className="fixed bottom-4 right-4 z-50 w-80 max-w-[calc(100vw-2rem)] rounded-lg border bg-card text-card-foreground shadow-lg text-xs"
+    >
+      <div className="flex items-center justify-between border-b px-3 py-2">
+        <span className="font-semibold">🧪 Mock host · FID {fid}</span>
+        <button onClick={() => setCollapsed(!collapsed)} className="text-muted-foreground hover:text-foreground">
+          {collapsed ? 'Show' : 'Hide'}
+        </button>
+      </div>
+
+      {!collapsed && (
+        <div className="space-y-3 p-3">
+          <div className="flex flex-wrap gap-x-3 gap-y-1">
+            {MOCKED_ACTIONS.map((action) => (
+              <label key={action} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={rejected.includes(action)}
+                  onChange={() => onToggleReject(action)}
+                />
+                Reject {action}
+              </label>
+            ))}
+          </div>
+
+          <p className="text-muted-foreground">
+            Sign in and Quick Auth need a real Farcaster client and are disabled.
+          </p>
+
+          <ol data-testid="mock-host-calls" className="max-h-48 space-y-1 overflow-y-auto font-mono">
+            {calls.length === 0 && <li className="text-muted-foreground">No actions called yet</li>}
+            {calls.map((call) => (
+              <li key={call.id} data-action={call.action} data-outcome={call.outcome}>
+                {call.outcome === 'resolved' ? '✅' : '❌'} {call.action}
+                {call.args !== undefined && (
+                  <span className="block truncate text-muted-foreground">{JSON.stringify(call.args)}</span>
+                )}
+              </li>
+            ))}
+          </ol>
+
+          {calls.length > 0 && (
+            <button onClick={onClear} className="text-muted-foreground hover:text-foreground">
+              Clear log
+            </button>
+          )}
+        </div>
+      )}
+    </aside>
+  );
+}
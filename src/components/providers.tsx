@@ -3,6 +3,7 @@
 import { ThemeProvider } from 'next-themes';
 import { ReactNode } from 'react';
 import { FarcasterProvider } from '@/components/providers/farcaster-provider';
+import { WalletProvider } from '@/components/providers/wallet-provider';
 
 interface ProvidersProps {
   children: ReactNode;
@@ -17,7 +18,9 @@ export function Providers({ children }: ProvidersProps) {
       disableTransitionOnChange
     >
       <FarcasterProvider>
-        {children}
+        <WalletProvider>
+          {children}
+        </WalletProvider>
       </FarcasterProvider>
     </ThemeProvider>
   );
@@ -1,7 +1,16 @@
 'use client';
 
-import { useEffect, useState } from 'react';
-import { sdk } from '@farcaster/miniapp-sdk';
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { sdk, type Context } from '@farcaster/miniapp-sdk';
+import { MockHostPanel } from '@/components/dev/mock-host-panel';
+import {
+  createMockActions,
+  createMockContext,
+  readMockHostOptions,
+  type MockedAction,
+  type MockHostCall,
+  type MockHostOptions,
+} from '@/lib/farcaster/mock-host';
 
 export interface FarcasterUser {
   fid: number;
@@ -10,10 +19,91 @@ export interface FarcasterUser {
   pfp?: string;
 }
 
+export type SdkActions = typeof sdk.actions;
+
+export interface FarcasterContextValue {
+  isReady: boolean;
+  isInMiniApp: boolean;
+  /** Running under ?mock=true: the SDK has no real host to talk to */
+  isMockHost: boolean;
+  user: FarcasterUser | null;
+  context: Context.MiniAppContext | null;
+  actions: SdkActions;
+}
+
+/**
+ * Single source of truth for the mini app environment. Tests can render
+ * components inside `<FarcasterContext.Provider value={...}>` with a mock value.
+ */
+export const FarcasterContext = createContext<FarcasterContextValue | null>(null);
+
+function useFarcasterContext(): FarcasterContextValue {
+  const value = useContext(FarcasterContext);
+  if (!value) {
+    throw new Error('Farcaster hooks must be used within a FarcasterProvider');
+  }
+  return value;
+}
+
+/**
+ * The user reported by the Farcaster client. This is not verified; use the
+ * session from /api/auth/me when the server needs to trust the FID.
+ */
+export function useFarcasterUser(): FarcasterUser | null {
+  return useFarcasterContext().user;
+}
+
+export function useIsInMiniApp(): boolean {
+  return useFarcasterContext().isInMiniApp;
+}
+
+export function useIsMockHost(): boolean {
+  return useFarcasterContext().isMockHost;
+}
+
+/**
+ * Client details, launch location and safe-area insets from `sdk.context`
+ */
+export function useMiniAppContext() {
+  const { context } = useFarcasterContext();
+  return {
+    client: context?.client ?? null,
+    location: context?.location ?? null,
+    safeAreaInsets: context?.client.safeAreaInsets ?? { top: 0, bottom: 0, left: 0, right: 0 },
+  };
+}
+
+export function useSdkActions(): SdkActions {
+  return useFarcasterContext().actions;
+}
+
 export function FarcasterProvider({ children }: { children: React.ReactNode }) {
   const [isReady, setIsReady] = useState(false);
   const [user, setUser] = useState<FarcasterUser | null>(null);
   const [isInMiniApp, setIsInMiniApp] = useState(false);
+  const [context, setContext] = useState<Context.MiniAppContext | null>(null);
+  const [mockHost, setMockHost] = useState<MockHostOptions | null>(null);
+  const [mockCalls, setMockCalls] = useState<MockHostCall[]>([]);
+  const [mockRejected, setMockRejected] = useState<MockedAction[]>([]);
+  const mockRejectedRef = useRef<MockedAction[]>([]);
+
+  // The mock actions read rejections through the ref, so they see toggles
+  // without being rebuilt
+  useEffect(() => {
+    mockRejectedRef.current = mockRejected;
+  }, [mockRejected]);
+
+  const applyContext = useCallback((miniAppContext: Context.MiniAppContext | null) => {
+    setContext(miniAppContext);
+    if (miniAppContext?.user) {
+      setUser({
+        fid: miniAppContext.user.fid,
+        username: miniAppContext.user.username,
+        displayName: miniAppContext.user.displayName,
+        pfp: miniAppContext.user.pfpUrl,
+      });
+    }
+  }, []);
 
   useEffect(() => {
     // Check for skip parameter in URL
@@ -26,6 +116,18 @@ export function FarcasterProvider({ children }: { children: React.ReactNode }) {
       return;
     }
 
+    // Dev-only stand-in for a Farcaster client, see lib/farcaster/mock-host.ts
+    const mockOptions = readMockHostOptions(urlParams);
+    if (mockOptions) {
+      console.log('Using mock Farcaster host due to mock=true parameter');
+      setMockHost(mockOptions);
+      setMockRejected(mockOptions.reject);
+      setIsInMiniApp(true);
+      applyContext(createMockContext(mockOptions));
+      setIsReady(true);
+      return;
+    }
+
     const initializeFarcaster = async () => {
       try {
         // Check if we're in a Farcaster mini app context
@@ -34,15 +136,8 @@ export function FarcasterProvider({ children }: { children: React.ReactNode }) {
 
         if (inMiniApp) {
           // Get context including user info
-          const context = await sdk.context;
-          if (context?.user) {
-            setUser({
-              fid: context.user.fid,
-              username: context.user.username,
-              displayName: context.user.displayName,
-              pfp: context.user.pfpUrl,
-            });
-          }
+          const miniAppContext = await sdk.context;
+          applyContext(miniAppContext ?? null);
         }
 
         // Signal that the app is ready (hides splash screen)
@@ -55,7 +150,23 @@ export function FarcasterProvider({ children }: { children: React.ReactNode }) {
     };
 
     initializeFarcaster();
-  }, []);
+  }, [applyContext]);
+
+  const actions = useMemo<SdkActions>(() => {
+    if (!mockHost) {
+      return sdk.actions;
+    }
+    let nextId = 0;
+    return createMockActions(
+      (action) => mockRejectedRef.current.includes(action),
+      (call) => setMockCalls((calls) => [{ ...call, id: ++nextId, at: Date.now() }, ...calls])
+    );
+  }, [mockHost]);
+
+  const value = useMemo<FarcasterContextValue>(
+    () => ({ isReady, isInMiniApp, isMockHost: mockHost !== null, user, context, actions }),
+    [isReady, isInMiniApp, mockHost, user, context, actions]
+  );
 
   if (!isReady) {
     return (
@@ -63,7 +174,7 @@ export function FarcasterProvider({ children }: { children: React.ReactNode }) {
         <div className="text-center">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary mx-auto"></div>
           <p className="mt-4 text-muted-foreground">Loading Farcaster Mini App...</p>
-          <button 
+          <button
             onClick={() => setIsReady(true)}
             className="mt-4 px-4 py-2 bg-primary text-primary-foreground rounded-lg hover:bg-primary/90 transition-colors"
           >
@@ -74,5 +185,24 @@ export function FarcasterProvider({ children }: { children: React.ReactNode }) {
     );
   }
 
-  return <>{children}</>;
+  return (
+    <FarcasterContext.Provider value={value}>
+      {children}
+      {mockHost && (
+        <MockHostPanel
+          fid={mockHost.user.fid}
+          calls={mockCalls}
+          rejected={mockRejected}
+          onToggleReject={(action) =>
+            setMockRejected((rejected) =>
+              rejected.includes(action)
+                ? rejected.filter((item) => item !== action)
+                : [...rejected, action]
+            )
+          }
+          onClear={() => setMockCalls([])}
+        />
+      )}
+    </FarcasterContext.Provider>
+  );
 }
@@ -0,0 +1,197 @@
+'use client';
+
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { useIsInMiniApp, useIsMockHost } from '@/components/providers/farcaster-provider';
+import {
+  encodePersonalMessage,
+  encodeTransaction,
+  encodeTypedData,
+  request,
+  resolveEthereumProvider,
+  toHexChainId,
+  WalletError,
+  type ResolvedProvider,
+  type TransactionRequest,
+  type TypedDataInput,
+  type WalletSource,
+} from '@/lib/wallet/provider';
+
+export interface WalletContextValue {
+  isReady: boolean;
+  source: WalletSource | null;
+  address: string | null;
+  chainId: number | null;
+  connect: () => Promise<string>;
+  switchChain: (chainId: number) => Promise<void>;
+  signMessage: (message: string) => Promise<string>;
+  signTypedData: (typedData: TypedDataInput) => Promise<string>;
+  sendTransaction: (tx: TransactionRequest) => Promise<string>;
+}
+
+export const WalletContext = createContext<WalletContextValue | null>(null);
+
+function useWalletContext(): WalletContextValue {
+  const value = useContext(WalletContext);
+  if (!value) {
+    throw new Error('Wallet hooks must be used within a WalletProvider');
+  }
+  return value;
+}
+
+export function useWallet(): WalletContextValue {
+  return useWalletContext();
+}
+
+export function useWalletAddress(): string | null {
+  return useWalletContext().address;
+}
+
+export function useChainId(): number | null {
+  return useWalletContext().chainId;
+}
+
+export function useSwitchChain() {
+  return useWalletContext().switchChain;
+}
+
+/** Signs a UTF-8 message with `personal_sign` */
+export function useSignMessage() {
+  return useWalletContext().signMessage;
+}
+
+/** Signs EIP-712 typed data with `eth_signTypedData_v4` */
+export function useSignTypedData() {
+  return useWalletContext().signTypedData;
+}
+
+/** Sends a transaction and resolves with its hash */
+export function useSendTransaction() {
+  return useWalletContext().sendTransaction;
+}
+
+/**
+ * Connects to the mini app's embedded wallet, or an injected wallet outside a
+ * Farcaster client, and tracks the account and chain it reports.
+ */
+export function WalletProvider({ children }: { children: React.ReactNode }) {
+  // The mock host has no embedded wallet, so it uses the injected one
+  const hasEmbeddedWallet = useIsInMiniApp() && !useIsMockHost();
+  const [isReady, setIsReady] = useState(false);
+  const [resolved, setResolved] = useState<ResolvedProvider | null>(null);
+  const [address, setAddress] = useState<string | null>(null);
+  const [chainId, setChainId] = useState<number | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const initializeWallet = async () => {
+      try {
+        const result = await resolveEthereumProvider(hasEmbeddedWallet);
+        if (cancelled || !result) {
+          return;
+        }
+        setResolved(result);
+
+        // eth_accounts does not prompt; it only reports an existing connection
+        const [accounts, chain] = await Promise.all([
+          request<string[]>(result.provider, 'eth_accounts'),
+          request<string>(result.provider, 'eth_chainId'),
+        ]);
+        if (!cancelled) {
+          setAddress(accounts[0] ?? null);
+          setChainId(Number(chain));
+        }
+      } catch (error) {
+        console.error('Failed to initialize wallet:', error);
+      } finally {
+        if (!cancelled) {
+          setIsReady(true);
+        }
+      }
+    };
+
+    initializeWallet();
+    return () => {
+      cancelled = true;
+    };
+  }, [hasEmbeddedWallet]);
+
+  useEffect(() => {
+    const provider = resolved?.provider;
+    if (!provider?.on) {
+      return;
+    }
+
+    const onAccountsChanged = (accounts: string[]) => setAddress(accounts[0] ?? null);
+    const onChainChanged = (chain: string) => setChainId(Number(chain));
+    provider.on('accountsChanged', onAccountsChanged);
+    provider.on('chainChanged', onChainChanged);
+    return () => {
+      provider.removeListener?.('accountsChanged', onAccountsChanged);
+      provider.removeListener?.('chainChanged', onChainChanged);
+    };
+  }, [resolved]);
+
+  const requireProvider = useCallback(() => {
+    if (!resolved) {
+      throw new WalletError('No Ethereum wallet available');
+    }
+    return resolved.provider;
+  }, [resolved]);
+
+  const connect = useCallback(async () => {
+    const accounts = await request<string[]>(requireProvider(), 'eth_requestAccounts');
+    if (!accounts[0]) {
+      throw new WalletError('Wallet did not return an account');
+    }
+    setAddress(accounts[0]);
+    return accounts[0];
+  }, [requireProvider]);
+
+  const switchChain = useCallback(async (nextChainId: number) => {
+    await request(requireProvider(), 'wallet_switchEthereumChain', [
+      { chainId: toHexChainId(nextChainId) },
+    ]);
+    setChainId(nextChainId);
+  }, [requireProvider]);
+
+  const signMessage = useCallback(async (message: string) => {
+    const from = address ?? (await connect());
+    return request<string>(requireProvider(), 'personal_sign', [
+      encodePersonalMessage(message),
+      from,
+    ]);
+  }, [address, connect, requireProvider]);
+
+  const signTypedData = useCallback(async (typedData: TypedDataInput) => {
+    const from = address ?? (await connect());
+    return request<string>(requireProvider(), 'eth_signTypedData_v4', [
+      from,
+      encodeTypedData(typedData),
+    ]);
+  }, [address, connect, requireProvider]);
+
+  const sendTransaction = useCallback(async (tx: TransactionRequest) => {
+    const from = address ?? (await connect());
+    return request<string>(requireProvider(), 'eth_sendTransaction', [
+      encodeTransaction(from, tx),
+    ]);
+  }, [address, connect, requireProvider]);
+
+  const value = useMemo<WalletContextValue>(
+    () => ({
+      isReady,
+      source: resolved?.source ?? null,
+      address,
+      chainId,
+      connect,
+      switchChain,
+      signMessage,
+      signTypedData,
+      sendTransaction,
+    }),
+    [isReady, resolved, address, chainId, connect, switchChain, signMessage, signTypedData, sendTransaction]
+  );
+
+  return <WalletContext.Provider value={value}>{children}</WalletContext.Provider>;
+}
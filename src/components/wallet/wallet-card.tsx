@@ -0,0 +1,111 @@
+'use client';
+
+import { useState } from 'react';
+import {
+  useChainId,
+  useSendTransaction,
+  useSignMessage,
+  useSignTypedData,
+  useSwitchChain,
+  useWallet,
+} from '@/components/providers/wallet-provider';
+
+const BASE_CHAIN_ID = 8453;
+const BASE_SEPOLIA_CHAIN_ID = 84532;
+
+const CHAIN_NAMES: Record<number, string> = {
+  1: 'Ethereum',
+  10: 'Optimism',
+  [BASE_CHAIN_ID]: 'Base',
+  [BASE_SEPOLIA_CHAIN_ID]: 'Base Sepolia',
+};
+
+function shortenHex(value: string) {
+  return `${value.slice(0, 6)}…${value.slice(-4)}`;
+}
+
+export function WalletCard() {
+  const { isReady, source, address, connect } = useWallet();
+  const chainId = useChainId();
+  const switchChain = useSwitchChain();
+  const signMessage = useSignMessage();
+  const signTypedData = useSignTypedData();
+  const sendTransaction = useSendTransaction();
+  const [result, setResult] = useState<string | null>(null);
+
+  const run = async (label: string, action: () => Promise<string | void>) => {
+    try {
+      const output = await action();
+      setResult(output ? `${label}: ${shortenHex(output)}` : `${label}: done`);
+    } catch (error) {
+      console.error(`${label} failed:`, error);
+      setResult(`${label} failed: ${error instanceof Error ? error.message : 'unknown error'}`);
+    }
+  };
+
+  const targetChainId = chainId === BASE_CHAIN_ID ? BASE_SEPOLIA_CHAIN_ID : BASE_CHAIN_ID;
+
+  return (
+    <div className="bg-card rounded-lg p-6 space-y-3">
+      <h3 className="text-xl font-semibold">👛 Wallet</h3>
+      <p className="text-muted-foreground">Sign messages and send transactions</p>
+      <div className="text-sm text-muted-foreground space-y-1">
+        <p>
+          {!isReady
+            ? 'Looking for a wallet…'
+            : source
+              ? `${source === 'miniapp' ? 'Farcaster wallet' : 'Browser wallet'}${address ? ` · ${shortenHex(address)}` : ''}`
+              : '❌ No wallet available'}
+        </p>
+        {chainId !== null && <p>Chain: {CHAIN_NAMES[chainId] ?? chainId}</p>}
+        {result && <p className="break-all">{result}</p>}
+      </div>
+
+      {address ? (
+        <div className="grid grid-cols-2 gap-2">
+          <button
+            onClick={() => run('Signature', () => signMessage('Hello from a Farcaster Mini App!'))}
+            className="btn-outline w-full"
+          >
+            Sign Message
+          </button>
+          <button
+            onClick={() =>
+              run('Typed signature', () =>
+                signTypedData({
+                  domain: { name: 'Farcaster Mini App', version: '1', chainId: chainId ?? BASE_CHAIN_ID },
+                  types: { Greeting: [{ name: 'from', type: 'address' }, { name: 'text', type: 'string' }] },
+                  primaryType: 'Greeting',
+                  message: { from: address, text: 'gm' },
+                })
+              )
+            }
+            className="btn-outline w-full"
+          >
+            Sign Typed Data
+          </button>
+          <button
+            onClick={() => run('Transaction', () => sendTransaction({ to: address, value: 0n }))}
+            className="btn-outline w-full"
+          >
+            Send 0 ETH
+          </button>
+          <button
+            onClick={() => run('Switch chain', () => switchChain(targetChainId))}
+            className="btn-outline w-full"
+          >
+            Use {CHAIN_NAMES[targetChainId]}
+          </button>
+        </div>
+      ) : (
+        <button
+          onClick={() => run('Connect', connect)}
+          className="btn-outline w-full"
+          disabled={!source}
+        >
+          Connect Wallet
+        </button>
+      )}
+    </div>
+  );
+}
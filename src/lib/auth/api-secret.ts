@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server';
+
+/**
+ * Guards routes that only trusted callers (scripts, cron jobs) holding
+ * API_SECRET may use. Returns the error response to send, or null when the
+ * request carries the secret.
+ */
+export function requireApiSecret(request: Request): NextResponse | null {
+  const secret = process.env.API_SECRET;
+  if (!secret) {
+    return NextResponse.json(
+      { error: 'API_SECRET is not configured' },
+      { status: 500 }
+    );
+  }
+
+  if (request.headers.get('authorization') !== `Bearer ${secret}`) {
+    return NextResponse.json(
+      { error: 'Unauthorized' },
+      { status: 401 }
+    );
+  }
+
+  return null;
+}
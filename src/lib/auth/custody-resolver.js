@@ -0,0 +1,115 @@
+/**
+ * Maps an Ethereum custody address to the Farcaster account it owns.
+ * Sign In with Farcaster messages are signed by the custody address, so
+ * the claimed FID is only trusted when this lookup agrees.
+ *
+ * The app and the scripts (scripts/account-association.js) both load this
+ * module, so one .env serves both. It is CommonJS so the scripts can
+ * require() it.
+ */
+
+/**
+ * @typedef {Object} CustodyResolver
+ * @property {(address: string) => Promise<number | null>} getFidForAddress
+ */
+
+const NEYNAR_HUB_URL = 'https://hub-api.neynar.com';
+
+/**
+ * Looks up the IdRegistry event for an address through a Farcaster hub
+ * HTTP API (Neynar's hub by default).
+ * @implements {CustodyResolver}
+ */
+class HubCustodyResolver {
+  /**
+   * @param {string} apiKey
+   * @param {string} [hubUrl]
+   */
+  constructor(apiKey, hubUrl = NEYNAR_HUB_URL) {
+    this.apiKey = apiKey;
+    this.hubUrl = hubUrl;
+  }
+
+  /**
+   * @param {string} address
+   * @returns {Promise<number | null>}
+   */
+  async getFidForAddress(address) {
+    const url = new URL('/v1/onChainIdRegistryEventByAddress', this.hubUrl);
+    url.searchParams.set('address', address);
+
+    const response = await fetch(url, {
+      headers: { 'x-api-key': this.apiKey },
+    });
+
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Hub custody lookup failed: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return typeof data.fid === 'number' ? data.fid : null;
+  }
+}
+
+/**
+ * Static address → FID map for local development, tests and offline checks
+ * @implements {CustodyResolver}
+ */
+class FixtureCustodyResolver {
+  /**
+   * @param {Record<string, number>} [fixtures]
+   */
+  constructor(fixtures = {}) {
+    this.fids = new Map(
+      Object.entries(fixtures).map(([address, fid]) => [address.toLowerCase(), Number(fid)])
+    );
+  }
+
+  /**
+   * @param {string} address
+   * @returns {Promise<number | null>}
+   */
+  async getFidForAddress(address) {
+    return this.fids.get(address.toLowerCase()) ?? null;
+  }
+}
+
+/**
+ * Parses FARCASTER_CUSTODY_FIXTURES, {"0x<custody address>": <fid>}; null
+ * when unset or not valid JSON
+ * @param {string | undefined} value
+ * @returns {Record<string, number> | null}
+ */
+function parseCustodyFixtures(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    console.error('FARCASTER_CUSTODY_FIXTURES is not valid JSON, ignoring it');
+    return null;
+  }
+}
+
+/**
+ * The hub resolver when NEYNAR_API_KEY is set, fixtures from
+ * FARCASTER_CUSTODY_FIXTURES when present, otherwise null
+ * @param {Record<string, string | undefined>} [env]
+ * @returns {CustodyResolver | null}
+ */
+function getCustodyResolver(env = process.env) {
+  if (env.NEYNAR_API_KEY) {
+    return new HubCustodyResolver(env.NEYNAR_API_KEY, env.FARCASTER_HUB_URL);
+  }
+  const fixtures = parseCustodyFixtures(env.FARCASTER_CUSTODY_FIXTURES);
+  return fixtures ? new FixtureCustodyResolver(fixtures) : null;
+}
+
+module.exports = {
+  FixtureCustodyResolver,
+  HubCustodyResolver,
+  getCustodyResolver,
+  parseCustodyFixtures,
+};
@@ -0,0 +1,49 @@
+export interface UserProfile {
+  fid: number;
+  username?: string;
+  displayName?: string;
+  pfpUrl?: string;
+}
+
+interface NeynarUser {
+  fid: number;
+  username?: string;
+  display_name?: string;
+  pfp_url?: string;
+}
+
+/**
+ * Looks up a user's public profile through Neynar. Falls back to just the
+ * FID when NEYNAR_API_KEY is not set or the lookup fails.
+ */
+export async function getUserProfile(fid: number): Promise<UserProfile> {
+  const apiKey = process.env.NEYNAR_API_KEY;
+  if (!apiKey) {
+    return { fid };
+  }
+
+  try {
+    const response = await fetch(`https://api.neynar.com/v2/farcaster/user/bulk?fids=${fid}`, {
+      headers: { 'x-api-key': apiKey },
+    });
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+
+    const data = (await response.json()) as { users?: NeynarUser[] };
+    const user = data.users?.[0];
+    if (!user) {
+      return { fid };
+    }
+
+    return {
+      fid,
+      username: user.username,
+      displayName: user.display_name,
+      pfpUrl: user.pfp_url,
+    };
+  } catch (error) {
+    console.error(`Failed to load profile for FID ${fid}:`, error);
+    return { fid };
+  }
+}
@@ -0,0 +1,58 @@
+import { SignJWT, jwtVerify } from 'jose';
+
+export const SESSION_COOKIE = 'fc_session';
+export const SESSION_MAX_AGE_SECONDS = 7 * 24 * 60 * 60;
+
+export interface Session {
+  fid: number;
+  address: string;
+}
+
+function getSessionKey(): Uint8Array {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('SESSION_SECRET is not configured');
+  }
+  return new TextEncoder().encode(secret);
+}
+
+/**
+ * Signs a session token for the HTTP-only session cookie
+ */
+export function createSessionToken(session: Session): Promise<string> {
+  return new SignJWT({ address: session.address })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setSubject(String(session.fid))
+    .setIssuedAt()
+    .setExpirationTime(`${SESSION_MAX_AGE_SECONDS}s`)
+    .sign(getSessionKey());
+}
+
+/**
+ * Returns the session for a cookie value, or null if missing, expired or tampered with
+ */
+export async function readSessionToken(token: string | undefined): Promise<Session | null> {
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const { payload } = await jwtVerify(token, getSessionKey(), { algorithms: ['HS256'] });
+    const fid = Number(payload.sub);
+    if (!Number.isInteger(fid) || typeof payload.address !== 'string') {
+      return null;
+    }
+    return { fid, address: payload.address };
+  } catch {
+    return null;
+  }
+}
+
+// Mini apps run inside a client iframe, so the cookie must be sent cross-site
+export const sessionCookieOptions = {
+  httpOnly: true,
+  secure: true,
+  sameSite: 'none' as const,
+  path: '/',
+  maxAge: SESSION_MAX_AGE_SECONDS,
+};
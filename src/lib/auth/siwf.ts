@@ -0,0 +1,193 @@
+import { verifyMessage } from 'ethers';
+import { getAppDomain } from '@/lib/auth/quick-auth';
+import { getCustodyResolver, type CustodyResolver } from '@/lib/auth/custody-resolver';
+import { getNonceStore, type NonceStore } from '@/lib/storage/nonce-store';
+
+export class SignInError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'SignInError';
+  }
+}
+
+/**
+ * Thrown when sign-in is not configured, so no message can be verified
+ */
+export class SignInUnavailableError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'SignInUnavailableError';
+  }
+}
+
+/**
+ * The custody resolver from the environment. Without one no signer can be
+ * matched to its FID, so this throws SignInUnavailableError instead.
+ */
+export function requireCustodyResolver(): CustodyResolver {
+  const custody = getCustodyResolver();
+  if (!custody) {
+    throw new SignInUnavailableError(
+      'Sign In with Farcaster needs NEYNAR_API_KEY (or FARCASTER_CUSTODY_FIXTURES) to check custody addresses'
+    );
+  }
+  return custody;
+}
+
+/**
+ * Fields of an EIP-4361 (Sign In with Ethereum) message as used by
+ * Sign In with Farcaster
+ */
+export interface SiweMessage {
+  domain: string;
+  address: string;
+  statement?: string;
+  uri: string;
+  version: string;
+  chainId: number;
+  nonce: string;
+  issuedAt: string;
+  expirationTime?: string;
+  notBefore?: string;
+  requestId?: string;
+  resources: string[];
+}
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+const FID_RESOURCE = /^farcaster:\/\/fid\/(\d+)$/;
+
+const FIELD_NAMES: Record<string, keyof SiweMessage> = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId',
+};
+
+export function parseSiweMessage(message: string): SiweMessage {
+  const lines = message.split('\n');
+
+  if (!lines[0]?.endsWith(HEADER_SUFFIX)) {
+    throw new SignInError('Message is not a Sign In with Ethereum message');
+  }
+
+  const parsed: Partial<SiweMessage> & { resources: string[] } = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1]?.trim(),
+    resources: [],
+  };
+
+  let index = 2;
+  // Optional statement, surrounded by blank lines
+  if (lines[index] === '' && lines[index + 1] !== undefined && !lines[index + 1].includes(': ')) {
+    parsed.statement = lines[index + 1];
+    index += 2;
+  }
+
+  let inResources = false;
+  for (const line of lines.slice(index)) {
+    if (!line) continue;
+
+    if (inResources && line.startsWith('- ')) {
+      parsed.resources.push(line.slice(2));
+      continue;
+    }
+
+    if (line === 'Resources:') {
+      inResources = true;
+      continue;
+    }
+
+    const separator = line.indexOf(': ');
+    const field = separator > 0 ? FIELD_NAMES[line.slice(0, separator)] : undefined;
+    if (!field) continue;
+
+    const value = line.slice(separator + 2);
+    if (field === 'chainId') {
+      parsed.chainId = Number(value);
+    } else {
+      (parsed as Record<string, unknown>)[field] = value;
+    }
+  }
+
+  if (!parsed.address || !parsed.uri || !parsed.version || !parsed.nonce || !parsed.issuedAt) {
+    throw new SignInError('Message is missing required fields');
+  }
+
+  return parsed as SiweMessage;
+}
+
+function getFidFromResources(resources: string[]): number | null {
+  for (const resource of resources) {
+    const match = resource.match(FID_RESOURCE);
+    if (match) return Number(match[1]);
+  }
+  return null;
+}
+
+export interface VerifiedSignIn {
+  fid: number;
+  address: string;
+  message: SiweMessage;
+}
+
+/**
+ * Verifies a Sign In with Farcaster message: domain, single-use nonce,
+ * validity window, EIP-191 signature and that the signer owns the FID.
+ */
+export async function verifySignInMessage(
+  input: { message: string; signature: string },
+  options: {
+    domain?: string;
+    nonces?: NonceStore;
+    custody?: CustodyResolver;
+  } = {}
+): Promise<VerifiedSignIn> {
+  const custody = options.custody ?? requireCustodyResolver();
+  const nonces = options.nonces ?? getNonceStore();
+
+  const message = parseSiweMessage(input.message);
+  const domain = options.domain ?? getAppDomain();
+
+  if (message.domain !== domain) {
+    throw new SignInError(`Message domain ${message.domain} does not match ${domain}`);
+  }
+
+  const now = Date.now();
+  if (message.expirationTime && new Date(message.expirationTime).getTime() <= now) {
+    throw new SignInError('Message has expired');
+  }
+  if (message.notBefore && new Date(message.notBefore).getTime() > now) {
+    throw new SignInError('Message is not yet valid');
+  }
+
+  const fid = getFidFromResources(message.resources);
+  if (!fid) {
+    throw new SignInError('Message does not include a Farcaster ID resource');
+  }
+
+  let signer: string;
+  try {
+    signer = verifyMessage(input.message, input.signature);
+  } catch {
+    throw new SignInError('Malformed signature');
+  }
+  if (signer.toLowerCase() !== message.address.toLowerCase()) {
+    throw new SignInError('Signature does not match message address');
+  }
+
+  // Consume the nonce only once the message itself checks out
+  if (!(await nonces.consume(message.nonce))) {
+    throw new SignInError('Nonce is invalid, expired or already used');
+  }
+
+  const custodyFid = await custody.getFidForAddress(signer);
+  if (custodyFid !== fid) {
+    throw new SignInError(`Address ${signer} is not the custody address of FID ${fid}`);
+  }
+
+  return { fid, address: signer, message };
+}
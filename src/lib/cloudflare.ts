@@ -0,0 +1,14 @@
+import { getCloudflareContext } from '@opennextjs/cloudflare';
+import type { CloudflareEnv } from '@/../env';
+
+/**
+ * Returns the Cloudflare bindings for the current request, or `undefined`
+ * when running outside the Workers runtime (e.g. plain `next dev`).
+ */
+export function getCloudflareEnv(): Partial<CloudflareEnv> | undefined {
+  try {
+    return getCloudflareContext().env as Partial<CloudflareEnv>;
+  } catch {
+    return undefined;
+  }
+}
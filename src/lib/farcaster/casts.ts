@@ -0,0 +1,155 @@
+import clientConfig from '@/config/farcaster-client.json';
+
+// Shared with scripts/cast-composer.js; long casts need the account to allow them
+const CAST_RULES = clientConfig.casts;
+export const CAST_MAX_BYTES = CAST_RULES.maxBytes;
+export const LONG_CAST_MAX_BYTES = CAST_RULES.longMaxBytes;
+export const MAX_EMBEDS = CAST_RULES.maxEmbeds;
+export const MAX_MENTIONS = CAST_RULES.maxMentions;
+
+const MENTION_PATTERN = new RegExp(CAST_RULES.mentionPattern, 'gi');
+const CAST_HASH_PATTERN = new RegExp(CAST_RULES.castHashPattern, 'i');
+const CHANNEL_KEY_PATTERN = new RegExp(CAST_RULES.channelKeyPattern);
+
+// A post that has not answered by then is failed and retried later
+const PUBLISH_TIMEOUT_MS = 15 * 1000;
+
+/**
+ * A cast ready to post, as built by scripts/cast-composer.js and sent the
+ * way the web client sends it: @username mentions stay in the text and a
+ * quoted cast is embedded by its URL.
+ */
+export interface CastDraft {
+  text: string;
+  embeds: string[];
+  parentHash?: string;
+  channelKey?: string;
+}
+
+/**
+ * A rejected or failed cast. `retryable` is set for rate limits, server
+ * errors and network failures.
+ */
+export class CastPublishError extends Error {
+  constructor(
+    message: string,
+    public status?: number
+  ) {
+    super(message);
+    this.name = 'CastPublishError';
+  }
+
+  get retryable() {
+    return this.status === undefined || this.status === 429 || this.status >= 500;
+  }
+}
+
+function isEmbed(value: unknown): value is string {
+  return typeof value === 'string' && URL.canParse(value) && /^https?:/.test(value);
+}
+
+/**
+ * Returns a list of problems with the draft, empty when it is valid
+ */
+export function validateCastDraft(draft: Partial<CastDraft>): string[] {
+  const errors: string[] = [];
+
+  if (typeof draft.text !== 'string' || !draft.text.trim()) {
+    errors.push('cast.text is required');
+  } else {
+    if (new TextEncoder().encode(draft.text).length > LONG_CAST_MAX_BYTES) {
+      errors.push(`cast.text must be at most ${LONG_CAST_MAX_BYTES} bytes`);
+    }
+    if ([...draft.text.matchAll(MENTION_PATTERN)].length > MAX_MENTIONS) {
+      errors.push(`cast.text can mention at most ${MAX_MENTIONS} users`);
+    }
+  }
+
+  const embeds = draft.embeds ?? [];
+  if (!Array.isArray(embeds) || embeds.length > MAX_EMBEDS) {
+    errors.push(`cast.embeds must be a list of at most ${MAX_EMBEDS} embeds`);
+  } else if (!embeds.every(isEmbed)) {
+    errors.push('cast.embeds must be http(s) URLs; quote a cast by embedding its URL');
+  }
+
+  if (draft.parentHash !== undefined && !CAST_HASH_PATTERN.test(draft.parentHash)) {
+    errors.push('cast.parentHash must be 0x followed by 40 hex characters');
+  }
+  if (draft.channelKey !== undefined && !CHANNEL_KEY_PATTERN.test(draft.channelKey)) {
+    errors.push('cast.channelKey must be 1-16 lowercase letters, digits or hyphens');
+  }
+  if (draft.parentHash && draft.channelKey) {
+    errors.push('cast.parentHash and cast.channelKey cannot both be set');
+  }
+
+  return errors;
+}
+
+let deviceId: string | undefined;
+let sessionId: string | undefined;
+
+/**
+ * Analytics ids for the web client headers, one pair per isolate like one
+ * FarcasterClient in the scripts. Made on first use, since Workers do not
+ * allow random values at startup.
+ */
+function getAnalyticsIds() {
+  deviceId ??= crypto.randomUUID().replace(/-/g, '').slice(0, 22);
+  sessionId ??= String(Date.now());
+  return { deviceId, sessionId };
+}
+
+/**
+ * Posts a cast through the Farcaster client API (the server-side
+ * counterpart of `createCast` in scripts/farcaster-client.js). The
+ * idempotency key lets a retry of the same post be deduplicated.
+ *
+ * @returns The new cast's hash
+ */
+export async function publishCast(
+  draft: CastDraft,
+  { token, idempotencyKey }: { token: string; idempotencyKey: string }
+): Promise<string> {
+  const body: Record<string, unknown> = { text: draft.text, embeds: draft.embeds };
+  if (draft.parentHash) {
+    body.parent = { hash: draft.parentHash };
+  }
+  if (draft.channelKey) {
+    body.channelKey = draft.channelKey;
+  }
+
+  const { deviceId, sessionId } = getAnalyticsIds();
+  let response: Response;
+  try {
+    response = await fetch(`${clientConfig.apiUrl}/v2/casts`, {
+      method: 'POST',
+      headers: {
+        ...clientConfig.browserHeaders,
+        'Content-Type': 'application/json; charset=utf-8',
+        Authorization: `Bearer ${token}`,
+        'fc-amplitude-device-id': deviceId,
+        'fc-amplitude-session-id': sessionId,
+        'idempotency-key': idempotencyKey,
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(PUBLISH_TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw new CastPublishError(`POST /v2/casts failed: ${(error as Error).message}`);
+  }
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new CastPublishError(
+      `POST /v2/casts failed: HTTP ${response.status}${detail ? ` - ${detail.slice(0, 200)}` : ''}`,
+      response.status
+    );
+  }
+
+  const data = (await response.json()) as { result?: { cast?: { hash?: string } } };
+  const hash = data.result?.cast?.hash;
+  if (!hash) {
+    throw new CastPublishError('POST /v2/casts returned no cast hash', response.status);
+  }
+  return hash;
+}
@@ -0,0 +1,62 @@
+import manifestConfig from '@/config/farcaster.json';
+import storedAssociations from '@/config/account-associations.json';
+import { assembleManifest, getAppUrl as resolveAppUrl } from '@/lib/farcaster/manifest';
+
+export interface AccountAssociation {
+  header: string;
+  payload: string;
+  signature: string;
+}
+
+export interface MiniAppManifest {
+  version: '1';
+  name: string;
+  iconUrl: string;
+  homeUrl: string;
+  imageUrl: string;
+  buttonTitle: string;
+  splashImageUrl: string;
+  splashBackgroundColor: string;
+  webhookUrl?: string;
+  subtitle?: string;
+  description?: string;
+  primaryCategory?: string;
+  tags?: string[];
+  screenshotUrls?: string[];
+  heroImageUrl?: string;
+  tagline?: string;
+  ogTitle?: string;
+  ogDescription?: string;
+  ogImageUrl?: string;
+}
+
+export interface FarcasterManifest {
+  accountAssociation?: AccountAssociation;
+  miniapp: MiniAppManifest;
+}
+
+/**
+ * Public base URL of the app. NEXT_PUBLIC_APP_DOMAIN wins, then the origin
+ * of the current request (when known), then NEXT_PUBLIC_APP_URL.
+ */
+export function getAppUrl(origin?: string): string {
+  return resolveAppUrl(process.env, origin);
+}
+
+/**
+ * Assembles the `/.well-known/farcaster.json` manifest from
+ * src/config/farcaster.json and the environment (see manifest.js, which the
+ * scripts share).
+ */
+export function getFarcasterManifest(origin?: string): FarcasterManifest {
+  return assembleManifest({
+    config: manifestConfig,
+    associations: storedAssociations,
+    env: process.env,
+    origin,
+  });
+}
+
+export function getMiniAppConfig(origin?: string): MiniAppManifest {
+  return getFarcasterManifest(origin).miniapp;
+}
@@ -0,0 +1,157 @@
+import type { Metadata } from 'next';
+import { safeParseMiniAppEmbed } from '@farcaster/miniapp-sdk';
+import { getMiniAppConfig } from '@/lib/farcaster/config';
+
+export const EMBED_BUTTON_TITLE_MAX_LENGTH = 32;
+export const EMBED_URL_MAX_LENGTH = 1024;
+/** Embed images must be 3:2 */
+export const EMBED_IMAGE_ASPECT_RATIO = 3 / 2;
+
+export interface MiniAppEmbed {
+  version: '1';
+  imageUrl: string;
+  button: {
+    title: string;
+    action: {
+      type: 'launch_miniapp' | 'launch_frame';
+      name: string;
+      url: string;
+      splashImageUrl?: string;
+      splashBackgroundColor?: string;
+    };
+  };
+}
+
+export interface MiniAppMetadataOptions {
+  /** Absolute URL, or a path resolved against the home URL */
+  imageUrl?: string;
+  /** Pixel size of the image, used to check the 3:2 aspect ratio */
+  imageSize?: { width: number; height: number };
+  buttonTitle?: string;
+  /** Launch path or absolute URL; defaults to the home URL */
+  url?: string;
+  /** Deep-link query params appended to the launch URL */
+  params?: Record<string, string | number | boolean | undefined>;
+  name?: string;
+  splashImageUrl?: string;
+  splashBackgroundColor?: string;
+  /** Throw instead of logging when the embed is invalid */
+  strict?: boolean;
+}
+
+export class MiniAppEmbedError extends Error {
+  constructor(message: string, public issues: string[]) {
+    super(message);
+    this.name = 'MiniAppEmbedError';
+  }
+}
+
+function resolveUrl(value: string, base: string): string {
+  return new URL(value, base).toString();
+}
+
+function buildLaunchUrl(base: string, url?: string, params?: MiniAppMetadataOptions['params']): string {
+  const launchUrl = new URL(url ?? base, base);
+  for (const [key, value] of Object.entries(params ?? {})) {
+    if (value !== undefined) {
+      launchUrl.searchParams.set(key, String(value));
+    }
+  }
+  return launchUrl.toString();
+}
+
+/**
+ * Checks an embed against the Mini App embed spec. Returns a list of
+ * problems, empty when the embed is valid.
+ */
+export function validateMiniAppEmbed(
+  embed: MiniAppEmbed,
+  imageSize?: MiniAppMetadataOptions['imageSize']
+): string[] {
+  const errors: string[] = [];
+
+  const parsed = safeParseMiniAppEmbed(embed);
+  if (!parsed.success) {
+    for (const issue of parsed.error.issues) {
+      errors.push(`${issue.path.join('.') || 'embed'}: ${issue.message}`);
+    }
+  }
+
+  if (embed.button.title.length > EMBED_BUTTON_TITLE_MAX_LENGTH) {
+    errors.push(`button.title must be ${EMBED_BUTTON_TITLE_MAX_LENGTH} characters or fewer`);
+  }
+  if (embed.button.action.url.length > EMBED_URL_MAX_LENGTH) {
+    errors.push(`button.action.url must be ${EMBED_URL_MAX_LENGTH} characters or fewer`);
+  }
+  if (imageSize) {
+    const ratio = imageSize.width / imageSize.height;
+    if (Math.abs(ratio - EMBED_IMAGE_ASPECT_RATIO) > 0.01) {
+      errors.push(`imageUrl must have a 3:2 aspect ratio, got ${imageSize.width}x${imageSize.height}`);
+    }
+  }
+
+  // The zod schema and the checks above can report the same problem
+  return [...new Set(errors)];
+}
+
+/**
+ * Builds the `fc:miniapp` embed for a route, filling anything not given
+ * from the manifest config.
+ */
+export function buildMiniAppEmbed(options: MiniAppMetadataOptions = {}): MiniAppEmbed {
+  const defaults = getMiniAppConfig();
+  const base = defaults.homeUrl;
+
+  return {
+    version: '1',
+    imageUrl: resolveUrl(options.imageUrl ?? defaults.imageUrl, base),
+    button: {
+      title: options.buttonTitle ?? defaults.buttonTitle,
+      action: {
+        type: 'launch_miniapp',
+        name: options.name ?? defaults.name,
+        url: buildLaunchUrl(base, options.url, options.params),
+        splashImageUrl: resolveUrl(options.splashImageUrl ?? defaults.splashImageUrl, base),
+        splashBackgroundColor: options.splashBackgroundColor ?? defaults.splashBackgroundColor,
+      },
+    },
+  };
+}
+
+/**
+ * Per-route `fc:miniapp` and `fc:frame` meta tags. Use from a page's
+ * `generateMetadata`:
+ *
+ *   export async function generateMetadata({ params }) {
+ *     return generateMiniAppMetadata({
+ *       imageUrl: `/api/og?post=${params.id}`,
+ *       buttonTitle: 'Read post',
+ *       url: `/posts/${params.id}`,
+ *     });
+ *   }
+ */
+export function generateMiniAppMetadata(options: MiniAppMetadataOptions = {}): Metadata {
+  const embed = buildMiniAppEmbed(options);
+
+  const errors = validateMiniAppEmbed(embed, options.imageSize);
+  if (errors.length > 0) {
+    if (options.strict) {
+      throw new MiniAppEmbedError('Invalid mini app embed', errors);
+    }
+    console.warn(`Invalid mini app embed for ${embed.button.action.url}:\n  ${errors.join('\n  ')}`);
+  }
+
+  return {
+    other: {
+      'fc:miniapp': JSON.stringify(embed),
+      // Backward compatibility with Frames v2
+      'fc:frame': JSON.stringify({
+        ...embed,
+        button: {
+          ...embed.button,
+          action: { ...embed.button.action, type: 'launch_frame' },
+        },
+      }),
+    },
+  };
+}
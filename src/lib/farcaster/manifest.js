@@ -0,0 +1,158 @@
+/**
+ * Assembles the `/.well-known/farcaster.json` manifest from
+ * src/config/farcaster.json, the per-domain associations and the
+ * environment. The manifest route (through config.ts) and the scripts
+ * (validate-manifest.js, `farcaster association verify`) both load this
+ * module, so they check exactly what is served. It is CommonJS so the
+ * scripts can require() it.
+ */
+
+/** Image fields, with the variable that overrides each one */
+const IMAGE_URL_ENV = {
+  iconUrl: 'FARCASTER_ICON_URL',
+  imageUrl: 'FARCASTER_IMAGE_URL',
+  splashImageUrl: 'FARCASTER_SPLASH_IMAGE_URL',
+  heroImageUrl: 'FARCASTER_HERO_IMAGE_URL',
+  ogImageUrl: 'FARCASTER_OG_IMAGE_URL',
+};
+
+const FALLBACK_APP_URL = 'https://example.com';
+
+/**
+ * Public base URL of the app. NEXT_PUBLIC_APP_DOMAIN wins, then the origin
+ * of the current request (when known), then NEXT_PUBLIC_APP_URL.
+ * @param {Record<string, string | undefined>} env
+ * @param {string} [origin]
+ * @returns {string}
+ */
+function getAppUrl(env, origin) {
+  if (env.NEXT_PUBLIC_APP_DOMAIN) {
+    return `https://${env.NEXT_PUBLIC_APP_DOMAIN}`;
+  }
+  return (origin || env.NEXT_PUBLIC_APP_URL || FALLBACK_APP_URL).replace(/\/$/, '');
+}
+
+/**
+ * Resolves a configured image URL against the current app URL. Paths are
+ * served by the app; absolute URLs on one of `appHosts` (an old tunnel
+ * hostname in farcaster.json) move to the app URL, keeping their path.
+ * Any other absolute URL, such as a CDN, is left as it is.
+ * @param {string} value
+ * @param {string} appUrl
+ * @param {string[]} appHosts
+ * @returns {string}
+ */
+function rebaseUrl(value, appUrl, appHosts) {
+  if (!/^[a-z][a-z\d+.-]*:/i.test(value)) {
+    return new URL(value, appUrl).toString();
+  }
+
+  const url = new URL(value);
+  if (!appHosts.includes(url.host)) {
+    return value;
+  }
+  const base = new URL(appUrl);
+  url.protocol = base.protocol;
+  url.host = base.host;
+  return url.toString();
+}
+
+/**
+ * Host of an absolute URL, or null for a path or an invalid URL
+ * @param {string | undefined} value
+ * @returns {string | null}
+ */
+function hostOf(value) {
+  try {
+    return value ? new URL(value).host : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Domain in an association's payload, or null when it does not decode
+ * @param {{payload?: string}} accountAssociation
+ * @returns {string | null}
+ */
+function getSignedDomain(accountAssociation) {
+  try {
+    const base64 = String(accountAssociation.payload).replace(/-/g, '+').replace(/_/g, '/');
+    const { domain } = JSON.parse(atob(base64));
+    return typeof domain === 'string' ? domain : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Picks the account association for the host the manifest is served from:
+ * the one signed for it in src/config/account-associations.json (written
+ * by `generate --domain`), else FARCASTER_ACCOUNT_ASSOCIATION when it is
+ * signed for that host. Clients reject an association signed for another
+ * domain, so none is served rather than the wrong one.
+ * @param {Record<string, Object>} associations
+ * @param {string[]} hosts
+ * @param {Record<string, string | undefined>} env
+ */
+function readAccountAssociation(associations, hosts, env) {
+  for (const host of hosts) {
+    if (associations[host]) {
+      return associations[host];
+    }
+  }
+
+  const raw = env.FARCASTER_ACCOUNT_ASSOCIATION;
+  if (!raw) {
+    return undefined;
+  }
+  let accountAssociation;
+  try {
+    accountAssociation = JSON.parse(raw);
+  } catch (error) {
+    console.error('Invalid FARCASTER_ACCOUNT_ASSOCIATION:', error);
+    return undefined;
+  }
+  return hosts.includes(getSignedDomain(accountAssociation)) ? accountAssociation : undefined;
+}
+
+/**
+ * Builds the manifest served on `origin`
+ * @param {Object} options
+ * @param {{miniapp: Record<string, any>}} options.config - src/config/farcaster.json
+ * @param {Record<string, Object>} options.associations - src/config/account-associations.json
+ * @param {Record<string, string | undefined>} options.env - Usually process.env
+ * @param {string} [options.origin] - Origin of the request, e.g. https://example.com
+ * @returns {import('./config').FarcasterManifest}
+ */
+function assembleManifest({ config, associations, env, origin }) {
+  const appUrl = getAppUrl(env, origin);
+
+  const miniapp = {
+    ...config.miniapp,
+    name: env.FARCASTER_APP_NAME || config.miniapp.name,
+    buttonTitle: env.FARCASTER_APP_BUTTON_TITLE || config.miniapp.buttonTitle,
+    description: env.FARCASTER_APP_DESCRIPTION || config.miniapp.description,
+    splashBackgroundColor: env.FARCASTER_SPLASH_BACKGROUND_COLOR || config.miniapp.splashBackgroundColor,
+    homeUrl: appUrl,
+    webhookUrl: env.FARCASTER_WEBHOOK_URL || `${appUrl}/api/webhook`,
+  };
+
+  // Absolute URLs in farcaster.json on its homeUrl host were written for the app
+  const appHosts = [hostOf(config.miniapp.homeUrl)].filter(Boolean);
+  for (const [field, name] of Object.entries(IMAGE_URL_ENV)) {
+    const value = env[name] || miniapp[field];
+    if (value) {
+      miniapp[field] = rebaseUrl(value, appUrl, appHosts);
+    }
+  }
+  if (Array.isArray(miniapp.screenshotUrls)) {
+    miniapp.screenshotUrls = miniapp.screenshotUrls.map((url) => rebaseUrl(url, appUrl, appHosts));
+  }
+
+  const hosts = [origin && new URL(origin).hostname, new URL(appUrl).hostname].filter(Boolean);
+  const accountAssociation = readAccountAssociation(associations, hosts, env);
+  return accountAssociation ? { accountAssociation, miniapp } : { miniapp };
+}
+
+module.exports = { IMAGE_URL_ENV, assembleManifest, getAppUrl };
@@ -0,0 +1,128 @@
+import { sdk, AddMiniApp, type Context } from '@farcaster/miniapp-sdk';
+
+type SdkActions = typeof sdk.actions;
+
+export const MOCKED_ACTIONS = ['composeCast', 'viewProfile', 'openUrl', 'addMiniApp'] as const;
+
+export type MockedAction = (typeof MOCKED_ACTIONS)[number];
+
+export interface MockHostOptions {
+  user: Context.UserContext;
+  /** Actions that reject as if the user dismissed them */
+  reject: MockedAction[];
+}
+
+export interface MockHostCall {
+  id: number;
+  action: MockedAction;
+  args: unknown;
+  outcome: 'resolved' | 'rejected';
+  at: number;
+}
+
+const DEFAULT_MOCK_USER: Context.UserContext = {
+  fid: 1,
+  username: 'mockuser',
+  displayName: 'Mock User',
+  pfpUrl: 'https://api.dicebear.com/9.x/identicon/svg?seed=mockuser',
+};
+
+/**
+ * The mock host only runs in development, or when NEXT_PUBLIC_ENABLE_MOCK_HOST
+ * is set so end-to-end tests can use it against a production build.
+ */
+export function isMockHostAllowed(): boolean {
+  return (
+    process.env.NODE_ENV !== 'production' ||
+    process.env.NEXT_PUBLIC_ENABLE_MOCK_HOST === 'true'
+  );
+}
+
+/**
+ * Reads mock host options from the page URL, e.g.
+ * `?mock=true&mockFid=3&mockUsername=dwr&mockReject=composeCast,openUrl`.
+ * Returns null when the mock host is not requested or not allowed.
+ */
+export function readMockHostOptions(params: URLSearchParams): MockHostOptions | null {
+  if (params.get('mock') !== 'true' || !isMockHostAllowed()) {
+    return null;
+  }
+
+  const fid = Number(params.get('mockFid'));
+  const reject = (params.get('mockReject') ?? '')
+    .split(',')
+    .map((action) => action.trim())
+    .flatMap((action) => (action === 'all' ? [...MOCKED_ACTIONS] : [action]))
+    .filter((action): action is MockedAction =>
+      (MOCKED_ACTIONS as readonly string[]).includes(action)
+    );
+
+  return {
+    user: {
+      fid: Number.isInteger(fid) && fid > 0 ? fid : DEFAULT_MOCK_USER.fid,
+      username: params.get('mockUsername') ?? DEFAULT_MOCK_USER.username,
+      displayName: params.get('mockDisplayName') ?? DEFAULT_MOCK_USER.displayName,
+      pfpUrl: params.get('mockPfpUrl') ?? DEFAULT_MOCK_USER.pfpUrl,
+    },
+    reject: [...new Set(reject)],
+  };
+}
+
+export function createMockContext(options: MockHostOptions): Context.MiniAppContext {
+  return {
+    user: options.user,
+    client: {
+      clientFid: 0,
+      added: false,
+      safeAreaInsets: { top: 0, bottom: 0, left: 0, right: 0 },
+    },
+    location: { type: 'launcher' },
+    features: { haptics: false },
+  };
+}
+
+/**
+ * Builds a stand-in for `sdk.actions` that records each mocked call through
+ * `onCall` instead of talking to a Farcaster client. `shouldReject` is read on
+ * every call so rejections can be toggled at runtime.
+ */
+export function createMockActions(
+  shouldReject: (action: MockedAction) => boolean,
+  onCall: (call: Omit<MockHostCall, 'id' | 'at'>) => void
+): SdkActions {
+  const settle = async <T>(action: MockedAction, args: unknown, result: T): Promise<T> => {
+    if (shouldReject(action)) {
+      onCall({ action, args, outcome: 'rejected' });
+      if (action === 'addMiniApp') {
+        throw new AddMiniApp.RejectedByUser();
+      }
+      throw new Error(`Mock host: ${action} rejected by user`);
+    }
+    onCall({ action, args, outcome: 'resolved' });
+    return result;
+  };
+
+  const composeCast = ((options?: Parameters<SdkActions['composeCast']>[0]) =>
+    settle('composeCast', options, options?.close
+      ? undefined
+      : {
+          cast: {
+            hash: `0x${Date.now().toString(16).padStart(40, '0')}`,
+            text: options?.text,
+            embeds: options?.embeds,
+            parent: options?.parent,
+            channelKey: options?.channelKey,
+          },
+        })) as SdkActions['composeCast'];
+
+  return {
+    ...sdk.actions,
+    ready: async () => {},
+    close: async () => {},
+    composeCast,
+    viewProfile: (options) => settle('viewProfile', options, undefined),
+    openUrl: (url) => settle('openUrl', url, undefined),
+    addMiniApp: () => settle('addMiniApp', undefined, {}),
+    addFrame: () => settle('addMiniApp', undefined, {}),
+  };
+}
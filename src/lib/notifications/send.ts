@@ -0,0 +1,201 @@
+import {
+  getNotificationStore,
+  type MiniAppUserRecord,
+  type NotificationStore,
+} from '@/lib/storage/notification-store';
+
+// Limits from the Farcaster mini app notification spec
+export const MAX_TOKENS_PER_REQUEST = 100;
+export const MAX_NOTIFICATION_ID_LENGTH = 128;
+export const MAX_TITLE_LENGTH = 32;
+export const MAX_BODY_LENGTH = 128;
+export const MAX_TARGET_URL_LENGTH = 1024;
+
+export interface SendNotificationInput {
+  title: string;
+  body: string;
+  targetUrl: string;
+  /** Used by clients to dedupe; generated when omitted */
+  notificationId?: string;
+  /** Only notify these users; defaults to everyone with notifications enabled */
+  fids?: number[];
+}
+
+export interface SendNotificationResult {
+  notificationId: string;
+  recipients: number;
+  successfulTokens: string[];
+  invalidTokens: string[];
+  rateLimitedTokens: string[];
+  failedTokens: string[];
+  /**
+   * Recipients whose token was rate limited or whose request failed. Send
+   * again later with the same notificationId and these fids; clients drop
+   * a notificationId they already showed.
+   */
+  retryFids: number[];
+}
+
+interface NotificationResponseBody {
+  result?: {
+    successfulTokens?: string[];
+    invalidTokens?: string[];
+    rateLimitedTokens?: string[];
+  };
+}
+
+/**
+ * Returns a list of problems with the input, empty when it is valid.
+ * Clients only open a targetUrl on the mini app's own domain, so it is
+ * checked against `appDomain` when one is given.
+ */
+export function validateNotification(
+  input: Partial<SendNotificationInput>,
+  appDomain?: string
+): string[] {
+  const errors: string[] = [];
+
+  if (!input.title) {
+    errors.push('title is required');
+  } else if (typeof input.title !== 'string') {
+    errors.push('title must be a string');
+  } else if (input.title.length > MAX_TITLE_LENGTH) {
+    errors.push(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+
+  if (!input.body) {
+    errors.push('body is required');
+  } else if (typeof input.body !== 'string') {
+    errors.push('body must be a string');
+  } else if (input.body.length > MAX_BODY_LENGTH) {
+    errors.push(`body must be at most ${MAX_BODY_LENGTH} characters`);
+  }
+
+  if (!input.targetUrl) {
+    errors.push('targetUrl is required');
+  } else if (typeof input.targetUrl !== 'string') {
+    errors.push('targetUrl must be a string');
+  } else if (input.targetUrl.length > MAX_TARGET_URL_LENGTH) {
+    errors.push(`targetUrl must be at most ${MAX_TARGET_URL_LENGTH} characters`);
+  } else if (!URL.canParse(input.targetUrl)) {
+    errors.push('targetUrl must be an absolute URL');
+  } else if (appDomain && new URL(input.targetUrl).host !== appDomain) {
+    errors.push(`targetUrl must be on ${appDomain}`);
+  }
+
+  if (input.notificationId !== undefined && typeof input.notificationId !== 'string') {
+    errors.push('notificationId must be a string');
+  } else if (input.notificationId && input.notificationId.length > MAX_NOTIFICATION_ID_LENGTH) {
+    errors.push(`notificationId must be at most ${MAX_NOTIFICATION_ID_LENGTH} characters`);
+  }
+
+  if (
+    input.fids !== undefined &&
+    (!Array.isArray(input.fids) ||
+      !input.fids.every((fid) => Number.isSafeInteger(fid) && fid > 0))
+  ) {
+    errors.push('fids must be a list of positive integer FIDs');
+  }
+
+  return errors;
+}
+
+/**
+ * Groups recipients by notification URL and splits each group into
+ * batches no larger than the per-request token limit.
+ */
+function batchByUrl(records: MiniAppUserRecord[]): Array<{ url: string; tokens: string[] }> {
+  const tokensByUrl = new Map<string, string[]>();
+
+  for (const record of records) {
+    if (!record.notificationUrl || !record.notificationToken) continue;
+    const tokens = tokensByUrl.get(record.notificationUrl) ?? [];
+    tokens.push(record.notificationToken);
+    tokensByUrl.set(record.notificationUrl, tokens);
+  }
+
+  const batches: Array<{ url: string; tokens: string[] }> = [];
+  tokensByUrl.forEach((tokens, url) => {
+    for (let i = 0; i < tokens.length; i += MAX_TOKENS_PER_REQUEST) {
+      batches.push({ url, tokens: tokens.slice(i, i + MAX_TOKENS_PER_REQUEST) });
+    }
+  });
+  return batches;
+}
+
+async function loadRecipients(store: NotificationStore, fids?: number[]) {
+  if (!fids?.length) {
+    return store.listNotificationsEnabled();
+  }
+
+  const unique = Array.from(new Set(fids));
+  const records = await Promise.all(unique.map((fid) => store.get(fid)));
+  return records.filter(
+    (record): record is MiniAppUserRecord => !!record?.notificationsEnabled
+  );
+}
+
+/**
+ * Sends a notification to every stored token, prunes tokens the client
+ * reports as invalid and lists the recipients to retry.
+ */
+export async function sendNotification(
+  input: SendNotificationInput,
+  store: NotificationStore = getNotificationStore()
+): Promise<SendNotificationResult> {
+  const notificationId = input.notificationId || crypto.randomUUID();
+  const recipients = await loadRecipients(store, input.fids);
+  const result: SendNotificationResult = {
+    notificationId,
+    recipients: recipients.length,
+    successfulTokens: [],
+    invalidTokens: [],
+    rateLimitedTokens: [],
+    failedTokens: [],
+    retryFids: [],
+  };
+
+  for (const { url, tokens } of batchByUrl(recipients)) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          notificationId,
+          title: input.title,
+          body: input.body,
+          targetUrl: input.targetUrl,
+          tokens,
+        }),
+      });
+
+      if (!response.ok) {
+        console.error(`Notification request to ${url} failed: ${response.status}`);
+        result.failedTokens.push(...tokens);
+        continue;
+      }
+
+      const data = (await response.json()) as NotificationResponseBody;
+      result.successfulTokens.push(...(data.result?.successfulTokens ?? []));
+      result.invalidTokens.push(...(data.result?.invalidTokens ?? []));
+      result.rateLimitedTokens.push(...(data.result?.rateLimitedTokens ?? []));
+    } catch (error) {
+      console.error(`Notification request to ${url} failed:`, error);
+      result.failedTokens.push(...tokens);
+    }
+  }
+
+  // Invalid tokens will never work again, so stop sending to them
+  const invalid = new Set(result.invalidTokens);
+  const retry = new Set([...result.rateLimitedTokens, ...result.failedTokens]);
+  for (const record of recipients) {
+    if (!record.notificationToken) continue;
+    if (invalid.has(record.notificationToken)) {
+      await store.removeNotificationToken(record.fid, record.notificationToken);
+    } else if (retry.has(record.notificationToken)) {
+      result.retryFids.push(record.fid);
+    }
+  }
+
+  return result;
+}
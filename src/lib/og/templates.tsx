@@ -0,0 +1,167 @@
+import type { ReactElement } from 'react';
+import { getUserProfile } from '@/lib/auth/profile';
+
+/** Embed images are 3:2 */
+export const OG_IMAGE_WIDTH = 1200;
+export const OG_IMAGE_HEIGHT = 800;
+
+const MAX_TEXT_LENGTH = 120;
+const MAX_STATS = 4;
+
+/**
+ * A named image template. `parse` turns the request's query params into
+ * props (it may fetch data), `render` turns props into satori-compatible JSX.
+ */
+export interface OgTemplate<Props> {
+  parse(params: URLSearchParams): Promise<Props> | Props;
+  render(props: Props): ReactElement;
+}
+
+/**
+ * A template with its props type erased, so templates with different props
+ * share one registry: query params in, JSX out
+ */
+export type OgRenderer = (params: URLSearchParams) => Promise<ReactElement>;
+
+function toRenderer<Props>(template: OgTemplate<Props>): OgRenderer {
+  return async (params) => template.render(await template.parse(params));
+}
+
+function text(params: URLSearchParams, key: string, fallback = ''): string {
+  return (params.get(key) ?? fallback).slice(0, MAX_TEXT_LENGTH);
+}
+
+const colors = {
+  background: '#0c4a6e',
+  accent: '#0ea5e9',
+  foreground: '#f8fafc',
+  muted: '#bae6fd',
+};
+
+function Frame({ children }: { children: React.ReactNode }) {
+  return (
+    <div
+      style={{
+        width: '100%',
+        height: '100%',
+        display: 'flex',
+        flexDirection: 'column',
+        justifyContent: 'center',
+        padding: 80,
+        background: `linear-gradient(135deg, ${colors.background} 0%, ${colors.accent} 100%)`,
+        color: colors.foreground,
+        fontFamily: 'sans-serif',
+      }}
+    >
+      {children}
+    </div>
+  );
+}
+
+interface DefaultProps {
+  title: string;
+  subtitle: string;
+}
+
+const defaultTemplate: OgTemplate<DefaultProps> = {
+  parse: (params) => ({
+    title: text(params, 'title', process.env.NEXT_PUBLIC_APP_NAME || 'Farcaster Mini App'),
+    subtitle: text(params, 'subtitle'),
+  }),
+  render: ({ title, subtitle }) => (
+    <Frame>
+      <div style={{ display: 'flex', fontSize: 80, fontWeight: 700, lineHeight: 1.1 }}>{title}</div>
+      {subtitle && (
+        <div style={{ display: 'flex', marginTop: 32, fontSize: 40, color: colors.muted }}>{subtitle}</div>
+      )}
+    </Frame>
+  ),
+};
+
+interface UserProps {
+  fid: number | null;
+  username?: string;
+  displayName?: string;
+  pfpUrl?: string;
+  subtitle: string;
+}
+
+const userTemplate: OgTemplate<UserProps> = {
+  parse: async (params) => {
+    const fid = Number(params.get('fid'));
+    if (!Number.isInteger(fid) || fid <= 0) {
+      return { fid: null, subtitle: text(params, 'subtitle') };
+    }
+    const profile = await getUserProfile(fid);
+    return { ...profile, subtitle: text(params, 'subtitle') };
+  },
+  render: ({ fid, username, displayName, pfpUrl, subtitle }) => (
+    <Frame>
+      <div style={{ display: 'flex', alignItems: 'center' }}>
+        {pfpUrl && (
+          <img src={pfpUrl} width={200} height={200} style={{ borderRadius: 100, marginRight: 56 }} alt="" />
+        )}
+        <div style={{ display: 'flex', flexDirection: 'column' }}>
+          <div style={{ display: 'flex', fontSize: 72, fontWeight: 700 }}>
+            {displayName || username || (fid ? `FID ${fid}` : 'Farcaster user')}
+          </div>
+          {username && (
+            <div style={{ display: 'flex', marginTop: 12, fontSize: 40, color: colors.muted }}>@{username}</div>
+          )}
+        </div>
+      </div>
+      {subtitle && (
+        <div style={{ display: 'flex', marginTop: 56, fontSize: 40 }}>{subtitle}</div>
+      )}
+    </Frame>
+  ),
+};
+
+interface StatsProps {
+  title: string;
+  stats: { label: string; value: string }[];
+}
+
+const statsTemplate: OgTemplate<StatsProps> = {
+  // ?title=Weekly&stat=Casts:42&stat=Likes:1.2k
+  parse: (params) => ({
+    title: text(params, 'title', 'Stats'),
+    stats: params
+      .getAll('stat')
+      .slice(0, MAX_STATS)
+      .map((stat) => {
+        const [label, ...value] = stat.split(':');
+        return { label: label.slice(0, 24), value: value.join(':').slice(0, 12) };
+      }),
+  }),
+  render: ({ title, stats }) => (
+    <Frame>
+      <div style={{ display: 'flex', fontSize: 64, fontWeight: 700 }}>{title}</div>
+      <div style={{ display: 'flex', marginTop: 64 }}>
+        {stats.map(({ label, value }) => (
+          <div key={label} style={{ display: 'flex', flexDirection: 'column', marginRight: 72 }}>
+            <div style={{ display: 'flex', fontSize: 88, fontWeight: 700 }}>{value}</div>
+            <div style={{ display: 'flex', fontSize: 32, color: colors.muted }}>{label}</div>
+          </div>
+        ))}
+      </div>
+    </Frame>
+  ),
+};
+
+const templates = new Map<string, OgRenderer>([
+  ['default', toRenderer(defaultTemplate)],
+  ['user', toRenderer(userTemplate)],
+  ['stats', toRenderer(statsTemplate)],
+]);
+
+/**
+ * Adds or replaces a template, addressable as `/api/og?template=<name>`
+ */
+export function registerOgTemplate<Props>(name: string, template: OgTemplate<Props>) {
+  templates.set(name, toRenderer(template));
+}
+
+export function getOgTemplate(name: string): OgRenderer | undefined {
+  return templates.get(name);
+}
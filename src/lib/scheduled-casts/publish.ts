@@ -0,0 +1,213 @@
+import {
+  CastPublishError,
+  publishCast,
+  validateCastDraft,
+  type CastDraft,
+} from '@/lib/farcaster/casts';
+import type {
+  NewScheduledCast,
+  PublishResult,
+  ScheduledCast,
+  ScheduledCastStore,
+} from '@/lib/storage/scheduled-cast-store';
+
+// Attempts at one occurrence before it is given up
+export const MAX_ATTEMPTS = 5;
+// First retry delay; doubles with each failed attempt
+export const RETRY_DELAY_MS = 60 * 1000;
+// Casts published per run, to stay inside the Worker's subrequest limit
+export const PUBLISH_BATCH_SIZE = 20;
+// Publish results kept on each record
+const MAX_RESULTS = 20;
+// Recurring casts repeat at most hourly
+const MIN_INTERVAL_MS = 60 * 60 * 1000;
+
+const INTERVAL_UNITS: Record<string, number> = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+export interface ScheduleCastInput {
+  cast: CastDraft;
+  /** ISO 8601 time of the (first) post */
+  scheduledAt: string;
+  /** Repeat interval: a number and m, h, d or w, e.g. "1d" */
+  every?: string | null;
+}
+
+export interface PublishOutcome {
+  id: string;
+  status: ScheduledCast['status'];
+  ok: boolean;
+  castHash?: string;
+  error?: string;
+  nextAttemptAt?: string;
+}
+
+/**
+ * Parses a repeat interval such as "12h" or "1w" into milliseconds, or
+ * returns null when it is not one
+ */
+export function parseInterval(every: string): number | null {
+  const match = /^(\d+)([mhdw])$/.exec(every);
+  return match ? Number(match[1]) * INTERVAL_UNITS[match[2]] : null;
+}
+
+/**
+ * Returns a list of problems with the input, empty when it is valid
+ */
+export function validateScheduleInput(input: Partial<ScheduleCastInput>): string[] {
+  const errors = input.cast && typeof input.cast === 'object'
+    ? validateCastDraft(input.cast)
+    : ['cast is required'];
+
+  if (!input.scheduledAt) {
+    errors.push('scheduledAt is required');
+  } else if (Number.isNaN(Date.parse(input.scheduledAt))) {
+    errors.push('scheduledAt must be an ISO 8601 date and time');
+  }
+
+  if (input.every) {
+    const interval = parseInterval(input.every);
+    if (interval === null) {
+      errors.push('every must be a number followed by m, h, d or w, e.g. "1d"');
+    } else if (interval < MIN_INTERVAL_MS) {
+      errors.push('every must be at least 1h');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Fills in the optional draft fields and normalizes the time for storage
+ */
+export function toNewScheduledCast(input: ScheduleCastInput): NewScheduledCast {
+  return {
+    cast: {
+      ...input.cast,
+      embeds: input.cast.embeds ?? [],
+    },
+    scheduledAt: new Date(input.scheduledAt).toISOString(),
+    every: input.every || null,
+  };
+}
+
+/**
+ * The first occurrence after `now`, skipping any that were missed
+ */
+function nextOccurrence(scheduledAt: string, every: string, now: Date): string {
+  const interval = parseInterval(every) ?? MIN_INTERVAL_MS;
+  const start = new Date(scheduledAt).getTime();
+  const missed = Math.floor((now.getTime() - start) / interval) + 1;
+  return new Date(start + Math.max(missed, 1) * interval).toISOString();
+}
+
+/**
+ * Moves a record on after an attempt: recurring casts go to their next
+ * occurrence, failures are retried with backoff until MAX_ATTEMPTS, and
+ * one-off casts end as published or failed.
+ */
+export function applyPublishResult(
+  record: ScheduledCast,
+  result: PublishResult,
+  retryable: boolean,
+  now: Date
+): ScheduledCast {
+  const updated: ScheduledCast = {
+    ...record,
+    status: 'scheduled',
+    results: [...record.results, result].slice(-MAX_RESULTS),
+    updatedAt: now.toISOString(),
+  };
+
+  if (!result.ok) {
+    const attempts = record.attempts + 1;
+    if (retryable && attempts < MAX_ATTEMPTS) {
+      const delay = RETRY_DELAY_MS * 2 ** (attempts - 1);
+      return {
+        ...updated,
+        attempts,
+        nextAttemptAt: new Date(now.getTime() + delay).toISOString(),
+      };
+    }
+    if (!record.every) {
+      return { ...updated, attempts, status: 'failed' };
+    }
+  }
+
+  if (!record.every) {
+    return { ...updated, attempts: 0, status: 'published' };
+  }
+
+  // A failed occurrence of a recurring cast is skipped, not the whole series
+  const scheduledAt = nextOccurrence(record.scheduledAt, record.every, now);
+  return {
+    ...updated,
+    attempts: 0,
+    scheduledAt,
+    nextAttemptAt: scheduledAt,
+    idempotencyKey: crypto.randomUUID(),
+  };
+}
+
+/**
+ * Publishes every cast that is due and records the results. Each cast is
+ * claimed first, so a cast cancelled or taken by another run is skipped,
+ * and its result is only saved while the claim still holds. Called by the
+ * cron trigger and by POST /api/scheduled-casts/run.
+ */
+export async function publishDueCasts({
+  store,
+  token,
+  now = new Date(),
+  publish = publishCast,
+}: {
+  store: ScheduledCastStore;
+  token: string | undefined;
+  now?: Date;
+  publish?: typeof publishCast;
+}): Promise<PublishOutcome[]> {
+  if (!token) {
+    throw new Error('FARCASTER_BEARER_TOKEN is not configured');
+  }
+
+  const outcomes: PublishOutcome[] = [];
+  for (const due of await store.listDue(now, PUBLISH_BATCH_SIZE)) {
+    const record = await store.claim(due, now);
+    if (!record) {
+      continue;
+    }
+
+    let result: PublishResult;
+    let retryable = false;
+    try {
+      const castHash = await publish(record.cast, {
+        token,
+        idempotencyKey: record.idempotencyKey,
+      });
+      result = { at: now.toISOString(), ok: true, castHash };
+    } catch (error) {
+      retryable = error instanceof CastPublishError ? error.retryable : true;
+      result = { at: now.toISOString(), ok: false, error: (error as Error).message };
+      console.error(`Scheduled cast ${record.id} failed:`, (error as Error).message);
+    }
+
+    const updated = applyPublishResult(record, result, retryable, now);
+    if (!(await store.replace(record, updated))) {
+      console.warn(`Scheduled cast ${record.id} changed while it was published; result not saved`);
+    }
+    outcomes.push({
+      id: updated.id,
+      status: updated.status,
+      ok: result.ok,
+      castHash: result.castHash,
+      error: result.error,
+      ...(updated.status === 'scheduled' && { nextAttemptAt: updated.nextAttemptAt }),
+    });
+  }
+
+  return outcomes;
+}
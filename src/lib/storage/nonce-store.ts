@@ -0,0 +1,121 @@
+import type { CloudflareEnv } from '@/../env';
+import { getCloudflareEnv } from '@/lib/cloudflare';
+
+export const NONCE_TTL_SECONDS = 5 * 60;
+
+export interface IssuedNonce {
+  nonce: string;
+  expiresAt: string;
+}
+
+/**
+ * Single-use, expiring nonces for Sign In with Farcaster
+ */
+export interface NonceStore {
+  issue(ttlSeconds?: number): Promise<IssuedNonce>;
+  /** Returns true once for a valid, unexpired nonce and false afterwards */
+  consume(nonce: string): Promise<boolean>;
+}
+
+// SIWE requires an alphanumeric nonce of at least 8 characters
+function generateNonce(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function expiryFrom(ttlSeconds: number): Date {
+  return new Date(Date.now() + ttlSeconds * 1000);
+}
+
+/**
+ * D1-backed store. Schema lives in `migrations/0002_create_auth_nonces.sql`.
+ */
+export class D1NonceStore implements NonceStore {
+  constructor(private db: D1Database) {}
+
+  async issue(ttlSeconds = NONCE_TTL_SECONDS) {
+    const nonce = generateNonce();
+    const expiresAt = expiryFrom(ttlSeconds).toISOString();
+
+    await this.db.batch([
+      this.db
+        .prepare('DELETE FROM auth_nonces WHERE expires_at <= ?')
+        .bind(new Date().toISOString()),
+      this.db
+        .prepare('INSERT INTO auth_nonces (nonce, expires_at) VALUES (?, ?)')
+        .bind(nonce, expiresAt),
+    ]);
+
+    return { nonce, expiresAt };
+  }
+
+  // A single DELETE, so two requests racing with one nonce cannot both win.
+  // KV has no conditional delete, which is why there is no KV store.
+  async consume(nonce: string) {
+    const row = await this.db
+      .prepare('DELETE FROM auth_nonces WHERE nonce = ? AND expires_at > ? RETURNING nonce')
+      .bind(nonce, new Date().toISOString())
+      .first<{ nonce: string }>();
+    return row !== null;
+  }
+}
+
+/**
+ * In-memory store for local development.
+ */
+export class MemoryNonceStore implements NonceStore {
+  private nonces = new Map<string, number>();
+
+  async issue(ttlSeconds = NONCE_TTL_SECONDS) {
+    const now = Date.now();
+    this.nonces.forEach((expiresAt, nonce) => {
+      if (expiresAt <= now) this.nonces.delete(nonce);
+    });
+
+    const nonce = generateNonce();
+    const expiresAt = expiryFrom(ttlSeconds);
+    this.nonces.set(nonce, expiresAt.getTime());
+    return { nonce, expiresAt: expiresAt.toISOString() };
+  }
+
+  async consume(nonce: string) {
+    const expiresAt = this.nonces.get(nonce);
+    this.nonces.delete(nonce);
+    return expiresAt !== undefined && expiresAt > Date.now();
+  }
+}
+
+const globalForStore = globalThis as unknown as {
+  __memoryNonceStore?: MemoryNonceStore;
+};
+
+/**
+ * Thrown outside development when there is no D1 binding for nonces
+ */
+export class NonceStoreUnavailableError extends Error {
+  constructor() {
+    super('Sign In with Farcaster needs a D1 (DB) binding to keep nonces single-use');
+    this.name = 'NonceStoreUnavailableError';
+  }
+}
+
+/**
+ * Picks the backend: D1, then in development an in-memory store; anywhere
+ * else it throws NonceStoreUnavailableError.
+ */
+export function getNonceStore(
+  env: Partial<CloudflareEnv> | undefined = getCloudflareEnv()
+): NonceStore {
+  if (env?.DB) {
+    return new D1NonceStore(env.DB);
+  }
+
+  if (process.env.NODE_ENV !== 'development') {
+    throw new NonceStoreUnavailableError();
+  }
+
+  if (!globalForStore.__memoryNonceStore) {
+    globalForStore.__memoryNonceStore = new MemoryNonceStore();
+  }
+  return globalForStore.__memoryNonceStore;
+}
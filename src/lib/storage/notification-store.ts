@@ -0,0 +1,294 @@
+import type { CloudflareEnv } from '@/../env';
+import { getCloudflareEnv } from '@/lib/cloudflare';
+
+export interface NotificationDetails {
+  url: string;
+  token: string;
+}
+
+/**
+ * Per-FID install and notification state recorded from webhook events
+ */
+export interface MiniAppUserRecord {
+  fid: number;
+  added: boolean;
+  notificationsEnabled: boolean;
+  notificationUrl: string | null;
+  notificationToken: string | null;
+  updatedAt: string;
+}
+
+export interface NotificationStore {
+  get(fid: number): Promise<MiniAppUserRecord | null>;
+  listNotificationsEnabled(): Promise<MiniAppUserRecord[]>;
+  markAdded(fid: number, details?: NotificationDetails | null): Promise<MiniAppUserRecord>;
+  markRemoved(fid: number): Promise<MiniAppUserRecord>;
+  enableNotifications(fid: number, details: NotificationDetails): Promise<MiniAppUserRecord>;
+  disableNotifications(fid: number): Promise<MiniAppUserRecord>;
+  /** Disables notifications only while `token` is still the stored token */
+  removeNotificationToken(fid: number, token: string): Promise<MiniAppUserRecord | null>;
+}
+
+function emptyRecord(fid: number): MiniAppUserRecord {
+  return {
+    fid,
+    added: false,
+    notificationsEnabled: false,
+    notificationUrl: null,
+    notificationToken: null,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Shared state transitions; backends only need to load and save records.
+ */
+abstract class BaseNotificationStore implements NotificationStore {
+  abstract get(fid: number): Promise<MiniAppUserRecord | null>;
+  abstract listNotificationsEnabled(): Promise<MiniAppUserRecord[]>;
+  protected abstract save(record: MiniAppUserRecord): Promise<void>;
+
+  private async update(
+    fid: number,
+    changes: Partial<Omit<MiniAppUserRecord, 'fid' | 'updatedAt'>>
+  ): Promise<MiniAppUserRecord> {
+    const current = (await this.get(fid)) ?? emptyRecord(fid);
+    const record: MiniAppUserRecord = {
+      ...current,
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    };
+    await this.save(record);
+    return record;
+  }
+
+  markAdded(fid: number, details?: NotificationDetails | null) {
+    return this.update(fid, {
+      added: true,
+      ...(details
+        ? {
+            notificationsEnabled: true,
+            notificationUrl: details.url,
+            notificationToken: details.token,
+          }
+        : {}),
+    });
+  }
+
+  markRemoved(fid: number) {
+    return this.update(fid, {
+      added: false,
+      notificationsEnabled: false,
+      notificationUrl: null,
+      notificationToken: null,
+    });
+  }
+
+  enableNotifications(fid: number, details: NotificationDetails) {
+    return this.update(fid, {
+      notificationsEnabled: true,
+      notificationUrl: details.url,
+      notificationToken: details.token,
+    });
+  }
+
+  disableNotifications(fid: number) {
+    return this.update(fid, {
+      notificationsEnabled: false,
+      notificationUrl: null,
+      notificationToken: null,
+    });
+  }
+
+  // The user may have re-enabled notifications with a new token since
+  async removeNotificationToken(fid: number, token: string) {
+    const current = await this.get(fid);
+    if (current?.notificationToken !== token) {
+      return current;
+    }
+    return this.disableNotifications(fid);
+  }
+}
+
+interface MiniAppUserRow {
+  fid: number;
+  added: number;
+  notifications_enabled: number;
+  notification_url: string | null;
+  notification_token: string | null;
+  updated_at: string;
+}
+
+function fromRow(row: MiniAppUserRow): MiniAppUserRecord {
+  return {
+    fid: row.fid,
+    added: row.added === 1,
+    notificationsEnabled: row.notifications_enabled === 1,
+    notificationUrl: row.notification_url,
+    notificationToken: row.notification_token,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * D1-backed store. Schema lives in `migrations/0001_create_miniapp_users.sql`.
+ */
+export class D1NotificationStore extends BaseNotificationStore {
+  constructor(private db: D1Database) {
+    super();
+  }
+
+  async get(fid: number) {
+    const row = await this.db
+      .prepare('SELECT * FROM miniapp_users WHERE fid = ?')
+      .bind(fid)
+      .first<MiniAppUserRow>();
+    return row ? fromRow(row) : null;
+  }
+
+  async listNotificationsEnabled() {
+    const { results } = await this.db
+      .prepare('SELECT * FROM miniapp_users WHERE notifications_enabled = 1')
+      .all<MiniAppUserRow>();
+    return results.map(fromRow);
+  }
+
+  protected async save(record: MiniAppUserRecord) {
+    await this.db
+      .prepare(
+        `INSERT INTO miniapp_users (fid, added, notifications_enabled, notification_url, notification_token, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(fid) DO UPDATE SET
+           added = excluded.added,
+           notifications_enabled = excluded.notifications_enabled,
+           notification_url = excluded.notification_url,
+           notification_token = excluded.notification_token,
+           updated_at = excluded.updated_at`
+      )
+      .bind(
+        record.fid,
+        record.added ? 1 : 0,
+        record.notificationsEnabled ? 1 : 0,
+        record.notificationUrl,
+        record.notificationToken,
+        record.updatedAt
+      )
+      .run();
+  }
+}
+
+const KV_PREFIX = 'miniapp-user:';
+
+/**
+ * Metadata on each KV key, so listing skips users without notifications
+ */
+interface MiniAppUserIndex {
+  notificationsEnabled: boolean;
+}
+
+/**
+ * KV-backed store, one JSON value per FID. Each key carries whether
+ * notifications are enabled as metadata, so listNotificationsEnabled only
+ * reads the records it returns.
+ */
+export class KVNotificationStore extends BaseNotificationStore {
+  constructor(private kv: KVNamespace) {
+    super();
+  }
+
+  get(fid: number) {
+    return this.kv.get<MiniAppUserRecord>(`${KV_PREFIX}${fid}`, 'json');
+  }
+
+  async listNotificationsEnabled() {
+    const records: MiniAppUserRecord[] = [];
+    let cursor: string | undefined;
+
+    do {
+      const page = await this.kv.list<MiniAppUserIndex>({ prefix: KV_PREFIX, cursor });
+      for (const key of page.keys) {
+        if (key.metadata && !key.metadata.notificationsEnabled) {
+          continue;
+        }
+        const record = await this.kv.get<MiniAppUserRecord>(key.name, 'json');
+        if (record?.notificationsEnabled) {
+          records.push(record);
+        }
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+
+    return records;
+  }
+
+  protected async save(record: MiniAppUserRecord) {
+    await this.kv.put(`${KV_PREFIX}${record.fid}`, JSON.stringify(record), {
+      metadata: {
+        notificationsEnabled: record.notificationsEnabled,
+      } satisfies MiniAppUserIndex,
+    });
+  }
+}
+
+/**
+ * In-memory store for local development. State is lost on restart.
+ */
+export class MemoryNotificationStore extends BaseNotificationStore {
+  constructor(private records = new Map<number, MiniAppUserRecord>()) {
+    super();
+  }
+
+  async get(fid: number) {
+    return this.records.get(fid) ?? null;
+  }
+
+  async listNotificationsEnabled() {
+    return Array.from(this.records.values()).filter(
+      (record) => record.notificationsEnabled
+    );
+  }
+
+  protected async save(record: MiniAppUserRecord) {
+    this.records.set(record.fid, record);
+  }
+}
+
+// Keep the local store on globalThis so it survives dev-server module reloads
+const globalForStore = globalThis as unknown as {
+  __memoryNotificationStore?: MemoryNotificationStore;
+};
+
+/**
+ * Thrown outside development when there is no binding to keep users in
+ */
+export class NotificationStoreUnavailableError extends Error {
+  constructor() {
+    super('Notifications need a D1 (DB) or KV (MY_KV) binding');
+    this.name = 'NotificationStoreUnavailableError';
+  }
+}
+
+/**
+ * Picks the best available backend: D1, then KV, then in development an
+ * in-memory store; anywhere else it throws NotificationStoreUnavailableError.
+ */
+export function getNotificationStore(
+  env: Partial<CloudflareEnv> | undefined = getCloudflareEnv()
+): NotificationStore {
+  if (env?.DB) {
+    return new D1NotificationStore(env.DB);
+  }
+
+  if (env?.MY_KV) {
+    return new KVNotificationStore(env.MY_KV);
+  }
+
+  if (process.env.NODE_ENV !== 'development') {
+    throw new NotificationStoreUnavailableError();
+  }
+
+  if (!globalForStore.__memoryNotificationStore) {
+    globalForStore.__memoryNotificationStore = new MemoryNotificationStore();
+  }
+  return globalForStore.__memoryNotificationStore;
+}
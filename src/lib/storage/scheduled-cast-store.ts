@@ -0,0 +1,452 @@
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import type { CloudflareEnv } from '@/../env';
+import { getCloudflareEnv } from '@/lib/cloudflare';
+import type { CastDraft } from '@/lib/farcaster/casts';
+
+export type ScheduledCastStatus = 'scheduled' | 'publishing' | 'published' | 'failed' | 'cancelled';
+
+// A cast left 'publishing' this long (the run died mid-post) is due again
+export const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * One publish attempt, kept on the record as its history
+ */
+export interface PublishResult {
+  at: string;
+  ok: boolean;
+  castHash?: string;
+  error?: string;
+}
+
+/**
+ * A cast waiting to be published by the cron trigger
+ */
+export interface ScheduledCast {
+  id: string;
+  cast: CastDraft;
+  status: ScheduledCastStatus;
+  /** The occurrence being published */
+  scheduledAt: string;
+  /** When to try next: `scheduledAt`, or later while retrying */
+  nextAttemptAt: string;
+  /** Repeat interval such as "1d"; null for a one-off cast */
+  every: string | null;
+  /** Failed attempts at the current occurrence */
+  attempts: number;
+  /** Shared by every attempt at one occurrence, so a retry is never posted twice */
+  idempotencyKey: string;
+  results: PublishResult[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * The fields that decide when a cast is due
+ */
+type ScheduledCastIndex = Pick<ScheduledCast, 'status' | 'nextAttemptAt' | 'updatedAt'>;
+
+export interface NewScheduledCast {
+  cast: CastDraft;
+  scheduledAt: string;
+  every?: string | null;
+}
+
+export interface ScheduledCastStore {
+  get(id: string): Promise<ScheduledCast | null>;
+  /** All casts, or those with the given status, soonest first */
+  list(status?: ScheduledCastStatus): Promise<ScheduledCast[]>;
+  /** Scheduled casts whose next attempt is due, and stale claims */
+  listDue(now: Date, limit: number): Promise<ScheduledCast[]>;
+  create(input: NewScheduledCast): Promise<ScheduledCast>;
+  /**
+   * Stops a scheduled cast. Casts that already finished come back unchanged;
+   * null means there is no such cast.
+   */
+  cancel(id: string): Promise<ScheduledCast | null>;
+  /**
+   * Marks a due cast as 'publishing' so no other run posts it. Null means
+   * it was cancelled, changed or claimed since it was listed.
+   */
+  claim(record: ScheduledCast, now: Date): Promise<ScheduledCast | null>;
+  /**
+   * Saves `record` only if the stored cast still has the status, next
+   * attempt and update time of `expected`; returns whether it was saved.
+   */
+  replace(expected: ScheduledCast, record: ScheduledCast): Promise<boolean>;
+  save(record: ScheduledCast): Promise<void>;
+}
+
+function bySchedule(a: ScheduledCast, b: ScheduledCast) {
+  return a.nextAttemptAt.localeCompare(b.nextAttemptAt);
+}
+
+function isUnchanged(stored: ScheduledCast | null, expected: ScheduledCast) {
+  return (
+    stored?.status === expected.status &&
+    stored.nextAttemptAt === expected.nextAttemptAt &&
+    stored.updatedAt === expected.updatedAt
+  );
+}
+
+function isDue(record: ScheduledCastIndex, now: Date) {
+  if (record.status === 'publishing') {
+    return new Date(record.updatedAt).getTime() <= now.getTime() - CLAIM_TIMEOUT_MS;
+  }
+  return record.status === 'scheduled' && new Date(record.nextAttemptAt) <= now;
+}
+
+/**
+ * Shared record handling; backends only need to load and save records.
+ * `replace` reads and then writes, so only D1, which overrides it with a
+ * conditional UPDATE, is safe against a concurrent write.
+ */
+abstract class BaseScheduledCastStore implements ScheduledCastStore {
+  abstract get(id: string): Promise<ScheduledCast | null>;
+  abstract list(status?: ScheduledCastStatus): Promise<ScheduledCast[]>;
+  abstract save(record: ScheduledCast): Promise<void>;
+
+  async listDue(now: Date, limit: number) {
+    const due = (await this.list()).filter((record) => isDue(record, now));
+    return due.slice(0, limit);
+  }
+
+  async replace(expected: ScheduledCast, record: ScheduledCast) {
+    if (!isUnchanged(await this.get(expected.id), expected)) {
+      return false;
+    }
+    await this.save(record);
+    return true;
+  }
+
+  async claim(record: ScheduledCast, now: Date) {
+    const claimed: ScheduledCast = {
+      ...record,
+      status: 'publishing',
+      updatedAt: now.toISOString(),
+    };
+    return (await this.replace(record, claimed)) ? claimed : null;
+  }
+
+  async create({ cast, scheduledAt, every = null }: NewScheduledCast) {
+    const now = new Date().toISOString();
+    const record: ScheduledCast = {
+      id: crypto.randomUUID(),
+      cast,
+      status: 'scheduled',
+      scheduledAt,
+      nextAttemptAt: scheduledAt,
+      every,
+      attempts: 0,
+      idempotencyKey: crypto.randomUUID(),
+      results: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+    await this.save(record);
+    return record;
+  }
+
+  async cancel(id: string) {
+    const record = await this.get(id);
+    if (!record || record.status !== 'scheduled') {
+      return record;
+    }
+
+    const cancelled: ScheduledCast = {
+      ...record,
+      status: 'cancelled',
+      updatedAt: new Date().toISOString(),
+    };
+    // Claimed by a publish run in the meantime: report it as it is now
+    return (await this.replace(record, cancelled)) ? cancelled : this.get(id);
+  }
+}
+
+interface ScheduledCastRow {
+  id: string;
+  status: ScheduledCastStatus;
+  scheduled_at: string;
+  next_attempt_at: string;
+  every: string | null;
+  attempts: number;
+  idempotency_key: string;
+  cast_draft: string;
+  results: string;
+  created_at: string;
+  updated_at: string;
+}
+
+function fromRow(row: ScheduledCastRow): ScheduledCast {
+  return {
+    id: row.id,
+    cast: JSON.parse(row.cast_draft) as CastDraft,
+    status: row.status,
+    scheduledAt: row.scheduled_at,
+    nextAttemptAt: row.next_attempt_at,
+    every: row.every,
+    attempts: row.attempts,
+    idempotencyKey: row.idempotency_key,
+    results: JSON.parse(row.results) as PublishResult[],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * D1-backed store. Schema lives in `migrations/0003_create_scheduled_casts.sql`.
+ */
+export class D1ScheduledCastStore extends BaseScheduledCastStore {
+  constructor(private db: D1Database) {
+    super();
+  }
+
+  async get(id: string) {
+    const row = await this.db
+      .prepare('SELECT * FROM scheduled_casts WHERE id = ?')
+      .bind(id)
+      .first<ScheduledCastRow>();
+    return row ? fromRow(row) : null;
+  }
+
+  async list(status?: ScheduledCastStatus) {
+    const statement = status
+      ? this.db
+          .prepare('SELECT * FROM scheduled_casts WHERE status = ? ORDER BY next_attempt_at')
+          .bind(status)
+      : this.db.prepare('SELECT * FROM scheduled_casts ORDER BY next_attempt_at');
+    const { results } = await statement.all<ScheduledCastRow>();
+    return results.map(fromRow);
+  }
+
+  async listDue(now: Date, limit: number) {
+    const { results } = await this.db
+      .prepare(
+        `SELECT * FROM scheduled_casts
+         WHERE (status = 'scheduled' AND next_attempt_at <= ?)
+            OR (status = 'publishing' AND updated_at <= ?)
+         ORDER BY next_attempt_at
+         LIMIT ?`
+      )
+      .bind(
+        now.toISOString(),
+        new Date(now.getTime() - CLAIM_TIMEOUT_MS).toISOString(),
+        limit
+      )
+      .all<ScheduledCastRow>();
+    return results.map(fromRow);
+  }
+
+  async replace(expected: ScheduledCast, record: ScheduledCast) {
+    const { meta } = await this.db
+      .prepare(
+        `UPDATE scheduled_casts SET
+           status = ?,
+           scheduled_at = ?,
+           next_attempt_at = ?,
+           every = ?,
+           attempts = ?,
+           idempotency_key = ?,
+           cast_draft = ?,
+           results = ?,
+           updated_at = ?
+         WHERE id = ? AND status = ? AND next_attempt_at = ? AND updated_at = ?`
+      )
+      .bind(
+        record.status,
+        record.scheduledAt,
+        record.nextAttemptAt,
+        record.every,
+        record.attempts,
+        record.idempotencyKey,
+        JSON.stringify(record.cast),
+        JSON.stringify(record.results),
+        record.updatedAt,
+        expected.id,
+        expected.status,
+        expected.nextAttemptAt,
+        expected.updatedAt
+      )
+      .run();
+    return meta.changes > 0;
+  }
+
+  async save(record: ScheduledCast) {
+    await this.db
+      .prepare(
+        `INSERT INTO scheduled_casts (id, status, scheduled_at, next_attempt_at, every, attempts, idempotency_key, cast_draft, results, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(id) DO UPDATE SET
+           status = excluded.status,
+           scheduled_at = excluded.scheduled_at,
+           next_attempt_at = excluded.next_attempt_at,
+           every = excluded.every,
+           attempts = excluded.attempts,
+           idempotency_key = excluded.idempotency_key,
+           cast_draft = excluded.cast_draft,
+           results = excluded.results,
+           updated_at = excluded.updated_at`
+      )
+      .bind(
+        record.id,
+        record.status,
+        record.scheduledAt,
+        record.nextAttemptAt,
+        record.every,
+        record.attempts,
+        record.idempotencyKey,
+        JSON.stringify(record.cast),
+        JSON.stringify(record.results),
+        record.createdAt,
+        record.updatedAt
+      )
+      .run();
+  }
+}
+
+const KV_PREFIX = 'scheduled-cast:';
+// Published, failed and cancelled casts are kept this long, then expire
+const KV_FINISHED_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * KV-backed store, one JSON value per scheduled cast. Each key carries the
+ * cast's status and times as metadata, so listDue only reads the casts
+ * that are due.
+ */
+export class KVScheduledCastStore extends BaseScheduledCastStore {
+  constructor(private kv: KVNamespace) {
+    super();
+  }
+
+  private async listKeys() {
+    const keys: KVNamespaceListKey<ScheduledCastIndex>[] = [];
+    let cursor: string | undefined;
+
+    do {
+      const page = await this.kv.list<ScheduledCastIndex>({ prefix: KV_PREFIX, cursor });
+      keys.push(...page.keys);
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+
+    return keys;
+  }
+
+  get(id: string) {
+    return this.kv.get<ScheduledCast>(`${KV_PREFIX}${id}`, 'json');
+  }
+
+  async list(status?: ScheduledCastStatus) {
+    const records: ScheduledCast[] = [];
+    for (const key of await this.listKeys()) {
+      if (status && key.metadata && key.metadata.status !== status) {
+        continue;
+      }
+      const record = await this.kv.get<ScheduledCast>(key.name, 'json');
+      if (record && (!status || record.status === status)) {
+        records.push(record);
+      }
+    }
+    return records.sort(bySchedule);
+  }
+
+  async listDue(now: Date, limit: number) {
+    const due: ScheduledCast[] = [];
+    for (const key of await this.listKeys()) {
+      if (key.metadata && !isDue(key.metadata, now)) {
+        continue;
+      }
+      const record = await this.kv.get<ScheduledCast>(key.name, 'json');
+      if (record && isDue(record, now)) {
+        due.push(record);
+      }
+    }
+    return due.sort(bySchedule).slice(0, limit);
+  }
+
+  async save(record: ScheduledCast) {
+    const finished = record.status !== 'scheduled' && record.status !== 'publishing';
+    await this.kv.put(`${KV_PREFIX}${record.id}`, JSON.stringify(record), {
+      metadata: {
+        status: record.status,
+        nextAttemptAt: record.nextAttemptAt,
+        updatedAt: record.updatedAt,
+      } satisfies ScheduledCastIndex,
+      ...(finished && { expirationTtl: KV_FINISHED_TTL_SECONDS }),
+    });
+  }
+}
+
+/**
+ * JSON file store for local development (`next dev` and the CLI), so
+ * schedules survive restarts. Not available in the Workers runtime.
+ */
+export class FileScheduledCastStore extends BaseScheduledCastStore {
+  constructor(private path: string) {
+    super();
+  }
+
+  private async load(): Promise<ScheduledCast[]> {
+    try {
+      return JSON.parse(await readFile(this.path, 'utf8')) as ScheduledCast[];
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async get(id: string) {
+    return (await this.load()).find((record) => record.id === id) ?? null;
+  }
+
+  async list(status?: ScheduledCastStatus) {
+    const records = await this.load();
+    return records.filter((record) => !status || record.status === status).sort(bySchedule);
+  }
+
+  async save(record: ScheduledCast) {
+    const records = (await this.load()).filter((existing) => existing.id !== record.id);
+    records.push(record);
+    await mkdir(dirname(this.path), { recursive: true });
+    await writeFile(this.path, `${JSON.stringify(records, null, 2)}\n`);
+  }
+}
+
+export const DEFAULT_SCHEDULED_CASTS_FILE = '.data/scheduled-casts.json';
+
+/**
+ * Thrown outside development when there is no binding to keep the schedule in
+ */
+export class ScheduledCastStoreUnavailableError extends Error {
+  constructor() {
+    super('Scheduled casts need a D1 (DB) or KV (MY_KV) binding');
+    this.name = 'ScheduledCastStoreUnavailableError';
+  }
+}
+
+/**
+ * Picks the best available backend: D1, then KV, then in development the
+ * local file (SCHEDULED_CASTS_FILE); anywhere else it throws
+ * ScheduledCastStoreUnavailableError. The cron handler passes its own
+ * bindings.
+ */
+export function getScheduledCastStore(
+  env: Partial<CloudflareEnv> | undefined = getCloudflareEnv()
+): ScheduledCastStore {
+  if (env?.DB) {
+    return new D1ScheduledCastStore(env.DB);
+  }
+
+  if (env?.MY_KV) {
+    return new KVScheduledCastStore(env.MY_KV);
+  }
+
+  if (process.env.NODE_ENV !== 'development') {
+    throw new ScheduledCastStoreUnavailableError();
+  }
+
+  return new FileScheduledCastStore(
+    resolve(process.env.SCHEDULED_CASTS_FILE || DEFAULT_SCHEDULED_CASTS_FILE)
+  );
+}
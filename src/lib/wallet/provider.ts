@@ -0,0 +1,145 @@
+import { sdk } from '@farcaster/miniapp-sdk';
+import { hexlify, toQuantity, toUtf8Bytes, TypedDataEncoder, type TypedDataDomain, type TypedDataField } from 'ethers';
+
+/**
+ * Minimal EIP-1193 provider surface used by the wallet hooks
+ */
+export interface Eip1193Provider {
+  request(args: { method: string; params?: unknown[] | Record<string, unknown> }): Promise<unknown>;
+  on?(event: string, listener: (...args: any[]) => void): void;
+  removeListener?(event: string, listener: (...args: any[]) => void): void;
+}
+
+export type WalletSource = 'miniapp' | 'injected';
+
+export interface ResolvedProvider {
+  provider: Eip1193Provider;
+  source: WalletSource;
+}
+
+export interface TypedDataInput {
+  domain: TypedDataDomain;
+  types: Record<string, TypedDataField[]>;
+  primaryType?: string;
+  message: Record<string, unknown>;
+}
+
+export interface TransactionRequest {
+  to: string;
+  value?: bigint;
+  data?: string;
+  gas?: bigint;
+}
+
+export class WalletError extends Error {
+  constructor(message: string, public code?: number) {
+    super(message);
+    this.name = 'WalletError';
+  }
+}
+
+/** EIP-1193 error code for a request the user rejected */
+export const USER_REJECTED_CODE = 4001;
+
+const EIP6963_DISCOVERY_TIMEOUT_MS = 200;
+
+declare global {
+  interface Window {
+    ethereum?: Eip1193Provider;
+  }
+}
+
+/**
+ * Asks EIP-6963 wallets to announce themselves and returns the first one.
+ */
+function discoverInjectedProvider(): Promise<Eip1193Provider | null> {
+  return new Promise((resolve) => {
+    const onAnnounce = (event: Event) => {
+      const { provider } = (event as CustomEvent<{ provider: Eip1193Provider }>).detail;
+      cleanup();
+      resolve(provider);
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      resolve(null);
+    }, EIP6963_DISCOVERY_TIMEOUT_MS);
+    const cleanup = () => {
+      clearTimeout(timer);
+      window.removeEventListener('eip6963:announceProvider', onAnnounce);
+    };
+
+    window.addEventListener('eip6963:announceProvider', onAnnounce);
+    window.dispatchEvent(new Event('eip6963:requestProvider'));
+  });
+}
+
+/**
+ * Resolves the Ethereum provider for the current environment: the Farcaster
+ * client's embedded wallet inside a mini app, otherwise an injected browser
+ * wallet. Returns null when neither is available. `hasEmbeddedWallet` comes
+ * from the FarcasterProvider, which has already asked the SDK.
+ */
+export async function resolveEthereumProvider(
+  hasEmbeddedWallet: boolean
+): Promise<ResolvedProvider | null> {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+
+  if (hasEmbeddedWallet) {
+    const provider = await sdk.wallet.getEthereumProvider();
+    if (provider) {
+      return { provider: provider as unknown as Eip1193Provider, source: 'miniapp' };
+    }
+  }
+
+  const injected = window.ethereum ?? (await discoverInjectedProvider());
+  return injected ? { provider: injected, source: 'injected' } : null;
+}
+
+/**
+ * Runs an RPC request, normalizing provider errors to WalletError
+ */
+export async function request<T>(
+  provider: Eip1193Provider,
+  method: string,
+  params?: unknown[]
+): Promise<T> {
+  try {
+    return (await provider.request({ method, params })) as T;
+  } catch (error) {
+    const { code, message } = (error ?? {}) as { code?: number; message?: string };
+    throw new WalletError(message || `${method} failed`, code);
+  }
+}
+
+export function toHexChainId(chainId: number): string {
+  return toQuantity(chainId);
+}
+
+export function encodePersonalMessage(message: string): string {
+  return hexlify(toUtf8Bytes(message));
+}
+
+/**
+ * Builds the JSON payload for eth_signTypedData_v4, including the
+ * EIP712Domain type and bigint serialization.
+ */
+export function encodeTypedData({ domain, types, primaryType, message }: TypedDataInput): string {
+  const { EIP712Domain: _domainType, ...messageTypes } = types;
+  const payload = TypedDataEncoder.getPayload(domain, messageTypes, message);
+  if (primaryType && payload.primaryType !== primaryType) {
+    throw new WalletError(`Typed data primary type is ${payload.primaryType}, expected ${primaryType}`);
+  }
+  return JSON.stringify(payload);
+}
+
+export function encodeTransaction(from: string, tx: TransactionRequest) {
+  return {
+    from,
+    to: tx.to,
+    ...(tx.value !== undefined && { value: toQuantity(tx.value) }),
+    ...(tx.data && { data: tx.data }),
+    ...(tx.gas !== undefined && { gas: toQuantity(tx.gas) }),
+  };
+}
@@ -0,0 +1,79 @@
+import type { NotificationDetails } from '@/lib/storage/notification-store';
+
+export interface MiniAppAddedEvent {
+  event: 'miniapp_added';
+  notificationDetails?: NotificationDetails;
+}
+
+export interface MiniAppRemovedEvent {
+  event: 'miniapp_removed';
+}
+
+export interface NotificationsEnabledEvent {
+  event: 'notifications_enabled';
+  notificationDetails: NotificationDetails;
+}
+
+export interface NotificationsDisabledEvent {
+  event: 'notifications_disabled';
+}
+
+/**
+ * Events a Farcaster client posts to the manifest's `webhookUrl`
+ */
+export type MiniAppWebhookEvent =
+  | MiniAppAddedEvent
+  | MiniAppRemovedEvent
+  | NotificationsEnabledEvent
+  | NotificationsDisabledEvent;
+
+export type MiniAppWebhookEventType = MiniAppWebhookEvent['event'];
+
+// Frames v2 clients still send the old names
+const LEGACY_EVENT_NAMES: Record<string, MiniAppWebhookEventType> = {
+  frame_added: 'miniapp_added',
+  frame_removed: 'miniapp_removed',
+};
+
+function parseNotificationDetails(value: unknown): NotificationDetails | undefined {
+  const details = value as Partial<NotificationDetails> | null | undefined;
+  if (typeof details?.url === 'string' && typeof details?.token === 'string') {
+    return { url: details.url, token: details.token };
+  }
+  return undefined;
+}
+
+/**
+ * Normalizes a verified JFS payload into a typed event, mapping legacy
+ * `frame_*` names. Returns null for unknown or malformed events.
+ */
+export function parseWebhookEvent(payload: unknown): MiniAppWebhookEvent | null {
+  const raw = payload as { event?: unknown; notificationDetails?: unknown } | null;
+  if (typeof raw?.event !== 'string') {
+    return null;
+  }
+
+  const name = LEGACY_EVENT_NAMES[raw.event] ?? raw.event;
+  const notificationDetails = parseNotificationDetails(raw.notificationDetails);
+
+  switch (name) {
+    case 'miniapp_added':
+      return notificationDetails
+        ? { event: 'miniapp_added', notificationDetails }
+        : { event: 'miniapp_added' };
+
+    case 'miniapp_removed':
+      return { event: 'miniapp_removed' };
+
+    case 'notifications_enabled':
+      return notificationDetails
+        ? { event: 'notifications_enabled', notificationDetails }
+        : null;
+
+    case 'notifications_disabled':
+      return { event: 'notifications_disabled' };
+
+    default:
+      return null;
+  }
+}
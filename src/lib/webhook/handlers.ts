@@ -0,0 +1,46 @@
+import type { MiniAppWebhookEvent, MiniAppWebhookEventType } from '@/lib/webhook/events';
+
+export interface WebhookEventContext {
+  fid: number;
+  appKey: string;
+}
+
+export type WebhookEventHandler<T extends MiniAppWebhookEventType = MiniAppWebhookEventType> = (
+  event: Extract<MiniAppWebhookEvent, { event: T }>,
+  context: WebhookEventContext
+) => void | Promise<void>;
+
+/**
+ * Subscribers for verified webhook events. Handlers run in registration
+ * order; a throwing handler fails the request so the client retries.
+ */
+export class WebhookHandlerRegistry {
+  private handlers = new Map<MiniAppWebhookEventType, WebhookEventHandler<any>[]>();
+
+  /**
+   * Subscribe to an event type. Returns a function that unsubscribes.
+   */
+  on<T extends MiniAppWebhookEventType>(type: T, handler: WebhookEventHandler<T>): () => void {
+    const handlers = this.handlers.get(type) ?? [];
+    handlers.push(handler);
+    this.handlers.set(type, handlers);
+    return () => this.off(type, handler);
+  }
+
+  off<T extends MiniAppWebhookEventType>(type: T, handler: WebhookEventHandler<T>): void {
+    const handlers = this.handlers.get(type);
+    if (handlers) {
+      this.handlers.set(type, handlers.filter((existing) => existing !== handler));
+    }
+  }
+
+  async dispatch(event: MiniAppWebhookEvent, context: WebhookEventContext): Promise<number> {
+    const handlers = this.handlers.get(event.event) ?? [];
+    for (const handler of handlers) {
+      await handler(event, context);
+    }
+    return handlers.length;
+  }
+}
+
+export const webhookHandlers = new WebhookHandlerRegistry();
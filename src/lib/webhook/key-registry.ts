@@ -0,0 +1,95 @@
+/**
+ * Looks up whether an app key is an active signer for a Farcaster account.
+ * Webhook events are only trusted when the signing key belongs to the FID
+ * in the JFS header.
+ */
+export interface KeyRegistry {
+  isActiveAppKey(fid: number, appKey: string): Promise<boolean>;
+}
+
+interface OnChainSignerEvent {
+  signerEventBody?: {
+    key?: string;
+    eventType?: string;
+  };
+}
+
+const NEYNAR_HUB_URL = 'https://hub-api.neynar.com';
+
+/**
+ * Checks on-chain signer events through a Farcaster hub HTTP API
+ * (Neynar's hub by default).
+ */
+export class HubKeyRegistry implements KeyRegistry {
+  constructor(
+    private apiKey: string,
+    private hubUrl: string = NEYNAR_HUB_URL
+  ) {}
+
+  async isActiveAppKey(fid: number, appKey: string): Promise<boolean> {
+    const url = new URL('/v1/onChainSignersByFid', this.hubUrl);
+    url.searchParams.set('fid', String(fid));
+    url.searchParams.set('signer', appKey);
+
+    const response = await fetch(url, {
+      headers: { 'x-api-key': this.apiKey },
+    });
+
+    // Hubs answer 404 when the key was never registered for this FID
+    if (response.status === 404) {
+      return false;
+    }
+    if (!response.ok) {
+      throw new Error(`Hub signer lookup failed: ${response.status} ${response.statusText}`);
+    }
+
+    const data = (await response.json()) as OnChainSignerEvent & { events?: OnChainSignerEvent[] };
+    const events = data.events ?? [data];
+    return events.some(
+      (event) =>
+        event.signerEventBody?.key?.toLowerCase() === appKey.toLowerCase() &&
+        event.signerEventBody?.eventType === 'SIGNER_EVENT_TYPE_ADD'
+    );
+  }
+}
+
+/**
+ * Static FID → app keys map for local development and tests.
+ */
+export class FixtureKeyRegistry implements KeyRegistry {
+  private keys: Map<number, Set<string>>;
+
+  constructor(fixtures: Record<string, string[]> = {}) {
+    this.keys = new Map(
+      Object.entries(fixtures).map(([fid, keys]) => [
+        Number(fid),
+        new Set(keys.map((key) => key.toLowerCase())),
+      ])
+    );
+  }
+
+  async isActiveAppKey(fid: number, appKey: string): Promise<boolean> {
+    return this.keys.get(fid)?.has(appKey.toLowerCase()) ?? false;
+  }
+}
+
+function parseFixtures(value: string | undefined): Record<string, string[]> {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch {
+    console.error('FARCASTER_APP_KEY_FIXTURES is not valid JSON, ignoring it');
+    return {};
+  }
+}
+
+/**
+ * Uses the hub registry when NEYNAR_API_KEY is set, otherwise the fixture
+ * registry from FARCASTER_APP_KEY_FIXTURES (which rejects every key when unset).
+ */
+export function getKeyRegistry(): KeyRegistry {
+  if (process.env.NEYNAR_API_KEY) {
+    return new HubKeyRegistry(process.env.NEYNAR_API_KEY, process.env.FARCASTER_HUB_URL);
+  }
+  return new FixtureKeyRegistry(parseFixtures(process.env.FARCASTER_APP_KEY_FIXTURES));
+}
@@ -0,0 +1,32 @@
+import { getNotificationStore } from '@/lib/storage/notification-store';
+import { webhookHandlers } from '@/lib/webhook/handlers';
+
+/**
+ * Webhook event subscribers, loaded once by the webhook route.
+ *
+ * Apps built on this template add their own handlers here instead of
+ * editing the route, e.g.:
+ *
+ *   webhookHandlers.on('miniapp_added', async (event, { fid }) => {
+ *     await sendWelcomeNotification(fid);
+ *   });
+ */
+
+// Persist install state and notification tokens
+webhookHandlers.on('miniapp_added', async (event, { fid }) => {
+  await getNotificationStore().markAdded(fid, event.notificationDetails);
+});
+
+webhookHandlers.on('miniapp_removed', async (_event, { fid }) => {
+  await getNotificationStore().markRemoved(fid);
+});
+
+webhookHandlers.on('notifications_enabled', async (event, { fid }) => {
+  await getNotificationStore().enableNotifications(fid, event.notificationDetails);
+});
+
+webhookHandlers.on('notifications_disabled', async (_event, { fid }) => {
+  await getNotificationStore().disableNotifications(fid);
+});
+
+export { webhookHandlers };
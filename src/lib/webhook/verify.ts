@@ -0,0 +1,63 @@
+import {
+  decode,
+  verify,
+  type JsonFarcasterSignature,
+  type JsonFarcasterSignatureHeader,
+} from '@farcaster/jfs';
+import { getKeyRegistry, type KeyRegistry } from '@/lib/webhook/key-registry';
+
+export class WebhookVerificationError extends Error {
+  constructor(message: string, public status: number) {
+    super(message);
+    this.name = 'WebhookVerificationError';
+  }
+}
+
+export interface VerifiedWebhookEvent<TPayload = unknown> {
+  fid: number;
+  appKey: string;
+  payload: TPayload;
+}
+
+function isJsonFarcasterSignature(value: unknown): value is JsonFarcasterSignature {
+  const envelope = value as Partial<JsonFarcasterSignature> | null;
+  return (
+    typeof envelope?.header === 'string' &&
+    typeof envelope?.payload === 'string' &&
+    typeof envelope?.signature === 'string'
+  );
+}
+
+/**
+ * Decodes a JSON Farcaster Signature envelope, verifies the app key
+ * signature and checks the key is registered to the FID in the header.
+ */
+export async function verifyWebhookEvent<TPayload = unknown>(
+  body: unknown,
+  registry: KeyRegistry = getKeyRegistry()
+): Promise<VerifiedWebhookEvent<TPayload>> {
+  if (!isJsonFarcasterSignature(body)) {
+    throw new WebhookVerificationError('Request body is not a signed event', 400);
+  }
+
+  let header: JsonFarcasterSignatureHeader;
+  let payload: TPayload;
+  try {
+    ({ header, payload } = decode<TPayload>(body));
+  } catch {
+    throw new WebhookVerificationError('Malformed event envelope', 400);
+  }
+
+  try {
+    await verify({ data: body, keyTypes: ['app_key'] });
+  } catch {
+    throw new WebhookVerificationError('Invalid signature', 401);
+  }
+
+  const isActive = await registry.isActiveAppKey(header.fid, header.key);
+  if (!isActive) {
+    throw new WebhookVerificationError('App key is not registered to this FID', 401);
+  }
+
+  return { fid: header.fid, appKey: header.key, payload };
+}
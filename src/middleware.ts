@@ -0,0 +1,86 @@
+import { NextRequest, NextResponse } from 'next/server';
+import {
+  getBearerToken,
+  verifyQuickAuthToken,
+  QuickAuthError,
+  VERIFIED_FID_HEADER,
+  type QuickAuthKeySet,
+} from '@/lib/auth/quick-auth';
+
+// API routes that require a Quick Auth token
+const PROTECTED_API_ROUTES: Array<{ path: string; methods?: string[] }> = [
+  { path: '/api/hello', methods: ['POST'] },
+];
+
+// API routes that authenticate callers themselves (JFS signatures, API_SECRET)
+const SELF_AUTHENTICATED_API_ROUTES = [
+  '/api/webhook',
+  '/api/notifications/send',
+  '/api/scheduled-casts',
+];
+
+function matchesPath(pathname: string, path: string): boolean {
+  return pathname === path || pathname.startsWith(`${path}/`);
+}
+
+function isProtected(request: NextRequest): boolean {
+  const { pathname } = request.nextUrl;
+  return PROTECTED_API_ROUTES.some(
+    (route) =>
+      matchesPath(pathname, route.path) &&
+      (!route.methods || route.methods.includes(request.method))
+  );
+}
+
+function unauthorized(message: string) {
+  return NextResponse.json(
+    { error: message },
+    { status: 401, headers: { 'WWW-Authenticate': 'Bearer' } }
+  );
+}
+
+/**
+ * Builds the API middleware. Protected routes need a valid Quick Auth token;
+ * on other routes a valid token only adds the verified FID header, and an
+ * invalid one is ignored. Tests pass their own key set and domain.
+ */
+export function createMiddleware(options: { keySet?: QuickAuthKeySet; domain?: string } = {}) {
+  return async function middleware(request: NextRequest) {
+    // Never trust a client-supplied FID header
+    const headers = new Headers(request.headers);
+    headers.delete(VERIFIED_FID_HEADER);
+
+    if (SELF_AUTHENTICATED_API_ROUTES.some((path) => matchesPath(request.nextUrl.pathname, path))) {
+      return NextResponse.next({ request: { headers } });
+    }
+
+    const token = getBearerToken(request);
+    const required = isProtected(request);
+
+    if (token) {
+      try {
+        const payload = await verifyQuickAuthToken(token, options);
+        headers.set(VERIFIED_FID_HEADER, String(payload.sub));
+      } catch (error) {
+        if (!(error instanceof QuickAuthError)) {
+          console.error('Quick Auth verification failed:', error);
+        }
+        if (required) {
+          return error instanceof QuickAuthError
+            ? unauthorized(`Invalid token: ${error.message}`)
+            : NextResponse.json({ error: 'Unable to verify token' }, { status: 503 });
+        }
+      }
+    } else if (required) {
+      return unauthorized('Missing Quick Auth token');
+    }
+
+    return NextResponse.next({ request: { headers } });
+  };
+}
+
+export const middleware = createMiddleware();
+
+export const config = {
+  matcher: '/api/:path*',
+};
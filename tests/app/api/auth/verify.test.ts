@@ -0,0 +1,18 @@
+import { NextRequest } from 'next/server';
+import { describe, expect, it } from 'vitest';
+import { POST } from '@/app/api/auth/verify/route';
+
+function post(body: string) {
+  return POST(new NextRequest('https://app.example.com/api/auth/verify', { method: 'POST', body }));
+}
+
+describe('POST /api/auth/verify', () => {
+  it.each([
+    ['null', 'null'],
+    ['a number message', JSON.stringify({ message: 1, signature: '0x' })],
+    ['an object signature', JSON.stringify({ message: 'message', signature: { r: '0x' } })],
+  ])('rejects %s with 400', async (_, body) => {
+    const response = await post(body);
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,25 @@
+import { NextRequest } from 'next/server';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { POST } from '@/app/api/scheduled-casts/route';
+
+describe('POST /api/scheduled-casts', () => {
+  beforeEach(() => {
+    vi.stubEnv('API_SECRET', 'secret');
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it.each(['null', '[]', '"cast"'])('rejects a %s body with 400', async (body) => {
+    const response = await POST(
+      new NextRequest('https://app.example.com/api/scheduled-casts', {
+        method: 'POST',
+        headers: { authorization: 'Bearer secret' },
+        body,
+      })
+    );
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Request body must be a JSON object' });
+  });
+});
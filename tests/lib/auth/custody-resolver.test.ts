@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import {
+  FixtureCustodyResolver,
+  HubCustodyResolver,
+  getCustodyResolver,
+} from '@/lib/auth/custody-resolver';
+
+describe('getCustodyResolver', () => {
+  it('uses the hub when NEYNAR_API_KEY is set', () => {
+    const resolver = getCustodyResolver({
+      NEYNAR_API_KEY: 'key',
+      FARCASTER_CUSTODY_FIXTURES: '{"0xabc": 1}',
+    });
+    expect(resolver).toBeInstanceOf(HubCustodyResolver);
+  });
+
+  it('falls back to fixtures, matching addresses case-insensitively', async () => {
+    const resolver = getCustodyResolver({ FARCASTER_CUSTODY_FIXTURES: '{"0xABC": 42}' });
+    expect(resolver).toBeInstanceOf(FixtureCustodyResolver);
+    expect(await resolver?.getFidForAddress('0xabc')).toBe(42);
+    expect(await resolver?.getFidForAddress('0xdef')).toBeNull();
+  });
+
+  it('returns null when nothing is configured', () => {
+    expect(getCustodyResolver({})).toBeNull();
+  });
+});
@@ -0,0 +1,91 @@
+import { createLocalJWKSet, exportJWK, generateKeyPair, SignJWT, type KeyLike } from 'jose';
+import { NextRequest } from 'next/server';
+import { beforeAll, describe, expect, it } from 'vitest';
+import {
+  QUICK_AUTH_ORIGIN,
+  QuickAuthError,
+  VERIFIED_FID_HEADER,
+  verifyQuickAuthToken,
+  type QuickAuthKeySet,
+} from '@/lib/auth/quick-auth';
+import { createMiddleware } from '@/middleware';
+
+const DOMAIN = 'app.example.com';
+
+let privateKey: KeyLike;
+let keySet: QuickAuthKeySet;
+
+beforeAll(async () => {
+  const pair = await generateKeyPair('ES256');
+  privateKey = pair.privateKey;
+  const jwk = { ...(await exportJWK(pair.publicKey)), kid: 'test', alg: 'ES256' };
+  keySet = createLocalJWKSet({ keys: [jwk] });
+});
+
+function sign({ sub = '42', audience = DOMAIN, expiresIn = '1h' } = {}) {
+  return new SignJWT({})
+    .setProtectedHeader({ alg: 'ES256', kid: 'test' })
+    .setIssuer(QUICK_AUTH_ORIGIN)
+    .setAudience(audience)
+    .setSubject(sub)
+    .setIssuedAt()
+    .setExpirationTime(expiresIn)
+    .sign(privateKey);
+}
+
+describe('verifyQuickAuthToken', () => {
+  it('returns the FID of a valid token', async () => {
+    const payload = await verifyQuickAuthToken(await sign(), { keySet, domain: DOMAIN });
+    expect(payload.sub).toBe(42);
+  });
+
+  it('rejects a token issued to another domain', async () => {
+    await expect(
+      verifyQuickAuthToken(await sign({ audience: 'other.example.com' }), { keySet, domain: DOMAIN })
+    ).rejects.toBeInstanceOf(QuickAuthError);
+  });
+
+  it('rejects an expired token', async () => {
+    await expect(
+      verifyQuickAuthToken(await sign({ expiresIn: '-1m' }), { keySet, domain: DOMAIN })
+    ).rejects.toBeInstanceOf(QuickAuthError);
+  });
+});
+
+describe('middleware', () => {
+  function call(path: string, { method = 'GET', token, fid }: { method?: string; token?: string; fid?: string } = {}) {
+    const headers = new Headers();
+    if (token) headers.set('authorization', `Bearer ${token}`);
+    if (fid) headers.set(VERIFIED_FID_HEADER, fid);
+    // keySet is created in beforeAll
+    return createMiddleware({ keySet, domain: DOMAIN })(
+      new NextRequest(`https://${DOMAIN}${path}`, { method, headers })
+    );
+  }
+
+  // NextResponse.next forwards request headers as x-middleware-request-*
+  const forwardedFid = (response: Response) =>
+    response.headers.get(`x-middleware-request-${VERIFIED_FID_HEADER}`);
+
+  it('requires a token on protected routes', async () => {
+    expect((await call('/api/hello', { method: 'POST' })).status).toBe(401);
+    expect((await call('/api/hello', { method: 'POST', token: 'not-a-jwt' })).status).toBe(401);
+  });
+
+  it('passes the verified FID to protected routes', async () => {
+    const response = await call('/api/hello', { method: 'POST', token: await sign() });
+    expect(response.status).toBe(200);
+    expect(forwardedFid(response)).toBe('42');
+  });
+
+  it('ignores an invalid token on other routes', async () => {
+    const response = await call('/api/hello', { token: 'not-a-jwt' });
+    expect(response.status).toBe(200);
+    expect(forwardedFid(response)).toBeNull();
+  });
+
+  it('drops a client-supplied FID header', async () => {
+    const response = await call('/api/auth/me', { fid: '1' });
+    expect(forwardedFid(response)).toBeNull();
+  });
+});
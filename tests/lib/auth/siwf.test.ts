@@ -0,0 +1,30 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { SignInUnavailableError, verifySignInMessage } from '@/lib/auth/siwf';
+import { getNonceStore, MemoryNonceStore, NonceStoreUnavailableError } from '@/lib/storage/nonce-store';
+
+describe('Sign In with Farcaster configuration', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('refuses to verify without a custody resolver', async () => {
+    vi.stubEnv('NEYNAR_API_KEY', '');
+    vi.stubEnv('FARCASTER_CUSTODY_FIXTURES', '');
+    await expect(
+      verifySignInMessage({ message: 'message', signature: '0x' }, { nonces: new MemoryNonceStore() })
+    ).rejects.toBeInstanceOf(SignInUnavailableError);
+  });
+
+  it('needs D1 for nonces outside development', () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    expect(() => getNonceStore({})).toThrow(NonceStoreUnavailableError);
+  });
+
+  it('keeps nonces in memory in development', async () => {
+    vi.stubEnv('NODE_ENV', 'development');
+    const store = getNonceStore({});
+    const { nonce } = await store.issue();
+    expect(await store.consume(nonce)).toBe(true);
+    expect(await store.consume(nonce)).toBe(false);
+  });
+});
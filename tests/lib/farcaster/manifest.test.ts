@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { assembleManifest } from '@/lib/farcaster/manifest';
+
+const config = {
+  miniapp: {
+    version: '1',
+    name: 'Test App',
+    iconUrl: '/images/icon.png?v=1',
+    imageUrl: 'https://cdn.example.net/embed.png',
+    splashImageUrl: '/images/splash.png',
+  },
+};
+
+describe('assembleManifest', () => {
+  it('serves paths on the app URL and leaves other hosts alone', () => {
+    const { miniapp } = assembleManifest({
+      config,
+      associations: {},
+      env: {},
+      origin: 'https://app.example.com',
+    });
+    expect(miniapp.homeUrl).toBe('https://app.example.com');
+    expect(miniapp.webhookUrl).toBe('https://app.example.com/api/webhook');
+    expect(miniapp.iconUrl).toBe('https://app.example.com/images/icon.png?v=1');
+    expect(miniapp.imageUrl).toBe('https://cdn.example.net/embed.png');
+  });
+
+  it('moves absolute URLs on the configured homeUrl host onto the app URL', () => {
+    const { miniapp } = assembleManifest({
+      config: {
+        miniapp: {
+          ...config.miniapp,
+          homeUrl: 'https://old-tunnel.ngrok.app',
+          iconUrl: 'https://old-tunnel.ngrok.app/images/icon.png',
+        },
+      },
+      associations: {},
+      env: { NEXT_PUBLIC_APP_DOMAIN: 'example.com' },
+    });
+    expect(miniapp.iconUrl).toBe('https://example.com/images/icon.png');
+  });
+
+  it('takes image URLs from the environment', () => {
+    const { miniapp } = assembleManifest({
+      config,
+      associations: {},
+      env: {
+        FARCASTER_ICON_URL: 'https://cdn.example.net/icon.png',
+        FARCASTER_OG_IMAGE_URL: '/images/og.png',
+      },
+      origin: 'https://app.example.com',
+    });
+    expect(miniapp.iconUrl).toBe('https://cdn.example.net/icon.png');
+    expect(miniapp.ogImageUrl).toBe('https://app.example.com/images/og.png');
+  });
+
+  it('serves only an association signed for the host', () => {
+    const signedFor = (domain: string) => ({
+      header: 'header',
+      payload: Buffer.from(JSON.stringify({ domain })).toString('base64url'),
+      signature: 'signature',
+    });
+    const serve = (origin: string) => assembleManifest({
+      config,
+      associations: { 'preview.example.com': signedFor('preview.example.com') },
+      env: { FARCASTER_ACCOUNT_ASSOCIATION: JSON.stringify(signedFor('app.example.com')) },
+      origin,
+    }).accountAssociation;
+
+    expect(serve('https://preview.example.com')).toEqual(signedFor('preview.example.com'));
+    expect(serve('https://app.example.com')).toEqual(signedFor('app.example.com'));
+    expect(serve('https://other.example.com')).toBeUndefined();
+  });
+});
@@ -0,0 +1,61 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { sendNotification, validateNotification } from '@/lib/notifications/send';
+import { MemoryNotificationStore } from '@/lib/storage/notification-store';
+
+const NOTIFICATION_URL = 'https://api.example.com/notify';
+const input = { title: 'Hi', body: 'Hello', targetUrl: 'https://app.example.com' };
+
+async function storeWith(tokens: Record<number, string>) {
+  const store = new MemoryNotificationStore();
+  for (const [fid, token] of Object.entries(tokens)) {
+    await store.enableNotifications(Number(fid), { url: NOTIFICATION_URL, token });
+  }
+  return store;
+}
+
+function answer(result: Record<string, string[]>) {
+  const fetchMock = vi.fn(async () => Response.json({ result }));
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+}
+
+describe('sendNotification', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('sends once to each FID listed', async () => {
+    const fetchMock = answer({ successfulTokens: ['a'] });
+    const result = await sendNotification({ ...input, fids: [1, 1, 1] }, await storeWith({ 1: 'a' }));
+    expect(result.recipients).toBe(1);
+    const [, init] = fetchMock.mock.calls[0] as unknown as [string, RequestInit];
+    expect(JSON.parse(init.body as string).tokens).toEqual(['a']);
+  });
+
+  it('lists rate limited recipients to retry and prunes only the invalid token', async () => {
+    answer({ successfulTokens: ['a'], rateLimitedTokens: ['b'], invalidTokens: ['c'] });
+    const store = await storeWith({ 1: 'a', 2: 'b', 3: 'c' });
+    const result = await sendNotification(input, store);
+    expect(result.retryFids).toEqual([2]);
+    expect((await store.get(3))?.notificationsEnabled).toBe(false);
+    expect((await store.get(2))?.notificationsEnabled).toBe(true);
+  });
+
+  it('keeps a token that was replaced while sending', async () => {
+    const store = await storeWith({ 1: 'old' });
+    vi.stubGlobal('fetch', vi.fn(async () => {
+      await store.enableNotifications(1, { url: NOTIFICATION_URL, token: 'new' });
+      return Response.json({ result: { invalidTokens: ['old'] } });
+    }));
+    await sendNotification(input, store);
+    expect((await store.get(1))?.notificationToken).toBe('new');
+  });
+});
+
+describe('validateNotification', () => {
+  it('requires targetUrl on the app domain', () => {
+    expect(validateNotification(input, 'app.example.com')).toEqual([]);
+    expect(validateNotification({ ...input, targetUrl: 'https://evil.example.net' }, 'app.example.com'))
+      .toEqual(['targetUrl must be on app.example.com']);
+  });
+});
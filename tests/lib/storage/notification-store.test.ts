@@ -0,0 +1,57 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  getNotificationStore,
+  KVNotificationStore,
+  NotificationStoreUnavailableError,
+} from '@/lib/storage/notification-store';
+
+/**
+ * Just enough of KVNamespace for the store, counting reads
+ */
+function fakeKV() {
+  const entries = new Map<string, { value: string; metadata?: unknown }>();
+  const kv = {
+    reads: 0,
+    async get(key: string) {
+      kv.reads++;
+      const entry = entries.get(key);
+      return entry ? JSON.parse(entry.value) : null;
+    },
+    async put(key: string, value: string, options?: { metadata?: unknown }) {
+      entries.set(key, { value, metadata: options?.metadata });
+    },
+    async list({ prefix }: { prefix: string }) {
+      const keys = Array.from(entries)
+        .filter(([name]) => name.startsWith(prefix))
+        .map(([name, { metadata }]) => ({ name, metadata }));
+      return { keys, list_complete: true };
+    },
+  };
+  return kv;
+}
+
+describe('KVNotificationStore', () => {
+  it('reads only the users with notifications enabled', async () => {
+    const kv = fakeKV();
+    const store = new KVNotificationStore(kv as unknown as KVNamespace);
+    await store.enableNotifications(1, { url: 'https://api.example.com/notify', token: 'a' });
+    await store.markAdded(2);
+    await store.markAdded(3);
+
+    kv.reads = 0;
+    const records = await store.listNotificationsEnabled();
+    expect(records.map((record) => record.fid)).toEqual([1]);
+    expect(kv.reads).toBe(1);
+  });
+});
+
+describe('getNotificationStore', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('needs a binding outside development', () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    expect(() => getNotificationStore({})).toThrow(NotificationStoreUnavailableError);
+  });
+});
@@ -0,0 +1,46 @@
+import { spawnSync } from 'child_process';
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+
+const SCRIPT = resolve(__dirname, '../../scripts/farcaster.js');
+
+describe('farcaster association generate --dry-run', () => {
+  let cwd: string;
+
+  beforeEach(() => {
+    cwd = mkdtempSync(join(tmpdir(), 'farcaster-'));
+  });
+
+  afterEach(() => {
+    rmSync(cwd, { recursive: true, force: true });
+  });
+
+  it('stops before opening the keystore and writes nothing', () => {
+    const result = spawnSync(
+      process.execPath,
+      [SCRIPT, 'association', 'generate', '--domain', 'app.example.com', '--dry-run', '--json'],
+      {
+        cwd,
+        encoding: 'utf8',
+        env: {
+          ...process.env,
+          FARCASTER_FID: '123',
+          FARCASTER_CUSTODY_ADDRESS: '0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A',
+          // Opening it would fail; a dry run must not try
+          FARCASTER_CUSTODY_KEYSTORE: join(cwd, 'missing-keystore.json'),
+        },
+        input: '',
+        timeout: 30_000,
+      }
+    );
+
+    expect(result.status).toBe(0);
+    const { result: output } = JSON.parse(result.stdout);
+    expect(output.associations[0]).toMatchObject({ domain: 'app.example.com' });
+    expect(output.associations[0].dataToSign).toContain('.');
+    expect(output.associations[0].accountAssociation).toBeUndefined();
+    expect(readdirSync(cwd)).toEqual([]);
+  });
+});
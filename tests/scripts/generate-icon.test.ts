@@ -0,0 +1,63 @@
+import { spawnSync } from 'child_process';
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { parseArgs } from '../../scripts/generate-icon.js';
+
+const SCRIPT = resolve(__dirname, '../../scripts/generate-icon.js');
+
+describe('generate-icon parseArgs', () => {
+  it('takes --providers and the prompt', () => {
+    expect(parseArgs(['--providers', 'flux,local', 'a', 'red', 'fox'])).toEqual({
+      providers: 'flux,local',
+      prompt: 'a red fox',
+    });
+    expect(parseArgs(['--providers=local'])).toEqual({ providers: 'local' });
+  });
+
+  it('rejects unknown options instead of using them as the prompt', () => {
+    expect(() => parseArgs(['--provider', 'local'])).toThrow('Unknown option: --provider');
+    expect(() => parseArgs(['-v'])).toThrow('Unknown option: -v');
+    expect(() => parseArgs(['--providers'])).toThrow('--providers needs a value');
+  });
+
+  it('takes everything after -- as the prompt', () => {
+    expect(parseArgs(['--', '--help', 'me'])).toEqual({ prompt: '--help me' });
+  });
+});
+
+describe('generate-icon command line', () => {
+  let cwd: string;
+
+  // Run from an empty directory: a run that generates anything writes there
+  const run = (...args: string[]) =>
+    spawnSync(process.execPath, [SCRIPT, ...args], {
+      cwd,
+      encoding: 'utf8',
+      env: { ...process.env, ICON_PROVIDERS: 'local' },
+      timeout: 30_000,
+    });
+
+  beforeEach(() => {
+    cwd = mkdtempSync(join(tmpdir(), 'generate-icon-'));
+  });
+
+  afterEach(() => {
+    rmSync(cwd, { recursive: true, force: true });
+  });
+
+  it('prints usage for --help and writes nothing', () => {
+    const result = run('--help');
+    expect(result.status).toBe(0);
+    expect(result.stdout).toContain('Usage: node scripts/generate-icon.js');
+    expect(readdirSync(cwd)).toEqual([]);
+  });
+
+  it('fails on an unknown option and writes nothing', () => {
+    const result = run('--bogus');
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain('Unknown option: --bogus');
+    expect(readdirSync(cwd)).toEqual([]);
+  });
+});
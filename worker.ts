@@ -0,0 +1,37 @@
+import type { CloudflareEnv } from './env';
+import { default as handler } from './.open-next/worker.js';
+import { publishDueCasts } from './src/lib/scheduled-casts/publish';
+import { getScheduledCastStore } from './src/lib/storage/scheduled-cast-store';
+
+/**
+ * Worker entry point (wrangler.toml `main`). Requests go to the worker
+ * OpenNext generates; the cron triggers publish scheduled casts.
+ */
+export default {
+  fetch: handler.fetch,
+
+  async scheduled(controller, env, ctx) {
+    if (!env.DB && !env.MY_KV) {
+      console.warn('Scheduled casts need a D1 (DB) or KV (MY_KV) binding; skipping');
+      return;
+    }
+    if (!env.FARCASTER_BEARER_TOKEN) {
+      console.warn('Scheduled casts need the FARCASTER_BEARER_TOKEN secret; skipping');
+      return;
+    }
+
+    ctx.waitUntil(
+      publishDueCasts({
+        store: getScheduledCastStore(env),
+        token: env.FARCASTER_BEARER_TOKEN,
+        now: new Date(controller.scheduledTime),
+      }).then((results) => {
+        if (results.length > 0) {
+          console.log(`Scheduled casts (${controller.cron}):`, JSON.stringify(results));
+        }
+      })
+    );
+  },
+} satisfies ExportedHandler<CloudflareEnv>;
+
+export { DOQueueHandler, DOShardedTagCache, BucketCachePurge } from './.open-next/worker.js';